@@ -0,0 +1,370 @@
+// --- Click Analytics ---
+// Node totals come from /stats/all (nodeStats); per-link counts from /outbound_stats for every
+// node that has outbound clicks (a link's clicks are the same whichever end you ask). The
+// dashboard ranks nodes and links and lists dead ends (OUT = 0) and orphans (IN = 0, the root
+// excepted). "Clicks over time" compares links across days, weeks or months using the
+// bucketed history from loadClickHistory() (click-tracking.js). The heatmap overlay tints
+// every card by its traffic on a log scale.
+
+const ANALYTICS_FETCH_CONCURRENCY = 6;
+const HEATMAP_METRICS = {
+    total: { label: 'IN + OUT', value: stats => stats.inboundCount + stats.outboundCount },
+    inbound: { label: 'Inbound clicks', value: stats => stats.inboundCount },
+    outbound: { label: 'Outbound clicks', value: stats => stats.outboundCount }
+};
+
+let analyticsLinks = [];        // [{ sourceId, targetId, count }] from the last load
+let analyticsTab = 'nodes';
+let analyticsSort = {};         // table key -> { column, descending }
+let clickHistory = null;        // /clicks/history response for clickHistoryBucket
+let clickHistoryProblem = '';   // why there is no history to show
+let clickHistoryBucket = 'week';
+let heatmapMetric = HEATMAP_METRICS[localStorage.getItem('heatmapMetric')] ? localStorage.getItem('heatmapMetric') : null;
+let heatmapMax = 0;
+
+// --- Data ---
+
+async function loadAnalyticsLinks() {
+    const sourceIds = Object.keys(nodeMap).filter(id => !isTempId(id) && nodeStats[id] && nodeStats[id].outboundCount > 0);
+    const links = [];
+    let next = 0;
+    const worker = async () => {
+        while (next < sourceIds.length) {
+            const sourceId = sourceIds[next++];
+            try {
+                const data = await fetchWithRetry(`/outbound_stats/${encodeURIComponent(sourceId)}`);
+                (data.outbound_connections || []).forEach(conn => {
+                    links.push({ sourceId, targetId: conn.targetId, count: conn.count || 0 });
+                });
+            } catch (e) {
+                console.warn(`Failed to load outbound stats for ${sourceId}:`, e);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: ANALYTICS_FETCH_CONCURRENCY }, worker));
+    return links;
+}
+
+async function refreshClickHistory() {
+    try {
+        clickHistory = await loadClickHistory(clickHistoryBucket);
+        clickHistoryProblem = clickHistory ? '' : 'This backend does not record when clicks happen, so there is no history.';
+    } catch (e) {
+        clickHistory = null;
+        clickHistoryProblem = `Could not load the click history: ${e.message}`;
+    }
+}
+
+// "Oct 19", "Week of Oct 13" or "Oct 2026" for a period key from /clicks/history
+function formatClickPeriod(period, bucket) {
+    const date = new Date(bucket === 'month' ? `${period}-01T00:00:00Z` : `${period}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return period;
+    if (bucket === 'month') return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    const day = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    return bucket === 'week' ? `Week of ${day}` : day;
+}
+
+// From/To, one column per period (oldest first), the latest change and the total
+function getClickHistoryColumns() {
+    const periods = clickHistory ? clickHistory.periods : [];
+    const bucket = clickHistory ? clickHistory.bucket : clickHistoryBucket;
+    const last = periods.length - 1;
+    return [
+        { key: 'source', label: 'From', value: link => getNodeLabel(link.sourceId) },
+        { key: 'target', label: 'To', value: link => getNodeLabel(link.targetId) }
+    ].concat(periods.map((period, index) => ({
+        key: `period-${index}`,
+        label: formatClickPeriod(period, bucket),
+        numeric: true,
+        value: link => link.counts[index] || 0
+    }))).concat([
+        {
+            key: 'change',
+            label: 'Change',
+            numeric: true,
+            value: link => (last > 0 ? (link.counts[last] || 0) - (link.counts[last - 1] || 0) : 0)
+        },
+        { key: 'total', label: 'Total', numeric: true, value: link => link.counts.reduce((sum, count) => sum + count, 0) }
+    ]);
+}
+
+function getNodeLabel(nodeId) {
+    const node = nodeMap[nodeId];
+    if (!node) return 'Unknown node';
+    return getFriendlyIdLabel(node) ? `${getFriendlyIdLabel(node)} · ${node.name}` : node.name;
+}
+
+function getStatsFor(nodeId) {
+    return nodeStats[nodeId] || { inboundCount: 0, outboundCount: 0 };
+}
+
+const nodeColumns = [
+    { key: 'friendlyId', label: 'ID', value: id => getFriendlyIdLabel(nodeMap[id]) },
+    { key: 'name', label: 'Node', value: id => nodeMap[id].name },
+    { key: 'status', label: 'Status', value: id => nodeMap[id].status },
+    { key: 'inbound', label: 'IN', numeric: true, value: id => getStatsFor(id).inboundCount },
+    { key: 'outbound', label: 'OUT', numeric: true, value: id => getStatsFor(id).outboundCount },
+    { key: 'total', label: 'Total', numeric: true, value: id => getStatsFor(id).inboundCount + getStatsFor(id).outboundCount }
+];
+
+// Each table: rows, columns (value(row) gives the sortable/exported value) and a default sort
+const ANALYTICS_TABLES = {
+    nodes: {
+        label: 'Node ranking',
+        empty: 'No nodes.',
+        defaultSort: { column: 'total', descending: true },
+        rows: () => Object.keys(nodeMap),
+        columns: nodeColumns,
+        nodeIdOf: id => id
+    },
+    links: {
+        label: 'Top links',
+        empty: 'No clicks recorded yet.',
+        defaultSort: { column: 'count', descending: true },
+        rows: () => analyticsLinks,
+        columns: [
+            { key: 'source', label: 'From', value: link => getNodeLabel(link.sourceId) },
+            { key: 'target', label: 'To', value: link => getNodeLabel(link.targetId) },
+            { key: 'count', label: 'Clicks', numeric: true, value: link => link.count },
+            {
+                key: 'inTree',
+                label: 'Link in tree',
+                value: link => (nodeMap[link.sourceId] && (nodeMap[link.sourceId].children || []).includes(link.targetId) ? 'yes' : 'no')
+            }
+        ],
+        nodeIdOf: link => link.targetId
+    },
+    deadEnds: {
+        label: 'Dead ends (OUT = 0)',
+        empty: 'Every node leads somewhere.',
+        defaultSort: { column: 'inbound', descending: true },
+        rows: () => Object.keys(nodeMap).filter(id => getStatsFor(id).outboundCount === 0),
+        columns: nodeColumns.filter(column => column.key !== 'total').concat([
+            { key: 'children', label: 'Children', numeric: true, value: id => (nodeMap[id].children || []).length }
+        ]),
+        nodeIdOf: id => id
+    },
+    orphans: {
+        label: 'Orphans (IN = 0)',
+        empty: 'Every node except the root is reached by clicks.',
+        defaultSort: { column: 'outbound', descending: true },
+        rows: () => Object.keys(nodeMap).filter(id => id !== stableRootId && getStatsFor(id).inboundCount === 0),
+        columns: nodeColumns.filter(column => column.key !== 'total').concat([
+            { key: 'parents', label: 'Parents', numeric: true, value: id => getParentIds(id).length }
+        ]),
+        nodeIdOf: id => id
+    },
+    history: {
+        label: 'Clicks over time',
+        get empty() {
+            return clickHistoryProblem || 'No clicks in these periods.';
+        },
+        defaultSort: { column: 'total', descending: true },
+        rows: () => (clickHistory ? clickHistory.links : []),
+        get columns() {
+            return getClickHistoryColumns();
+        },
+        nodeIdOf: link => link.targetId
+    }
+};
+
+function getSortedAnalyticsRows(tableKey) {
+    const table = ANALYTICS_TABLES[tableKey];
+    const sort = analyticsSort[tableKey] || table.defaultSort;
+    const column = table.columns.find(entry => entry.key === sort.column);
+    const direction = sort.descending ? -1 : 1;
+    return table.rows().slice().sort((a, b) => {
+        const left = column.value(a);
+        const right = column.value(b);
+        const order = column.numeric ? left - right : String(left).localeCompare(String(right), undefined, { numeric: true });
+        return order * direction;
+    });
+}
+
+// --- Dashboard ---
+
+async function openAnalyticsModal() {
+    if (!stableRootId) return;
+    document.getElementById('analytics-modal').style.display = 'flex';
+    document.getElementById('analytics-heatmap-select').value = heatmapMetric || 'off';
+    const summary = document.getElementById('analytics-summary');
+    summary.textContent = 'Loading click statistics...';
+    document.getElementById('analytics-table').innerHTML = '';
+
+    await fetchAllStats(true);
+    analyticsLinks = await loadAnalyticsLinks();
+    await refreshClickHistory();
+    updateHeatmapScale();
+    refreshHeatmap();
+
+    const totalClicks = analyticsLinks.reduce((sum, link) => sum + link.count, 0);
+    summary.textContent = `${Object.keys(nodeMap).length} nodes · ${analyticsLinks.length} clicked link(s) · ${totalClicks} click(s) in total`;
+    renderAnalyticsTabs();
+    renderAnalyticsTable();
+}
+
+function closeAnalyticsModal() {
+    document.getElementById('analytics-modal').style.display = 'none';
+}
+
+async function setClickHistoryBucket(bucket) {
+    if (!CLICK_HISTORY_BUCKETS[bucket]) return;
+    clickHistoryBucket = bucket;
+    // Period columns differ between buckets
+    delete analyticsSort.history;
+    await refreshClickHistory();
+    renderAnalyticsTabs();
+    renderAnalyticsTable();
+}
+
+function renderAnalyticsTabs() {
+    document.getElementById('click-history-bucket').classList.toggle('hidden', analyticsTab !== 'history');
+    document.getElementById('click-history-bucket').value = clickHistoryBucket;
+    const tabs = document.getElementById('analytics-tabs');
+    tabs.innerHTML = '';
+    Object.entries(ANALYTICS_TABLES).forEach(([key, table]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.setAttribute('role', 'tab');
+        button.setAttribute('aria-selected', String(key === analyticsTab));
+        button.className = `py-1 px-3 text-sm font-semibold rounded-lg transition duration-150 ${key === analyticsTab
+            ? 'bg-indigo-500 text-white'
+            : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`;
+        button.textContent = `${table.label} (${table.rows().length})`;
+        button.addEventListener('click', () => {
+            analyticsTab = key;
+            renderAnalyticsTabs();
+            renderAnalyticsTable();
+        });
+        tabs.appendChild(button);
+    });
+}
+
+function renderAnalyticsTable() {
+    const table = ANALYTICS_TABLES[analyticsTab];
+    const sort = analyticsSort[analyticsTab] || table.defaultSort;
+    const rows = getSortedAnalyticsRows(analyticsTab);
+    const element = document.getElementById('analytics-table');
+    element.innerHTML = '';
+
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    table.columns.forEach(column => {
+        const cell = document.createElement('th');
+        cell.scope = 'col';
+        cell.className = `px-2 py-1 font-semibold text-gray-700 ${column.numeric ? 'text-right' : 'text-left'}`;
+        const isSorted = sort.column === column.key;
+        cell.setAttribute('aria-sort', isSorted ? (sort.descending ? 'descending' : 'ascending') : 'none');
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'hover:underline';
+        button.textContent = `${column.label}${isSorted ? (sort.descending ? ' ▼' : ' ▲') : ''}`;
+        button.addEventListener('click', () => {
+            // Numbers start highest first, text A–Z
+            analyticsSort[analyticsTab] = {
+                column: column.key,
+                descending: isSorted ? !sort.descending : Boolean(column.numeric)
+            };
+            renderAnalyticsTable();
+        });
+        cell.appendChild(button);
+        headRow.appendChild(cell);
+    });
+    head.appendChild(headRow);
+    element.appendChild(head);
+
+    const body = document.createElement('tbody');
+    rows.forEach(row => {
+        const tableRow = document.createElement('tr');
+        tableRow.className = 'border-t border-gray-100 hover:bg-indigo-50 cursor-pointer';
+        tableRow.title = 'Show in the tree';
+        table.columns.forEach(column => {
+            const cell = document.createElement('td');
+            cell.className = `px-2 py-1 ${column.numeric ? 'text-right font-mono' : 'text-left'}`;
+            cell.textContent = column.value(row);
+            tableRow.appendChild(cell);
+        });
+        tableRow.addEventListener('click', () => showAnalyticsNode(table.nodeIdOf(row)));
+        body.appendChild(tableRow);
+    });
+    if (rows.length === 0) {
+        const emptyRow = document.createElement('tr');
+        const cell = document.createElement('td');
+        cell.colSpan = table.columns.length;
+        cell.className = 'px-2 py-3 text-center text-gray-500 italic';
+        cell.textContent = table.empty;
+        emptyRow.appendChild(cell);
+        body.appendChild(emptyRow);
+    }
+    element.appendChild(body);
+}
+
+function showAnalyticsNode(nodeId) {
+    if (!nodeMap[nodeId]) return;
+    closeAnalyticsModal();
+    expandAncestors(nodeId);
+    nodeToFocusId = nodeId;
+    loadAndRenderVisuals(stableRootId);
+}
+
+// The current table, in its current order, as CSV
+function exportAnalyticsTable() {
+    const table = ANALYTICS_TABLES[analyticsTab];
+    const lines = [table.columns.map(column => csvCell(column.label)).join(',')];
+    getSortedAnalyticsRows(analyticsTab).forEach(row => {
+        lines.push(table.columns.map(column => csvCell(column.value(row))).join(','));
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    downloadBlob(new Blob([lines.join('\r\n') + '\r\n'], { type: 'text/csv;charset=utf-8' }), `analytics-${analyticsTab}-${date}.csv`);
+}
+
+// --- Heatmap overlay ---
+
+// Recomputes the colour scale; true when the maximum changed (cards need repainting)
+function updateHeatmapScale() {
+    if (!heatmapMetric) return false;
+    const metric = HEATMAP_METRICS[heatmapMetric];
+    const max = Object.keys(nodeMap).reduce((highest, id) => Math.max(highest, metric.value(getStatsFor(id))), 0);
+    const changed = max !== heatmapMax;
+    heatmapMax = max;
+    return changed;
+}
+
+// Inline style for a card: cool blue for no traffic to red for the busiest node (log scale)
+function getHeatmapStyle(nodeId) {
+    if (!heatmapMetric || !nodeStats[nodeId]) return '';
+    const value = HEATMAP_METRICS[heatmapMetric].value(nodeStats[nodeId]);
+    const ratio = heatmapMax > 0 ? Math.log1p(value) / Math.log1p(heatmapMax) : 0;
+    const hue = Math.round(210 - ratio * 210);
+    return `background-color: hsl(${hue}, 85%, ${Math.round(93 - ratio * 18)}%); border-color: hsl(${hue}, 70%, 45%);`;
+}
+
+function applyHeatmapToCard(nodeId) {
+    const card = document.getElementById(`node-${nodeId}`);
+    if (card) card.style.cssText = getHeatmapStyle(nodeId);
+}
+
+function refreshHeatmap() {
+    document.querySelectorAll('.node-card[data-node-id]').forEach(card => applyHeatmapToCard(card.dataset.nodeId));
+    const legend = document.getElementById('heatmap-legend');
+    if (legend) {
+        legend.classList.toggle('hidden', !heatmapMetric);
+        document.getElementById('heatmap-legend-max').textContent = heatmapMetric ? `${heatmapMax} ${HEATMAP_METRICS[heatmapMetric].label.toLowerCase()}` : '';
+    }
+}
+
+function setHeatmapMetric(metric) {
+    heatmapMetric = HEATMAP_METRICS[metric] ? metric : null;
+    if (heatmapMetric) {
+        localStorage.setItem('heatmapMetric', heatmapMetric);
+    } else {
+        localStorage.removeItem('heatmapMetric');
+    }
+    ['heatmap-select', 'analytics-heatmap-select'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.value = heatmapMetric || 'off';
+    });
+    updateHeatmapScale();
+    refreshHeatmap();
+}
@@ -0,0 +1,60 @@
+// --- API Client ---
+// Shared by index.html and flowchart.html. Resolves which backend to talk to and
+// routes every request either to the Flask server or to the mock adapter (mock-api.js).
+//
+// Resolution order for the base URL:
+//   1. ?api=<url> query parameter (saved to localStorage; ?api=default clears it)
+//   2. localStorage 'apiBaseUrl'
+//   3. window.TREE_CONFIG.apiBaseUrl from config.js
+//   4. DEFAULT_API_BASE_URL below
+
+const DEFAULT_API_BASE_URL = "https://nextwebi-backend.onrender.com";
+const MOCK_API_BASE_URL = 'mock';
+const API_BASE_URL = resolveApiBaseUrl();
+
+function resolveApiBaseUrl() {
+    try {
+        const fromQuery = new URLSearchParams(window.location.search).get('api');
+        if (fromQuery === 'default') {
+            localStorage.removeItem('apiBaseUrl');
+        } else if (fromQuery) {
+            localStorage.setItem('apiBaseUrl', fromQuery.trim());
+        }
+    } catch (e) { /* localStorage unavailable (private mode) */ }
+
+    let stored = null;
+    try {
+        stored = localStorage.getItem('apiBaseUrl');
+    } catch (e) { /* ignore */ }
+
+    const configured = window.TREE_CONFIG && window.TREE_CONFIG.apiBaseUrl;
+    const baseUrl = stored || configured || DEFAULT_API_BASE_URL;
+
+    // Strip trailing slashes so `${API_BASE_URL}${endpoint}` never doubles them
+    return baseUrl.replace(/\/+$/, '');
+}
+
+function isMockApi() {
+    return API_BASE_URL === MOCK_API_BASE_URL;
+}
+
+/**
+ * Drop-in replacement for fetch(`${API_BASE_URL}${endpoint}`, options).
+ * Always resolves to a Response (or rejects like fetch on network failure).
+ */
+function apiFetch(endpoint, options = {}) {
+    if (isMockApi()) {
+        return mockFetch(endpoint, options);
+    }
+    return fetch(`${API_BASE_URL}${endpoint}`, options);
+}
+
+// Short label for the UI ("mock (offline)" or the backend host)
+function describeApiBackend() {
+    if (isMockApi()) return 'mock (offline, this browser only)';
+    try {
+        return new URL(API_BASE_URL).host;
+    } catch (e) {
+        return API_BASE_URL;
+    }
+}
@@ -0,0 +1,346 @@
+// --- Multi-select & Bulk Operations ---
+// Ctrl/Cmd/Shift-click toggles a card in the selection; Shift-dragging on the background draws
+// a lasso (a plain drag still pans) and Escape clears the selection. A bulk action validates
+// every selected node first (nodes it cannot apply to are reported as skipped), then queues one
+// tagged outbox entry per change and records a single history entry, so one undo reverts the
+// whole batch. Progress and server rejections come back through onOutboxSettled(), like an import.
+
+const BULK_ACTIONS = {
+    status: 'Set status',
+    delete: 'Delete leaves',
+    move: 'Move under',
+    link: 'Link under'
+};
+
+let selectedNodeIds = new Set();
+let lassoState = null; // { pointerId, startX, startY, element }, start in tree coordinates
+let bulkJob = null;    // { id, title, total, settled, failed: [], skipped: [], finished }
+let pendingBulkAction = null;
+
+onOutboxSettled(handleBulkEntrySettled);
+
+// --- Selection ---
+
+function getSelectedNodeIds() {
+    return Array.from(selectedNodeIds).filter(id => nodeMap[id]);
+}
+
+function setNodeSelected(nodeId, selected) {
+    if (selected) {
+        selectedNodeIds.add(nodeId);
+    } else {
+        selectedNodeIds.delete(nodeId);
+    }
+    const card = document.getElementById(`node-${nodeId}`);
+    if (card) card.classList.toggle('node-selected', selected);
+}
+
+function clearSelection() {
+    getSelectedNodeIds().forEach(id => setNodeSelected(id, false));
+    selectedNodeIds = new Set();
+    renderBulkActionBar();
+}
+
+// Modifier clicks select instead of doing what the card would otherwise do
+function handleSelectionClick(e) {
+    if (!(e.ctrlKey || e.metaKey || e.shiftKey)) return;
+    const card = e.target.closest('.node-card[data-node-id]');
+    if (!card) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const nodeId = card.dataset.nodeId;
+    setNodeSelected(nodeId, !selectedNodeIds.has(nodeId));
+    renderBulkActionBar();
+}
+
+// --- Lasso ---
+
+function clientToTreePoint(clientX, clientY) {
+    const origin = contentWrapper.getBoundingClientRect();
+    return { x: (clientX - origin.left) / currentScale, y: (clientY - origin.top) / currentScale };
+}
+
+function handleLassoPointerDown(e) {
+    if (e.pointerType !== 'mouse' || e.button !== 0 || !e.shiftKey || e.target.closest(PAN_IGNORE_SELECTOR)) return;
+    const start = clientToTreePoint(e.clientX, e.clientY);
+    const element = document.createElement('div');
+    element.className = 'lasso-rect';
+    contentWrapper.appendChild(element);
+    lassoState = { pointerId: e.pointerId, startX: start.x, startY: start.y, element };
+    vizWrapper.setPointerCapture(e.pointerId);
+    e.preventDefault();
+    updateLasso(e);
+}
+
+function getLassoRect(e) {
+    const point = clientToTreePoint(e.clientX, e.clientY);
+    return {
+        x: Math.min(point.x, lassoState.startX),
+        y: Math.min(point.y, lassoState.startY),
+        w: Math.abs(point.x - lassoState.startX),
+        h: Math.abs(point.y - lassoState.startY)
+    };
+}
+
+function updateLasso(e) {
+    const rect = getLassoRect(e);
+    Object.assign(lassoState.element.style, {
+        left: `${rect.x}px`,
+        top: `${rect.y}px`,
+        width: `${rect.w}px`,
+        height: `${rect.h}px`
+    });
+}
+
+function handleLassoPointerMove(e) {
+    if (!lassoState || e.pointerId !== lassoState.pointerId) return;
+    updateLasso(e);
+}
+
+// Every drawn card that touches the lasso joins the selection
+function handleLassoPointerUp(e) {
+    if (!lassoState || e.pointerId !== lassoState.pointerId) return;
+    const lasso = getLassoRect(e);
+    lassoState.element.remove();
+    lassoState = null;
+    if (vizWrapper.hasPointerCapture(e.pointerId)) vizWrapper.releasePointerCapture(e.pointerId);
+    if (lasso.w < 4 && lasso.h < 4) return; // a shift-click, handled as a click
+
+    getDrawnNodeRects().forEach(({ id, rect }) => {
+        if (rect.x < lasso.x + lasso.w && rect.x + rect.w > lasso.x && rect.y < lasso.y + lasso.h && rect.y + rect.h > lasso.y) {
+            setNodeSelected(id, true);
+        }
+    });
+    renderBulkActionBar();
+}
+
+// --- Bulk actions ---
+
+// Selected nodes in display order (the order the changes are queued and reported in)
+function getSelectionInDisplayOrder() {
+    const order = [];
+    const seen = new Set();
+    const visit = (nodeId) => {
+        if (seen.has(nodeId) || !nodeMap[nodeId]) return;
+        seen.add(nodeId);
+        if (selectedNodeIds.has(nodeId)) order.push(nodeId);
+        getOrderedChildIds(nodeId).forEach(visit);
+    };
+    visit(stableRootId);
+    return order.concat(getSelectedNodeIds().filter(id => !seen.has(id)));
+}
+
+// Selected nodes with a selected ancestor travel with that ancestor
+function hasSelectedAncestor(nodeId) {
+    return getSelectedNodeIds().some(otherId => otherId !== nodeId && isDescendantOf(nodeId, otherId));
+}
+
+/**
+ * Builds the changes for one bulk action without queueing anything.
+ * @returns {{title: string, focusId: string|null, changes: Array<{kind, payload, label, baseline}>,
+ *            redo: Array, undo: Array, skipped: string[]}}
+ */
+function planBulkAction(action, value) {
+    const plan = { title: '', focusId: null, changes: [], redo: [], undo: [], skipped: [] };
+    const nodeIds = getSelectionInDisplayOrder();
+    const skip = (nodeId, reason) => plan.skipped.push(`${nodeMap[nodeId].name}: ${reason}`);
+
+    if (action === 'status') {
+        plan.title = `Set status of ${nodeIds.length} node(s) to ${value}`;
+        nodeIds.forEach(nodeId => {
+            const node = nodeMap[nodeId];
+            if (node.status === value) return skip(nodeId, `already ${value}`);
+            if (!canTransitionStatus(node.status, value)) return skip(nodeId, `the workflow does not allow '${node.status}' → '${value}'`);
+            const previousFields = pickNodeFields(node);
+            const fields = { ...previousFields, status: value };
+            plan.changes.push({ kind: 'updateNode', payload: { nodeId, fields }, label: `Status of '${node.name}'`, baseline: previousFields });
+            plan.redo.push({ op: 'mutation', kind: 'updateNode', payload: { nodeId, fields } });
+            plan.undo.push({ op: 'mutation', kind: 'updateNode', payload: { nodeId, fields: previousFields } });
+        });
+    } else if (action === 'delete') {
+        plan.title = `Delete ${nodeIds.length} node(s)`;
+        nodeIds.forEach(nodeId => {
+            if (nodeId === stableRootId) return skip(nodeId, 'the root cannot be deleted');
+            if ((nodeMap[nodeId].children || []).length > 0) return skip(nodeId, 'not a leaf');
+            plan.changes.push({ kind: 'deleteNode', nodeId });
+            plan.redo.push({ op: 'delete', nodeId });
+            plan.undo.push(...buildDeleteRestoreSteps(nodeId));
+            plan.focusId = plan.focusId || getParentIds(nodeId)[0] || null;
+        });
+    } else if (action === 'move') {
+        const targetName = nodeMap[value].name;
+        plan.title = `Move ${nodeIds.length} node(s) under '${targetName}'`;
+        plan.focusId = value;
+        nodeIds.forEach(nodeId => {
+            if (nodeId === stableRootId) return skip(nodeId, 'the root cannot be moved');
+            if (hasSelectedAncestor(nodeId)) return skip(nodeId, 'moves with its selected ancestor');
+            const fromParentId = getRenderedParentId(nodeId) || getParentIds(nodeId)[0];
+            const problem = getMoveProblem(nodeId, fromParentId, value)
+                || (fromParentId === value ? `already under '${targetName}'` : null);
+            if (problem) return skip(nodeId, problem.replace(`'${nodeMap[nodeId].name}' `, ''));
+            plan.changes.push({ kind: 'moveNode', nodeId, fromParentId, toParentId: value });
+        });
+    } else if (action === 'link') {
+        const targetName = nodeMap[value].name;
+        plan.title = `Link ${nodeIds.length} node(s) under '${targetName}'`;
+        plan.focusId = value;
+        nodeIds.forEach(nodeId => {
+            if ((nodeMap[value].children || []).includes(nodeId)) return skip(nodeId, `already under '${targetName}'`);
+            if (nodeId === value || isDescendantOf(value, nodeId)) return skip(nodeId, 'would create a cycle');
+            const payload = { parentId: value, childId: nodeId };
+            plan.changes.push({ kind: 'createRelation', payload, label: `Link ${targetName} → ${nodeMap[nodeId].name}` });
+            plan.redo.push({ op: 'mutation', kind: 'createRelation', payload });
+            plan.undo.push({ op: 'mutation', kind: 'deleteRelation', payload });
+        });
+    }
+    return plan;
+}
+
+function runBulkAction(action, value) {
+    const plan = planBulkAction(action, value);
+    const jobId = `bulk-${Date.now().toString(36)}`;
+    bulkJob = {
+        id: jobId,
+        title: plan.title,
+        total: plan.changes.length,
+        settled: 0,
+        failed: [],
+        skipped: plan.skipped,
+        finished: plan.changes.length === 0
+    };
+
+    plan.changes.forEach(change => {
+        if (change.kind === 'deleteNode') {
+            queueNodeDeletion(change.nodeId, { tag: jobId });
+            setNodeSelected(change.nodeId, false);
+        } else if (change.kind === 'moveNode') {
+            // Queued one by one, so each childOrder already contains the nodes moved before it
+            const { nodeId, fromParentId, toParentId } = change;
+            const childOrder = buildChildOrder(toParentId, nodeId);
+            const previousIndex = getOrderedChildIds(fromParentId).indexOf(nodeId);
+            queueMutation('moveNode', { childId: nodeId, fromParentId, toParentId, childOrder }, {
+                label: `Move '${nodeMap[nodeId].name}' under '${nodeMap[toParentId].name}'`,
+                tag: jobId
+            });
+            plan.redo.push({ op: 'place', childId: nodeId, fromParentId, toParentId, index: childOrder.indexOf(nodeId) });
+            plan.undo.unshift({ op: 'place', childId: nodeId, fromParentId: toParentId, toParentId: fromParentId, index: previousIndex });
+        } else {
+            queueMutation(change.kind, change.payload, { label: change.label, baseline: change.baseline || null, tag: jobId });
+        }
+    });
+
+    if (plan.changes.length > 0) {
+        recordHistory(plan.title, plan.redo, plan.undo, plan.focusId);
+        nodeToFocusId = plan.focusId;
+        loadAndRenderVisuals(stableRootId);
+    } else {
+        showMessage(`Nothing to do: ${plan.skipped.length} node(s) skipped.`, 'info');
+    }
+    renderBulkActionBar();
+}
+
+function handleBulkEntrySettled(entry, error) {
+    if (!bulkJob || bulkJob.finished || entry.tag !== bulkJob.id) return;
+    bulkJob.settled++;
+    if (error) bulkJob.failed.push(`${entry.label}: ${error}`);
+    if (bulkJob.settled >= bulkJob.total) {
+        bulkJob.finished = true;
+        const saved = bulkJob.total - bulkJob.failed.length;
+        showMessage(
+            `${bulkJob.title}: ${saved} saved, ${bulkJob.failed.length} failed, ${bulkJob.skipped.length} skipped.`,
+            bulkJob.failed.length > 0 ? 'error' : 'success'
+        );
+    }
+    renderBulkActionBar();
+}
+
+// --- Bulk action bar ---
+
+function renderBulkActionBar() {
+    const bar = document.getElementById('bulk-action-bar');
+    if (!bar) return;
+    const count = getSelectedNodeIds().length;
+    bar.style.display = count > 0 || bulkJob ? 'block' : 'none';
+    document.getElementById('bulk-selection-count').textContent = `${count} selected`;
+    document.querySelectorAll('#bulk-action-bar [data-needs-selection]').forEach(button => {
+        button.disabled = count === 0;
+    });
+
+    const progress = document.getElementById('bulk-progress');
+    progress.classList.toggle('hidden', !bulkJob);
+    if (!bulkJob) return;
+
+    const percent = bulkJob.total === 0 ? 100 : Math.round((bulkJob.settled / bulkJob.total) * 100);
+    document.getElementById('bulk-progress-bar').style.width = `${percent}%`;
+    let state = `${bulkJob.title}: ${bulkJob.settled} of ${bulkJob.total} change(s) saved`;
+    if (!bulkJob.finished && isOutboxOffline) state += ' – paused while the backend is unreachable';
+    document.getElementById('bulk-progress-label').textContent = state;
+
+    const report = document.getElementById('bulk-report');
+    report.innerHTML = '';
+    const addLine = (text, className) => {
+        const item = document.createElement('li');
+        item.className = className;
+        item.textContent = text;
+        report.appendChild(item);
+    };
+    bulkJob.failed.forEach(line => addLine(`Failed – ${line}`, 'text-red-700'));
+    bulkJob.skipped.forEach(line => addLine(`Skipped – ${line}`, 'text-gray-500'));
+}
+
+function dismissBulkReport() {
+    bulkJob = null;
+    renderBulkActionBar();
+}
+
+function openBulkActionModal(action) {
+    if (getSelectedNodeIds().length === 0) return;
+    pendingBulkAction = action;
+    const count = getSelectedNodeIds().length;
+    document.getElementById('bulk-modal-title').textContent = `${BULK_ACTIONS[action]} – ${count} node(s)`;
+
+    const statusRow = document.getElementById('bulk-status-row');
+    const targetRow = document.getElementById('bulk-target-row');
+    statusRow.classList.toggle('hidden', action !== 'status');
+    targetRow.classList.toggle('hidden', action !== 'move' && action !== 'link');
+    if (action === 'status') {
+        fillStatusSelect(document.getElementById('bulk-status-select'));
+    } else if (action === 'move' || action === 'link') {
+        fillNodeSelect(document.getElementById('bulk-target-select'), null, node => (
+            `${getFriendlyIdLabel(node) ? `${getFriendlyIdLabel(node)} · ` : ''}${node.name}`
+        ));
+    }
+    document.getElementById('bulk-delete-note').classList.toggle('hidden', action !== 'delete');
+    document.getElementById('bulk-action-modal').style.display = 'flex';
+}
+
+function closeBulkActionModal() {
+    document.getElementById('bulk-action-modal').style.display = 'none';
+    pendingBulkAction = null;
+}
+
+function handleBulkActionConfirm() {
+    const action = pendingBulkAction;
+    if (!action) return;
+    let value = null;
+    if (action === 'status') value = document.getElementById('bulk-status-select').value;
+    if (action === 'move' || action === 'link') value = document.getElementById('bulk-target-select').value;
+    closeBulkActionModal();
+    runBulkAction(action, value);
+}
+
+function exportSelection() {
+    if (getSelectedNodeIds().length === 0) return;
+    openExportModal(EXPORT_SELECTION_SCOPE);
+}
+
+function initBulkSelection() {
+    // Capture phase: a modifier click must not reach the card's own buttons
+    vizWrapper.addEventListener('click', handleSelectionClick, true);
+    // Shift-drag draws the lasso; handlePanPointerDown leaves it alone
+    vizWrapper.addEventListener('pointerdown', handleLassoPointerDown);
+    vizWrapper.addEventListener('pointermove', handleLassoPointerMove);
+    vizWrapper.addEventListener('pointerup', handleLassoPointerUp);
+    vizWrapper.addEventListener('pointercancel', handleLassoPointerUp);
+    renderBulkActionBar();
+}
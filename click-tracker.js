@@ -0,0 +1,60 @@
+// --- Embeddable Click Tracker ---
+// Standalone snippet for published pages: reports real link clicks to the flowchart
+// backend's POST /link/click. It has no dependencies on the builder.
+//
+//   <script src="click-tracker.js" data-api="https://backend.example.com" defer></script>
+//   <nav data-tree-source="PARENT_CONTENT_ID">
+//       <a href="/pricing" data-tree-target="CHILD_CONTENT_ID">Pricing</a>
+//   </nav>
+//
+// The source is the closest data-tree-source (on the link or an ancestor), falling back
+// to data-source on the script tag. Other code can report clicks itself with
+// TreeClickTracker.track(sourceId, targetId). The backend must allow cross-origin POSTs
+// from the published site.
+
+(function () {
+    const script = document.currentScript;
+    const apiBase = ((script && script.dataset.api) || '').replace(/\/+$/, '');
+    const pageSourceId = (script && script.dataset.source) || null;
+
+    function track(sourceId, targetId) {
+        if (!apiBase || !sourceId || !targetId) return false;
+        const body = JSON.stringify({ sourceId, targetId, clickedAt: new Date().toISOString() });
+        const url = `${apiBase}/link/click`;
+
+        // keepalive lets the request finish while the browser follows the link
+        if (window.fetch) {
+            fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true,
+                mode: 'cors'
+            }).catch(() => { /* Tracking must never break navigation */ });
+            return true;
+        }
+        if (navigator.sendBeacon) {
+            return navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }));
+        }
+        return false;
+    }
+
+    function handleClick(event) {
+        const link = event.target.closest && event.target.closest('[data-tree-target]');
+        if (!link) return;
+        const sourceElement = link.closest('[data-tree-source]');
+        const sourceId = sourceElement ? sourceElement.dataset.treeSource : pageSourceId;
+        track(sourceId, link.dataset.treeTarget);
+    }
+
+    if (!apiBase) {
+        console.warn('click-tracker.js: add data-api="<backend URL>" to the script tag.');
+    }
+    // Capture phase so links whose handlers stop propagation are still counted
+    document.addEventListener('click', handleClick, true);
+    // Middle-click opens the link in a new tab
+    document.addEventListener('auxclick', (event) => {
+        if (event.button === 1) handleClick(event);
+    }, true);
+    window.TreeClickTracker = { track };
+})();
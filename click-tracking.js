@@ -0,0 +1,127 @@
+// --- Click Tracking ---
+// A click is recorded (POST /link/click through the outbox) whenever someone follows a
+// parent -> child link in the builder: stepping down with the keyboard, a cross-link
+// reference or a row of the outbound popup. Published pages report their own clicks with
+// the standalone click-tracker.js snippet; the modal below generates its markup.
+// /clicks/history/:bucket gives per-link counts per day/week/month for the analytics
+// dashboard; backends without it simply have no "Clicks over time" data.
+
+const CLICK_REPEAT_WINDOW_MS = 2000;
+const CLICK_HISTORY_BUCKETS = {
+    day: 'Daily',
+    week: 'Weekly',
+    month: 'Monthly'
+};
+
+let lastTrackedClick = null;    // { key, at } of the last recorded click
+
+// Only real links count: the target must be a child of the source
+function isTrackableLink(sourceId, targetId) {
+    const source = nodeMap[sourceId];
+    return Boolean(source && nodeMap[targetId] && (source.children || []).includes(targetId));
+}
+
+// Records one click on sourceId -> targetId; repeats within a moment count once
+function trackLinkClick(sourceId, targetId) {
+    if (!isTrackableLink(sourceId, targetId)) return false;
+
+    const key = `${sourceId}>${targetId}`;
+    const now = Date.now();
+    if (lastTrackedClick && lastTrackedClick.key === key && now - lastTrackedClick.at < CLICK_REPEAT_WINDOW_MS) {
+        return false;
+    }
+    lastTrackedClick = { key, at: now };
+
+    queueMutation('recordClick', { sourceId, targetId, clickedAt: new Date(now).toISOString() }, {
+        label: `Click ${nodeMap[sourceId].name} → ${nodeMap[targetId].name}`
+    });
+    return true;
+}
+
+// Navigates along a link and records the click
+function followLink(sourceId, targetId) {
+    if (!nodeMap[targetId]) return;
+    trackLinkClick(sourceId, targetId);
+    closeConnectionPopups();
+
+    if (isNodeDrawn(targetId)) {
+        focusNode(targetId);
+        return;
+    }
+    // Folded away or filtered out of the drawing: unfold and re-render around it
+    expandAncestors(targetId);
+    nodeToFocusId = targetId;
+    loadAndRenderVisuals(stableRootId);
+}
+
+// --- Click history ---
+
+// { bucket, periods: ['2026-10-19', ...], links: [{ sourceId, targetId, counts }] },
+// or null when this backend does not keep click times
+async function loadClickHistory(bucket) {
+    try {
+        return await fetchWithRetry(`/clicks/history/${encodeURIComponent(bucket)}`);
+    } catch (error) {
+        if (error.status === 404) return null;
+        throw error;
+    }
+}
+
+// --- Embeddable tracker snippet ---
+
+function getTrackerScriptUrl() {
+    return new URL('click-tracker.js', window.location.href).href;
+}
+
+function buildTrackerSnippet(nodeId) {
+    const node = nodeMap[nodeId];
+    const apiBase = isMockApi() ? 'https://your-backend.example.com' : API_BASE_URL;
+    const lines = [
+        `<script src="${getTrackerScriptUrl()}" data-api="${apiBase}" defer></script>`,
+        '',
+        `<!-- Links on the "${escapeXml(node.name)}" page -->`,
+        `<nav data-tree-source="${nodeId}">`
+    ];
+    const childIds = getOrderedChildIds(nodeId).filter(id => nodeMap[id]);
+    childIds.forEach(childId => {
+        lines.push(`    <a href="#" data-tree-target="${childId}">${escapeXml(nodeMap[childId].name)}</a>`);
+    });
+    if (childIds.length === 0) {
+        lines.push('    <!-- This node has no children yet -->');
+    }
+    lines.push('</nav>');
+    return lines.join('\n');
+}
+
+function openTrackerSnippetModal(nodeId) {
+    nodeId = nodeMap[nodeId] ? nodeId : (nodeMap[lastFocusedNodeId] ? lastFocusedNodeId : stableRootId);
+    if (!nodeMap[nodeId]) return;
+
+    fillNodeSelect(document.getElementById('tracker-node-select'), nodeId, node => (
+        `${getFriendlyIdLabel(node) ? `${getFriendlyIdLabel(node)} · ` : ''}${node.name}`
+    ));
+    document.getElementById('tracker-mock-note').classList.toggle('hidden', !isMockApi());
+    updateTrackerSnippet();
+    document.getElementById('tracker-snippet-modal').style.display = 'flex';
+}
+
+function closeTrackerSnippetModal() {
+    document.getElementById('tracker-snippet-modal').style.display = 'none';
+}
+
+function updateTrackerSnippet() {
+    const nodeId = document.getElementById('tracker-node-select').value;
+    document.getElementById('tracker-snippet').value = nodeMap[nodeId] ? buildTrackerSnippet(nodeId) : '';
+}
+
+async function copyTrackerSnippet() {
+    const snippet = document.getElementById('tracker-snippet');
+    try {
+        await navigator.clipboard.writeText(snippet.value);
+        showMessage('Tracking snippet copied to the clipboard.', 'success');
+    } catch (e) {
+        snippet.focus();
+        snippet.select();
+        showMessage('Could not copy automatically; the text is selected, press Ctrl+C.', 'info');
+    }
+}
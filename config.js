@@ -0,0 +1,7 @@
+// Deployment configuration for the Knowledge Tree Builder.
+// Loaded before api.js on every page. The backend can still be overridden per
+// browser with ?api=<url> (remembered in localStorage, ?api=default clears it).
+// Set apiBaseUrl to "mock" to run fully offline against the in-browser adapter.
+window.TREE_CONFIG = {
+    apiBaseUrl: "https://nextwebi-backend.onrender.com"
+};
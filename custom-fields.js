@@ -0,0 +1,485 @@
+// --- Custom Fields ---
+// Project-defined metadata on nodes (owner, due date, priority, tags, ...). The schema is a
+// project setting like the status workflow: loaded from /settings/fields, saved through the
+// outbox and cached per backend in localStorage, which is also where it lives when the
+// backend has no settings endpoint. Values are stored on the node as
+// node.customFields = { key: value } (tag lists as arrays). A field's key never changes,
+// so renaming its label keeps the values; removing a field hides its values but keeps them.
+// Search terms for fields (owner:anna, tags:seo, due<today) are in search-query.js.
+
+const CUSTOM_FIELD_TYPES = {
+    text: 'Text',
+    number: 'Number',
+    date: 'Date',
+    enum: 'Choice',
+    user: 'User',
+    url: 'URL',
+    tags: 'Tag list'
+};
+const DEFAULT_FIELD_SCHEMA = [
+    { key: 'owner', label: 'Owner', type: 'user', options: [], showOnCard: true },
+    { key: 'due', label: 'Due date', type: 'date', options: [], showOnCard: true },
+    { key: 'keyword', label: 'Target keyword', type: 'text', options: [], showOnCard: false },
+    { key: 'pageUrl', label: 'Page URL', type: 'url', options: [], showOnCard: false },
+    { key: 'priority', label: 'Priority', type: 'enum', options: ['High', 'Medium', 'Low'], showOnCard: true },
+    { key: 'tags', label: 'Tags', type: 'tags', options: [], showOnCard: true }
+];
+const FIELD_SCHEMA_CACHE_KEY = `fieldSchema:${API_BASE_URL}`;
+const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-zA-Z0-9]*$/;
+// Search words a field key may not take over (see SEARCH_FIELDS and in/out/depth)
+const RESERVED_FIELD_KEYS = ['name', 'desc', 'description', 'status', 'id', 'in', 'out', 'depth'];
+
+// [{ key, label, type, options, showOnCard }] in display order
+let fieldSchema = normalizeFieldSchema(DEFAULT_FIELD_SCHEMA);
+
+function normalizeFieldSchema(fields) {
+    const seen = new Set();
+    return (Array.isArray(fields) ? fields : [])
+        .map(field => ({
+            key: typeof field.key === 'string' ? field.key : '',
+            label: typeof field.label === 'string' ? field.label.trim() : '',
+            type: CUSTOM_FIELD_TYPES[field.type] ? field.type : 'text',
+            options: Array.isArray(field.options) ? [...new Set(field.options.map(option => String(option).trim()).filter(Boolean))] : [],
+            showOnCard: Boolean(field.showOnCard)
+        }))
+        .filter(field => {
+            if (!CUSTOM_FIELD_KEY_PATTERN.test(field.key) || RESERVED_FIELD_KEYS.includes(field.key.toLowerCase())) return false;
+            if (!field.label || seen.has(field.key)) return false;
+            seen.add(field.key);
+            return true;
+        });
+}
+
+function loadCachedFieldSchema() {
+    try {
+        return JSON.parse(localStorage.getItem(FIELD_SCHEMA_CACHE_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Replaces the schema and refreshes everything derived from it (filter panel, cache)
+function setFieldSchema(fields) {
+    fieldSchema = normalizeFieldSchema(fields);
+    try {
+        localStorage.setItem(FIELD_SCHEMA_CACHE_KEY, JSON.stringify(fieldSchema));
+    } catch (e) { /* ignore */ }
+    fillCustomFieldFilterSelect();
+}
+
+async function loadFieldSchema() {
+    let fields = loadCachedFieldSchema() || DEFAULT_FIELD_SCHEMA;
+    try {
+        // One attempt only, like loadStatusRegistry()
+        const response = await apiFetch('/settings/fields');
+        if (response.ok) {
+            const data = await response.json();
+            if (Array.isArray(data.fields)) {
+                fields = data.fields;
+            }
+        }
+        // 404: this backend has no settings endpoint, keep the copy saved in this browser
+    } catch (e) { /* Offline: cached copy */ }
+    setFieldSchema(fields);
+}
+
+function getCustomFieldDefinition(key) {
+    return fieldSchema.find(field => field.key === key) || null;
+}
+
+// Resolves what a user typed ("owner", "Due-date", "pageurl") to a field by key or label
+function findCustomField(name) {
+    const wanted = String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (!wanted) return null;
+    return fieldSchema.find(field => (
+        field.key.toLowerCase() === wanted || field.label.toLowerCase().replace(/[^a-z0-9]/g, '') === wanted
+    )) || null;
+}
+
+// "Page URL" -> "pageUrl", unique within the schema and never a reserved search word
+function makeCustomFieldKey(label, takenKeys) {
+    const words = label.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+    let base = words.map((word, i) => (i === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+    if (!/^[a-z]/.test(base)) base = `field${base}`;
+    if (RESERVED_FIELD_KEYS.includes(base.toLowerCase())) base = `${base}Field`;
+    let key = base;
+    for (let n = 2; takenKeys.includes(key); n++) key = `${base}${n}`;
+    return key;
+}
+
+// --- Values ---
+
+function isEmptyFieldValue(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function getCustomFieldValue(node, key) {
+    return (node.customFields || {})[key];
+}
+
+function formatCustomFieldValue(field, value) {
+    if (isEmptyFieldValue(value)) return '';
+    return field.type === 'tags' && Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+// "seo, Q4,seo" -> ['seo', 'Q4'] (first spelling wins)
+function parseTagList(text) {
+    const seen = new Set();
+    return String(text || '').split(/[,\n]/).map(tag => tag.trim()).filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// { value } for a typed value (undefined = empty), or { error }
+function parseCustomFieldInput(field, text) {
+    const raw = String(text || '').trim();
+    if (!raw) return { value: undefined };
+    switch (field.type) {
+        case 'number': {
+            const number = Number(raw);
+            return Number.isFinite(number) ? { value: number } : { error: `${field.label} must be a number.` };
+        }
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/.test(raw) ? { value: raw } : { error: `${field.label} must be a date (YYYY-MM-DD).` };
+        case 'url':
+            return /^https?:\/\//i.test(raw) ? { value: raw } : { error: `${field.label} must start with http:// or https://.` };
+        case 'tags': {
+            const tags = parseTagList(raw);
+            return { value: tags.length > 0 ? tags : undefined };
+        }
+        default:
+            return { value: raw };
+    }
+}
+
+function sameCustomFieldValues(a, b) {
+    const canonical = values => JSON.stringify(Object.keys(values || {}).sort().map(key => [key, values[key]]));
+    return canonical(a) === canonical(b);
+}
+
+// Values used anywhere in the tree, for suggestions (user names, tags, filter values)
+function collectCustomFieldValues(key) {
+    const values = new Set();
+    Object.values(nodeMap).forEach(node => {
+        const value = getCustomFieldValue(node, key);
+        if (isEmptyFieldValue(value)) return;
+        (Array.isArray(value) ? value : [value]).forEach(item => values.add(String(item)));
+    });
+    return [...values].sort((a, b) => a.localeCompare(b));
+}
+
+function fillDatalist(datalist, values) {
+    datalist.innerHTML = '';
+    values.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        datalist.appendChild(option);
+    });
+}
+
+// --- Node card ---
+
+// One compact line with the fields marked "show on card" that have a value
+function customFieldsCardHtml(node) {
+    const parts = fieldSchema
+        .filter(field => field.showOnCard && !isEmptyFieldValue(getCustomFieldValue(node, field.key)))
+        .map(field => {
+            const value = getCustomFieldValue(node, field.key);
+            if (field.type === 'tags') {
+                return (Array.isArray(value) ? value : [value])
+                    .map(tag => `<span class="custom-field-tag">#${escapeHtml(tag)}</span>`).join(' ');
+            }
+            return `<span title="${escapeHtml(field.label)}">${escapeHtml(field.label)}: ${escapeHtml(formatCustomFieldValue(field, value))}</span>`;
+        });
+    if (parts.length === 0) return '';
+    return `<p class="custom-fields-line text-[7px] text-gray-700 pl-4 pr-4 truncate">${parts.join(' · ')}</p>`;
+}
+
+// --- Edit modal ---
+
+function createCustomFieldControl(field, value) {
+    let control;
+    if (field.type === 'enum') {
+        control = document.createElement('select');
+        control.className = 'w-full p-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-yellow-500 focus:border-yellow-500';
+        const choices = [''].concat(field.options);
+        // Keep a value that is no longer one of the options selectable
+        if (!isEmptyFieldValue(value) && !field.options.includes(value)) choices.push(value);
+        choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice;
+            option.textContent = choice === '' ? '—' : (field.options.includes(choice) ? choice : `${choice} (not in list)`);
+            control.appendChild(option);
+        });
+    } else {
+        control = document.createElement('input');
+        control.type = { number: 'number', date: 'date', url: 'url' }[field.type] || 'text';
+        if (field.type === 'number') control.step = 'any';
+        control.className = 'w-full p-2 text-sm border border-gray-300 rounded-lg focus:ring-yellow-500 focus:border-yellow-500';
+        if (field.type === 'user') control.setAttribute('list', 'custom-field-users');
+        if (field.type === 'url') control.placeholder = 'https://...';
+        if (field.type === 'tags') {
+            control.placeholder = 'Comma separated, e.g. seo, q4';
+            control.setAttribute('list', `custom-field-values-${field.key}`);
+        }
+    }
+    control.value = formatCustomFieldValue(field, value);
+    control.dataset.fieldKey = field.key;
+    control.id = `edit-custom-field-${field.key}`;
+    return control;
+}
+
+// Called by openEditModal()
+function fillCustomFieldEditor(node) {
+    const container = document.getElementById('edit-custom-fields');
+    container.innerHTML = '';
+    document.getElementById('edit-custom-fields-section').classList.toggle('hidden', fieldSchema.length === 0);
+
+    fillDatalist(document.getElementById('custom-field-users'), fieldSchema
+        .filter(field => field.type === 'user')
+        .reduce((names, field) => names.concat(collectCustomFieldValues(field.key)), []));
+
+    fieldSchema.forEach(field => {
+        const row = document.createElement('div');
+        const label = document.createElement('label');
+        label.className = 'block text-xs font-medium text-gray-600';
+        label.textContent = field.label;
+        label.htmlFor = `edit-custom-field-${field.key}`;
+        row.append(label, createCustomFieldControl(field, getCustomFieldValue(node, field.key)));
+        if (field.type === 'tags') {
+            const suggestions = document.createElement('datalist');
+            suggestions.id = `custom-field-values-${field.key}`;
+            fillDatalist(suggestions, collectCustomFieldValues(field.key));
+            row.appendChild(suggestions);
+        }
+        container.appendChild(row);
+    });
+}
+
+// node.customFields after the edit, or null (with a message) when a value is invalid.
+// Values of fields that were removed from the schema are carried over untouched.
+function readEditCustomFields(node) {
+    const values = {};
+    Object.entries(node.customFields || {}).forEach(([key, value]) => {
+        if (!getCustomFieldDefinition(key)) values[key] = value;
+    });
+    for (const control of document.querySelectorAll('#edit-custom-fields [data-field-key]')) {
+        const field = getCustomFieldDefinition(control.dataset.fieldKey);
+        if (!field) continue;
+        const parsed = parseCustomFieldInput(field, control.value);
+        if (parsed.error) {
+            showMessage(parsed.error, 'error');
+            control.focus();
+            return null;
+        }
+        if (!isEmptyFieldValue(parsed.value)) values[field.key] = parsed.value;
+    }
+    return values;
+}
+
+// --- Filter panel ---
+
+function fillCustomFieldFilterSelect() {
+    const select = document.getElementById('custom-field-filter-select');
+    if (!select) return;
+    const selected = select.value;
+    select.innerHTML = '';
+    const addOption = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    };
+    addOption('', 'No field filter');
+    fieldSchema.forEach(field => addOption(field.key, `${field.label} (${CUSTOM_FIELD_TYPES[field.type]})`));
+    select.value = getCustomFieldDefinition(selected) ? selected : '';
+    updateCustomFieldFilterValues();
+}
+
+// Suggestions for the filter value: the field's options or the values in use
+function updateCustomFieldFilterValues() {
+    const field = getCustomFieldDefinition(document.getElementById('custom-field-filter-select').value);
+    const input = document.getElementById('custom-field-filter-value');
+    input.disabled = !field;
+    input.placeholder = !field ? '' : (field.type === 'number' || field.type === 'date'
+        ? `Any value, or e.g. ${field.type === 'date' ? '<today, >=2026-01-01' : '>5, <=10'}`
+        : 'Any value');
+    fillDatalist(document.getElementById('custom-field-filter-values'), field
+        ? (field.type === 'enum' ? field.options : collectCustomFieldValues(field.key))
+        : []);
+}
+
+function handleCustomFieldFilterChange() {
+    document.getElementById('custom-field-filter-value').value = '';
+    updateCustomFieldFilterValues();
+    applyFilters();
+}
+
+// The filter as a search term: "owner:*" (any value), "owner:"anna"", "due<2026-11-01"
+function buildCustomFieldFilterText(field, text) {
+    const raw = text.trim().replace(/"/g, '');
+    if (!raw) return `${field.key}:*`;
+    const compare = /^(>=|<=|!=|>|<|=)\s*(\S+)$/.exec(raw);
+    if (compare && (field.type === 'number' || field.type === 'date')) return `${field.key}${compare[1]}${compare[2]}`;
+    return `${field.key}:"${raw}"`;
+}
+
+let customFieldFilterCache = { text: null, query: null };
+// { matchIds, contextIds } while the field filter is on: matching nodes, plus every node
+// above them so they stay reachable in the tree (like the search's ancestor context)
+let customFieldFilterState = null;
+
+// Parsed query for the filter panel's field filter, or null when it is off
+function getCustomFieldFilterQuery() {
+    const select = document.getElementById('custom-field-filter-select');
+    const field = select ? getCustomFieldDefinition(select.value) : null;
+    if (!field) return null;
+    const text = buildCustomFieldFilterText(field, document.getElementById('custom-field-filter-value').value);
+    if (customFieldFilterCache.text !== text) {
+        customFieldFilterCache = { text, query: parseSearchQuery(text) };
+    }
+    return customFieldFilterCache.query;
+}
+
+// Called by applyFilters() before it renders
+function updateCustomFieldFilterState() {
+    const query = getCustomFieldFilterQuery();
+    if (!query) {
+        customFieldFilterState = null;
+        return;
+    }
+    const matchIds = Object.keys(nodeMap).filter(id => scoreSearchQuery(query, nodeMap[id], nodeSearchContext()) !== null);
+    customFieldFilterState = { matchIds: new Set(matchIds), contextIds: getAncestorContextIds(matchIds) };
+}
+
+// --- Schema editor modal ---
+
+function openFieldSchemaModal() {
+    const container = document.getElementById('field-schema-rows');
+    container.innerHTML = '';
+    fieldSchema.forEach(field => addFieldSchemaRow(field));
+    document.getElementById('field-schema-modal').style.display = 'flex';
+}
+
+function closeFieldSchemaModal() {
+    document.getElementById('field-schema-modal').style.display = 'none';
+}
+
+function addFieldSchemaRow(field = { key: '', label: '', type: 'text', options: [], showOnCard: false }) {
+    const container = document.getElementById('field-schema-rows');
+    const row = document.createElement('div');
+    row.className = 'border p-3 rounded-lg bg-gray-50 space-y-2';
+    // Existing fields keep their key (and so their values) when the label changes
+    row.dataset.key = field.key;
+
+    row.innerHTML = `
+        <div class="flex space-x-2 items-center">
+            <input type="text" name="field-label" placeholder="Field name (Required)"
+                   class="flex-1 p-2 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500">
+            <select name="field-type" class="p-2 border border-gray-300 rounded-lg text-sm bg-white"></select>
+            <button type="button" data-move="-1" title="Move up" class="px-1 text-gray-500 hover:text-gray-800">
+                <svg data-lucide="chevron-up" width="16" height="16"></svg>
+            </button>
+            <button type="button" data-move="1" title="Move down" class="px-1 text-gray-500 hover:text-gray-800">
+                <svg data-lucide="chevron-down" width="16" height="16"></svg>
+            </button>
+            <button type="button" data-remove title="Remove this field" class="px-1 text-red-500 hover:text-red-700">
+                <svg data-lucide="x" width="16" height="16"></svg>
+            </button>
+        </div>
+        <input type="text" name="field-options" placeholder="Choices, comma separated (e.g. High, Medium, Low)"
+               class="w-full p-2 border border-gray-300 rounded-lg text-xs focus:ring-blue-500 focus:border-blue-500">
+        <label class="flex items-center text-xs text-gray-700">
+            <input type="checkbox" name="field-on-card" class="mr-2 h-4 w-4 text-blue-600 border-gray-300 rounded">
+            Show on the node card
+        </label>
+    `;
+    const typeSelect = row.querySelector('select[name="field-type"]');
+    Object.entries(CUSTOM_FIELD_TYPES).forEach(([type, label]) => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = label;
+        typeSelect.appendChild(option);
+    });
+    typeSelect.value = field.type;
+    row.querySelector('input[name="field-label"]').value = field.label;
+    const optionsInput = row.querySelector('input[name="field-options"]');
+    optionsInput.value = field.options.join(', ');
+    optionsInput.classList.toggle('hidden', field.type !== 'enum');
+    typeSelect.addEventListener('change', () => optionsInput.classList.toggle('hidden', typeSelect.value !== 'enum'));
+    row.querySelector('input[name="field-on-card"]').checked = field.showOnCard;
+
+    row.querySelectorAll('button[data-move]').forEach(button => {
+        button.addEventListener('click', () => {
+            const sibling = button.dataset.move === '-1' ? row.previousElementSibling : row.nextElementSibling;
+            if (!sibling) return;
+            if (button.dataset.move === '-1') {
+                container.insertBefore(row, sibling);
+            } else {
+                container.insertBefore(sibling, row);
+            }
+        });
+    });
+    row.querySelector('button[data-remove]').addEventListener('click', () => row.remove());
+
+    container.appendChild(row);
+    window.lucide.createIcons();
+    return row;
+}
+
+function handleFieldSchemaSubmit(e) {
+    e.preventDefault();
+    const rows = Array.from(document.querySelectorAll('#field-schema-rows > div'));
+    const fields = rows.map(row => ({
+        key: row.dataset.key,
+        label: row.querySelector('input[name="field-label"]').value.trim(),
+        type: row.querySelector('select[name="field-type"]').value,
+        options: parseTagList(row.querySelector('input[name="field-options"]').value),
+        showOnCard: row.querySelector('input[name="field-on-card"]').checked
+    }));
+
+    // --- Validation (the modal stays open on errors) ---
+    const labels = fields.map(field => field.label);
+    if (labels.some(label => !label)) {
+        showMessage('Every field needs a name.', 'error');
+        return;
+    }
+    const duplicate = labels.find((label, i) => labels.findIndex(other => other.toLowerCase() === label.toLowerCase()) !== i);
+    if (duplicate) {
+        showMessage(`The field '${duplicate}' is listed twice.`, 'error');
+        return;
+    }
+    const withoutChoices = fields.find(field => field.type === 'enum' && field.options.length === 0);
+    if (withoutChoices) {
+        showMessage(`'${withoutChoices.label}' is a choice field; list its choices.`, 'error');
+        return;
+    }
+
+    const keptKeys = new Set(fields.map(field => field.key).filter(Boolean));
+    const removedInUse = fieldSchema
+        .filter(field => !keptKeys.has(field.key))
+        .map(field => ({ field, count: Object.values(nodeMap).filter(node => !isEmptyFieldValue(getCustomFieldValue(node, field.key))).length }))
+        .filter(entry => entry.count > 0);
+    if (removedInUse.length > 0 && !confirm(removedInUse.map(({ field, count }) => `'${field.label}' has a value on ${count} node(s).`).join('\n') +
+        '\n\nRemove anyway? The values stay stored with the nodes but are no longer shown.')) {
+        return;
+    }
+
+    // New fields get a key from their name; it does not change afterwards
+    const takenKeys = fieldSchema.map(field => field.key);
+    fields.forEach(field => {
+        if (!field.key) {
+            field.key = makeCustomFieldKey(field.label, takenKeys);
+            takenKeys.push(field.key);
+        }
+        if (field.type !== 'enum') field.options = [];
+    });
+
+    closeFieldSchemaModal();
+    queueMutation('updateFieldSchema', { fields }, { label: 'Update custom fields' });
+    showMessage('Custom fields saved.', 'success');
+    loadAndRenderVisuals(stableRootId);
+}
@@ -0,0 +1,339 @@
+// --- Export ---
+// Serialises the tree (or the subtree under one node) to lossless JSON, flat CSV, a Markdown
+// outline, a Mermaid `graph TD` block and a GraphViz DOT file. With "only what the filters
+// show" the same rule as renderNode() applies: a node hidden by isNodeVisible() hides
+// everything below it. Folds never affect an export. The multi-selection (bulk-select.js) can be
+// exported too: just the selected nodes and the relations between them.
+
+const EXPORT_FORMATS = {
+    json: { label: 'JSON (lossless)', extension: 'json', mime: 'application/json', build: exportToJson },
+    csv: { label: 'CSV (flat)', extension: 'csv', mime: 'text/csv', build: exportToCsv },
+    markdown: { label: 'Markdown outline', extension: 'md', mime: 'text/markdown', build: exportToMarkdown },
+    mermaid: { label: 'Mermaid (graph TD)', extension: 'mmd', mime: 'text/plain', build: exportToMermaid },
+    dot: { label: 'GraphViz DOT', extension: 'dot', mime: 'text/vnd.graphviz', build: exportToDot },
+};
+const EXPORT_SELECTION_SCOPE = '@selection'; // Scope select value for the multi-selection
+// Every stored node field the JSON export writes, with the value written when a node has none.
+// parseImportJson() reads the export back through the same list.
+const EXPORT_NODE_FIELDS = {
+    friendlyId: null,
+    name: '',
+    description: '',
+    status: '',
+    idPrefix: '',
+    childOrder: null,
+    links: [],
+    attachments: [],
+    customFields: {},
+};
+
+/**
+ * Nodes and relations under rootId, in display order (getOrderedChildIds).
+ * @returns {{rootId: string, rootIds: string[], nodeIds: string[], relations: Array<{parentId: string, childId: string}>}}
+ *   Every parent/child relation between exported nodes is listed, so cross-links survive.
+ *   rootIds are the nodes without an exported parent (just rootId for a subtree).
+ */
+function buildExportModel(rootId, honourFilters = false) {
+    const nodeIds = [];
+    const included = new Set();
+
+    const visit = (nodeId) => {
+        if (included.has(nodeId) || !nodeMap[nodeId]) return;
+        if (honourFilters && !isNodeVisible(nodeId)) return;
+        included.add(nodeId);
+        nodeIds.push(nodeId);
+        getOrderedChildIds(nodeId).forEach(visit);
+    };
+    visit(rootId);
+    return { rootId, rootIds: nodeIds.length > 0 ? [rootId] : [], nodeIds, relations: getExportRelations(nodeIds) };
+}
+
+function getExportRelations(nodeIds) {
+    const included = new Set(nodeIds);
+    const relations = [];
+    nodeIds.forEach(parentId => {
+        getOrderedChildIds(parentId)
+            .filter(childId => included.has(childId))
+            .forEach(childId => relations.push({ parentId, childId }));
+    });
+    return relations;
+}
+
+// The selected nodes in display order; filters do not apply to an explicit selection
+function buildSelectionExportModel() {
+    const nodeIds = getSelectionInDisplayOrder();
+    const relations = getExportRelations(nodeIds);
+    const rootIds = nodeIds.filter(nodeId => !relations.some(relation => relation.childId === nodeId));
+    return { rootId: rootIds[0] || null, rootIds, nodeIds, relations };
+}
+
+function getExportStats(nodeId) {
+    const stats = nodeStats[nodeId] || {};
+    return { inboundCount: stats.inboundCount || 0, outboundCount: stats.outboundCount || 0 };
+}
+
+// Children of nodeId that are part of the export, in display order
+function getExportChildIds(model, nodeId) {
+    return model.relations.filter(relation => relation.parentId === nodeId).map(relation => relation.childId);
+}
+
+function exportToJson(model) {
+    const data = {
+        format: 'tree-export',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        rootId: model.rootId,
+        nodes: model.nodeIds.map(nodeId => {
+            const node = nodeMap[nodeId];
+            const fields = Object.entries(EXPORT_NODE_FIELDS).map(([key, empty]) => [key, node[key] || empty]);
+            return { contentId: node.contentId, ...Object.fromEntries(fields), ...getExportStats(nodeId) };
+        }),
+        relations: model.relations
+    };
+    return JSON.stringify(data, null, 2);
+}
+
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per node; a node with several parents lists them all, separated by ';'
+function exportToCsv(model) {
+    const header = ['friendly_id', 'content_id', 'name', 'status', 'description', 'parent_ids', 'path', 'inbound', 'outbound']
+        .concat(fieldSchema.map(field => field.key));
+    const rows = model.nodeIds.map(nodeId => {
+        const node = nodeMap[nodeId];
+        const parentIds = model.relations.filter(relation => relation.childId === nodeId).map(relation => relation.parentId);
+        const stats = getExportStats(nodeId);
+        return [
+            node.friendlyId || '',
+            node.contentId,
+            node.name,
+            node.status,
+            node.description || '',
+            parentIds.join(';'),
+            getBreadcrumbPath(nodeId),
+            stats.inboundCount,
+            stats.outboundCount,
+            // One column per custom field; tag lists separated by ';' like parent_ids
+            ...fieldSchema.map(field => {
+                const value = getCustomFieldValue(node, field.key);
+                return Array.isArray(value) ? value.join(';') : value;
+            })
+        ].map(csvCell).join(',');
+    });
+    return [header.join(',')].concat(rows).join('\r\n') + '\r\n';
+}
+
+function escapeMarkdownText(text) {
+    return String(text || '').replace(/([\\`*_{}[\]<>()#+!|])/g, '\\$1');
+}
+
+// Nested list; a node reached again through another parent is listed with a "see above" note
+function exportToMarkdown(model) {
+    const lines = [];
+    const written = new Set();
+
+    const writeNode = (nodeId, depth) => {
+        const node = nodeMap[nodeId];
+        const indent = '  '.repeat(depth);
+        const friendly = node.friendlyId ? `${node.friendlyId} · ` : '';
+
+        if (written.has(nodeId)) {
+            lines.push(`${indent}- ${friendly}${escapeMarkdownText(node.name)} _(see above)_`);
+            return;
+        }
+        written.add(nodeId);
+
+        const stats = getExportStats(nodeId);
+        lines.push(`${indent}- **${friendly}${escapeMarkdownText(node.name)}** — ${escapeMarkdownText(node.status)}, IN ${stats.inboundCount} / OUT ${stats.outboundCount}`);
+        (node.description || '').split('\n').filter(line => line.trim()).forEach(line => {
+            lines.push(`${indent}  > ${escapeMarkdownText(line.trim())}`);
+        });
+        getExportChildIds(model, nodeId).forEach(childId => writeNode(childId, depth + 1));
+    };
+
+    model.rootIds.forEach(rootId => writeNode(rootId, 0));
+    return lines.join('\n') + '\n';
+}
+
+// Mermaid labels are quoted; quotes and markup characters become entity codes
+function escapeMermaidLabel(text) {
+    return String(text || '')
+        .replace(/"/g, '#quot;')
+        .replace(/</g, '#lt;')
+        .replace(/>/g, '#gt;')
+        .replace(/\r?\n/g, ' ');
+}
+
+// Status colours come from the registry as classDefs (status0, status1, ...)
+function exportToMermaid(model) {
+    const shortIds = new Map(model.nodeIds.map((nodeId, index) => [nodeId, `n${index}`]));
+    const lines = ['graph TD'];
+
+    statusRegistry.forEach((status, index) => {
+        lines.push(`    classDef status${index} fill:${mixHexColor(status.color, '#ffffff', 0.75)},stroke:${status.color},color:#111827`);
+    });
+
+    model.nodeIds.forEach(nodeId => {
+        const node = nodeMap[nodeId];
+        const stats = getExportStats(nodeId);
+        const friendly = node.friendlyId ? `${node.friendlyId} · ` : '';
+        const label = escapeMermaidLabel(`${friendly}${node.name}`)
+            + `<br/>${escapeMermaidLabel(node.status)} · IN ${stats.inboundCount} / OUT ${stats.outboundCount}`;
+        lines.push(`    ${shortIds.get(nodeId)}["${label}"]`);
+    });
+    model.relations.forEach(({ parentId, childId }) => {
+        lines.push(`    ${shortIds.get(parentId)} --> ${shortIds.get(childId)}`);
+    });
+    model.nodeIds.forEach(nodeId => {
+        const index = statusRegistry.findIndex(status => status.name === nodeMap[nodeId].status);
+        if (index >= 0) lines.push(`    class ${shortIds.get(nodeId)} status${index}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+function escapeDotString(text) {
+    return String(text || '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n');
+}
+
+function exportToDot(model) {
+    const lines = [
+        'digraph tree {',
+        '    rankdir=TB;',
+        '    node [shape=box, style="rounded,filled", fontname="Helvetica"];'
+    ];
+    model.nodeIds.forEach(nodeId => {
+        const node = nodeMap[nodeId];
+        const stats = getExportStats(nodeId);
+        const status = getStatusDefinition(node.status);
+        const color = status ? status.color : FALLBACK_STATUS_COLOR;
+        const friendly = node.friendlyId ? `${node.friendlyId} · ` : '';
+        const label = `${friendly}${node.name}\n${node.status} · IN ${stats.inboundCount} / OUT ${stats.outboundCount}`;
+        const tooltip = node.description ? `, tooltip="${escapeDotString(node.description)}"` : '';
+        lines.push(`    "${escapeDotString(nodeId)}" [label="${escapeDotString(label)}", color="${color}", fillcolor="${mixHexColor(color, '#ffffff', 0.75)}"${tooltip}];`);
+    });
+    model.relations.forEach(({ parentId, childId }) => {
+        lines.push(`    "${escapeDotString(parentId)}" -> "${escapeDotString(childId)}";`);
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Builds an export; stats are loaded first so IN/OUT counts are filled in.
+ * @returns {Promise<{text: string, filename: string, mime: string, nodeCount: number}>}
+ */
+async function buildExport(format, rootId, honourFilters = false) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown export format: ${format}`);
+    await fetchAllStats();
+
+    const isSelection = rootId === EXPORT_SELECTION_SCOPE;
+    const model = isSelection ? buildSelectionExportModel() : buildExportModel(rootId, honourFilters);
+    const slug = (isSelection ? 'selection' : nodeMap[rootId] ? nodeMap[rootId].name : 'tree')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'tree';
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+        text: spec.build(model),
+        filename: `${slug}-${date}.${spec.extension}`,
+        mime: spec.mime,
+        nodeCount: model.nodeIds.length
+    };
+}
+
+// --- Export modal ---
+
+let currentExport = null;
+
+function openExportModal(nodeId = null) {
+    if (!stableRootId || !nodeMap[stableRootId]) {
+        showMessage('The tree has not loaded yet.', 'error');
+        return;
+    }
+    const formatSelect = document.getElementById('export-format-select');
+    if (formatSelect.options.length === 0) {
+        Object.entries(EXPORT_FORMATS).forEach(([value, spec]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = spec.label;
+            formatSelect.appendChild(option);
+        });
+    }
+
+    // Whole tree first, then every reachable node in display order; the selection on top
+    const scopeSelect = document.getElementById('export-scope-select');
+    fillNodeSelect(scopeSelect, nodeId, (node, index) => (index === 0
+        ? `Whole tree (${node.name})`
+        : `Subtree: ${getFriendlyIdLabel(node) ? `${getFriendlyIdLabel(node)} · ` : ''}${node.name}`));
+    const selectionCount = getSelectedNodeIds().length;
+    if (selectionCount > 0) {
+        scopeSelect.insertBefore(new Option(`Selection (${selectionCount} nodes)`, EXPORT_SELECTION_SCOPE), scopeSelect.firstChild);
+        if (nodeId === EXPORT_SELECTION_SCOPE) scopeSelect.value = EXPORT_SELECTION_SCOPE;
+    }
+
+    document.getElementById('export-modal').style.display = 'flex';
+    refreshExportPreview();
+}
+
+function closeExportModal() {
+    document.getElementById('export-modal').style.display = 'none';
+    currentExport = null;
+}
+
+async function refreshExportPreview() {
+    const format = document.getElementById('export-format-select').value;
+    const rootId = document.getElementById('export-scope-select').value;
+    const honourFilters = document.getElementById('export-filtered-toggle').checked;
+    const preview = document.getElementById('export-preview');
+    const summary = document.getElementById('export-summary');
+    if (!nodeMap[rootId] && rootId !== EXPORT_SELECTION_SCOPE) return;
+
+    preview.value = 'Preparing export...';
+    const result = await buildExport(format, rootId, honourFilters);
+    // A newer refresh may have started while the stats were loading
+    if (format !== document.getElementById('export-format-select').value
+        || rootId !== document.getElementById('export-scope-select').value
+        || honourFilters !== document.getElementById('export-filtered-toggle').checked) {
+        return;
+    }
+    currentExport = result;
+    preview.value = result.text;
+    summary.textContent = result.nodeCount === 0
+        ? 'The filters hide this node, so there is nothing to export.'
+        : `${result.nodeCount} node(s) · ${result.filename}`;
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function downloadExport() {
+    if (!currentExport || currentExport.nodeCount === 0) return;
+    downloadBlob(new Blob([currentExport.text], { type: `${currentExport.mime};charset=utf-8` }), currentExport.filename);
+    showMessage(`Exported ${currentExport.nodeCount} node(s) to ${currentExport.filename}.`, 'success');
+}
+
+async function copyExport() {
+    if (!currentExport || currentExport.nodeCount === 0) return;
+    try {
+        await navigator.clipboard.writeText(currentExport.text);
+        showMessage('Export copied to the clipboard.', 'success');
+    } catch (e) {
+        // Clipboard API blocked (e.g. plain http): leave the text selected for Ctrl+C
+        const preview = document.getElementById('export-preview');
+        preview.focus();
+        preview.select();
+        showMessage('Could not copy automatically; the text is selected, press Ctrl+C.', 'info');
+    }
+}
@@ -1,5 +1,4 @@
-// API Base URL (Assuming Flask is running locally on port 5000)
-const API_BASE_URL = "https://nextwebi-backend.onrender.com";
+// API_BASE_URL and apiFetch() come from api.js (configurable backend / mock adapter)
 
 // --- ZOOM/PAN STATE ---
 // Load saved scale from localStorage, default to 1.0 if none found
@@ -27,29 +26,34 @@ const filterToggleButton = document.getElementById('filter-toggle-button');
 let retryCount = 0;
 const MAX_RETRIES = 5;
 let nodeMap = {}; 
-let parentMap = {};
+let parentMap = {}; // childId -> [parentId, ...] in /tree order (a node can have several parents)
 let nodeStats = {}; // Cache for IN/OUT counts
+let statsLoaded = false; // True once /stats/all has filled nodeStats
+const STATS_BATCH_THRESHOLD = 5; // More stale nodes than this -> one /stats/all instead of per-node calls
 let stableRootId = null; // Stores the permanently stable root ID
 
 // Global state for focusing on a node after creation/update
 let nodeToFocusId = null; 
-
-// GLOBAL SET: Tracks nodes already rendered to prevent duplication/misplacement
-let renderedNodes = new Set();
-// Show only a single node card (used for search-by-name/ID)
-let singleNodeMode = false; 
-
-// Map status values to Tailwind classes for color coding
-const STATUS_CLASSES = {
-    'Completed': { bg: 'bg-green-200', border: 'border-green-500', text: 'text-green-800', badge: 'bg-green-500 text-white' },
-    'Processing': { bg: 'bg-orange-200', border: 'border-orange-500', text: 'text-orange-800', badge: 'bg-orange-500 text-white' },
-    'New': { bg: 'bg-gray-100', border: 'border-gray-400', text: 'text-gray-800', badge: 'bg-gray-500 text-white' },
-};
-const DEFAULT_STATUS = STATUS_CLASSES['New'];
-
-function getStatusClasses(status) {
-    return STATUS_CLASSES[status] || DEFAULT_STATUS;
-}
+// temp id -> server contentId for nodes created in this session (see replaceTempNodeId)
+let replacedTempIds = {};
+
+// GLOBAL MAP: Tracks nodes already rendered (nodeId -> parent it was drawn under)
+// to prevent duplication/misplacement
+let renderedNodes = new Map();
+// Search state (applyFilters): every matching node id in /tree order, and the one
+// the next/previous buttons are on. searchContextIds limits the render to the
+// matches plus their ancestors when "Show only matches and their ancestors" is on.
+let searchMatches = [];
+let searchMatchSet = new Set();
+let searchMatchIndex = -1;
+let searchContextIds = null;
+// Graph mode: draw "also under" references + curved connectors for extra parents
+let showCrossLinks = localStorage.getItem('showCrossLinks') !== 'false';
+const MAX_BREADCRUMB_PATHS = 20;
+// Collapsed nodes (nodeId -> true), persisted next to lastViewport
+let foldState = loadFoldState();
+
+// Status names, colours and allowed transitions: see status-registry.js
 
 // --- Utility Functions ---
 
@@ -63,28 +67,49 @@ function getStableColor(str) {
     const l = 85; 
     return `hsl(${h}, ${s}%, ${l}%)`;
 }
-function getBreadcrumbPath(nodeId) {
-    const names = [];
-    let currentId = nodeId;
-    let guard = 0;
-
-    while (currentId && nodeMap[currentId] && guard < 1000) {
-        names.push(nodeMap[currentId].name);
-        if (!parentMap[currentId]) break;
-        currentId = parentMap[currentId];
-        guard++;
+function rebuildParentMap() {
+    parentMap = {};
+    Object.values(nodeMap).forEach(node => {
+        (node.children || []).forEach(childId => {
+            if (!childId) return;
+            if (!parentMap[childId]) parentMap[childId] = [];
+            parentMap[childId].push(node.contentId);
+        });
+    });
+}
+function getParentIds(nodeId) {
+    return (parentMap[nodeId] || []).filter(id => nodeMap[id]);
+}
+// Every root-to-node path as an array of ids (capped at MAX_BREADCRUMB_PATHS)
+function getBreadcrumbPaths(nodeId) {
+    const paths = [];
+
+    function walkUp(chain) {
+        if (paths.length >= MAX_BREADCRUMB_PATHS) return;
+        const parents = getParentIds(chain[0]).filter(id => !chain.includes(id)); // guard against cycles
+        if (parents.length === 0) {
+            paths.push(chain);
+            return;
+        }
+        parents.forEach(parentId => walkUp([parentId, ...chain]));
     }
 
-    return names.reverse().join(' > ');
+    if (nodeMap[nodeId]) walkUp([nodeId]);
+    return paths;
+}
+function getBreadcrumbPath(nodeId) {
+    return getBreadcrumbPaths(nodeId)
+        .map(path => path.map(id => nodeMap[id].name).join(' > '))
+        .join(' | ');
 }
-function buildSubtreeLines(nodeId, prefix = '') {
+function buildSubtreeLines(nodeId, prefix = '', visited = new Set([nodeId])) {
     const node = nodeMap[nodeId];
     if (!node || !Array.isArray(node.children)) return [];
 
     const lines = [];
     for (const childId of node.children) {
         const child = nodeMap[childId];
-        if (!child) continue;
+        if (!child || visited.has(childId)) continue;
 
         // connector from parent downwards
         lines.push(prefix + '|');
@@ -93,14 +118,13 @@ function buildSubtreeLines(nodeId, prefix = '') {
         lines.push(prefix + '|–– ' + child.name);
 
         // recurse into grandchildren with extra indent
-        const childSub = buildSubtreeLines(childId, prefix + '      ');
+        const childSub = buildSubtreeLines(childId, prefix + '      ', new Set([...visited, childId]));
         lines.push(...childSub);
     }
     return lines;
 }
-function formatTreePath(pathString) {
-    // pathString is like "Dynamic Services > Domestic Services Pages > ... "
-    const parts = pathString.split('>').map(p => p.trim()).filter(Boolean);
+function formatTreePath(parts) {
+    // parts is a list of names like ["Dynamic Services", "Domestic Services Pages", ...]
     if (parts.length === 0) return '';
 
     let lines = [];
@@ -119,10 +143,36 @@ function formatTreePath(pathString) {
     }
     return lines.join('\n');
 }
+// Fills a <select> with every node reachable from the root, in display order.
+// labelFor(node, index) returns the option text; index 0 is the root.
+function fillNodeSelect(select, selected, labelFor) {
+    select.innerHTML = '';
+    const seen = new Set();
+    const visit = (nodeId) => {
+        if (seen.has(nodeId) || !nodeMap[nodeId]) return;
+        const option = document.createElement('option');
+        option.value = nodeId;
+        option.textContent = labelFor(nodeMap[nodeId], seen.size);
+        select.appendChild(option);
+        seen.add(nodeId);
+        getOrderedChildIds(nodeId).forEach(visit);
+    };
+    visit(stableRootId);
+    select.value = selected && seen.has(selected) ? selected : stableRootId;
+}
+
 // --- Fetch Functions ---
+// Reads only. Mutations go through queueMutation() (outbox.js) so they survive
+// a flaky connection instead of being lost.
 async function fetchWithRetry(endpoint, options = {}) {
     try {
-        const response = await fetch(`${API_BASE_URL}${endpoint}`, options);
+        let response;
+        try {
+            response = await apiFetch(endpoint, options);
+        } catch (networkError) {
+            networkError.isNetworkError = true;
+            throw networkError;
+        }
         
         if (!response.ok) {
             let errorMsg = `HTTP error! Status: ${response.status} for ${endpoint}.`;
@@ -130,25 +180,28 @@ async function fetchWithRetry(endpoint, options = {}) {
                 const errorData = await response.json();
                 errorMsg = errorData.error || errorMsg;
             } catch (e) { /* Ignore non-JSON errors */ }
-            throw new Error(errorMsg);
+            const httpError = new Error(errorMsg);
+            httpError.status = response.status;
+            httpError.isNetworkError = response.status >= 500;
+            throw httpError;
         }
         
         retryCount = 0; 
         return await response.json();
 
     } catch (error) {
-        if (retryCount < MAX_RETRIES) {
+        // A 4xx is the server's final answer – retrying will not change it
+        if (error.isNetworkError && retryCount < MAX_RETRIES) {
             retryCount++;
             const delay = Math.pow(2, retryCount) * 100;
             await new Promise(resolve => setTimeout(resolve, delay));
             return fetchWithRetry(endpoint, options);
-        } else {
-            showMessage(`Fatal Error: ${error.message}. Is your Flask server running? Redirecting to setup...`, 'error');
-            setTimeout(() => {
-                window.location.href = 'index.html';
-            }, 1000);
-            throw error;
         }
+        retryCount = 0;
+        if (error.isNetworkError) {
+            showMessage(`Backend unreachable: ${error.message}. Your edits are kept in this browser and will sync when it is back.`, 'error');
+        }
+        throw error;
     }
 }
 
@@ -173,14 +226,18 @@ function applyZoom(scale) {
     currentScale = Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE);
     contentWrapper.style.transform = `scale(${currentScale})`;
     localStorage.setItem('currentScale', currentScale.toFixed(2)); // Save the new scale
+    scheduleVirtualCardsUpdate();
+    scheduleMinimapUpdate();
+    scheduleUrlStateSync();
 }
 
+// The buttons zoom around the centre of the view (zoomAt in zoom-pan.js)
 function zoomIn() {
-    applyZoom(currentScale + ZOOM_STEP);
+    zoomAt(currentScale + ZOOM_STEP);
 }
 
 function zoomOut() {
-    applyZoom(currentScale - ZOOM_STEP);
+    zoomAt(currentScale - ZOOM_STEP);
 }
 
 function resetZoom() {
@@ -230,24 +287,31 @@ function toggleZoomBar() {
 
 // NEW FUNCTION: Focus/Center the view on a specific node
 function focusNode(nodeId) {
+    // A freshly created node may have received its server id since focus was requested
+    nodeId = replacedTempIds[nodeId] || nodeId;
+    lastFocusedNodeId = nodeId;
+    ensureSvgCardMounted(nodeId);
     const targetElement = document.getElementById(`node-${nodeId}`);
     if (!targetElement) {
         console.warn(`Node element with ID node-${nodeId} not found for focusing.`);
         return;
     }
+    markFocusedCard(nodeId);
     
     // Add a slightly increased delay to guarantee DOM reflow/element size calculations are complete.
     setTimeout(() => {
         
-        // 1. Get the center position of the node relative to the content wrapper
-        // Use offsetWidth/Height for stable dimensions before or after render
-        const nodeCenterX = (targetElement.offsetLeft + (targetElement.offsetWidth / 2));
-        const nodeCenterY = (targetElement.offsetTop + (targetElement.offsetHeight / 2));
+        // 1. Get the on-screen center of the node and of the visualization window.
+        // Bounding rects already include the zoom scale and work for both renderers
+        // (offsetLeft is relative to the nearest positioned ancestor, not the tree).
+        const nodeRect = targetElement.getBoundingClientRect();
+        const viewRect = vizWrapper.getBoundingClientRect();
+        const nodeCenterX = nodeRect.left + (nodeRect.width / 2);
+        const nodeCenterY = nodeRect.top + (nodeRect.height / 2);
         
         // 2. Calculate the target scroll position in the visualization wrapper
-        // Adjust for current scale to find the correct scroll position
-        const targetScrollLeft = nodeCenterX * currentScale - (vizWrapper.clientWidth / 2);
-        const targetScrollTop = nodeCenterY * currentScale - (vizWrapper.clientHeight / 2) + 100; 
+        const targetScrollLeft = vizWrapper.scrollLeft + nodeCenterX - (viewRect.left + viewRect.width / 2);
+        const targetScrollTop = vizWrapper.scrollTop + nodeCenterY - (viewRect.top + viewRect.height / 2); 
         
         // 3. Apply the scroll
         vizWrapper.scrollTo({
@@ -266,6 +330,105 @@ function focusNode(nodeId) {
 // --- END NEW FUNCTION ---
 
 
+// --- Expand / Collapse (fold state) ---
+
+function loadFoldState() {
+    try {
+        return JSON.parse(localStorage.getItem('foldState')) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveFoldState() {
+    try {
+        localStorage.setItem('foldState', JSON.stringify(foldState));
+    } catch (e) { /* ignore */ }
+}
+
+function isNodeCollapsed(nodeId) {
+    // Showing search matches in ancestor context ignores folds so every match is drawn
+    if (searchContextIds) return false;
+    return Boolean(foldState[nodeId]);
+}
+
+function toggleNodeFold(nodeId) {
+    if (foldState[nodeId]) {
+        delete foldState[nodeId];
+    } else {
+        foldState[nodeId] = true;
+    }
+    saveFoldState();
+
+    // Keep the toggled card in view
+    nodeToFocusId = nodeId;
+    loadAndRenderVisuals(stableRootId);
+}
+
+// Number of distinct nodes hidden below a collapsed node
+function countDescendants(nodeId) {
+    const seen = new Set();
+    const stack = [...((nodeMap[nodeId] && nodeMap[nodeId].children) || [])];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (seen.has(id) || id === nodeId || !nodeMap[id]) continue;
+        seen.add(id);
+        stack.push(...(nodeMap[id].children || []));
+    }
+    return seen.size;
+}
+
+// Depth of every node reachable from the root (shortest path)
+function getNodeDepths(rootId) {
+    const depths = { [rootId]: 0 };
+    const queue = [rootId];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        (nodeMap[id] && nodeMap[id].children || []).forEach(childId => {
+            if (depths[childId] === undefined && nodeMap[childId]) {
+                depths[childId] = depths[id] + 1;
+                queue.push(childId);
+            }
+        });
+    }
+    return depths;
+}
+
+// Shows levels 0..depth and folds everything below
+function collapseToDepth(depth) {
+    const maxDepth = Math.max(0, parseInt(depth, 10) || 0);
+    const depths = getNodeDepths(stableRootId);
+
+    foldState = {};
+    Object.entries(depths).forEach(([id, nodeDepth]) => {
+        if (nodeDepth >= maxDepth && (nodeMap[id].children || []).length > 0) {
+            foldState[id] = true;
+        }
+    });
+    saveFoldState();
+    applyFilters();
+}
+
+function expandAll() {
+    foldState = {};
+    saveFoldState();
+    applyFilters();
+}
+
+// Unfolds the ancestors of a node so it is actually drawn (e.g. a new child under a folded parent)
+function expandAncestors(nodeId) {
+    let changed = false;
+    getBreadcrumbPaths(nodeId).forEach(path => {
+        path.slice(0, -1).forEach(ancestorId => {
+            if (foldState[ancestorId]) {
+                delete foldState[ancestorId];
+                changed = true;
+            }
+        });
+    });
+    if (changed) saveFoldState();
+}
+
 // --- Filter Panel Functions ---
 
 function toggleFilterPanel() {
@@ -285,6 +448,11 @@ function isNodeVisible(nodeId) {
     const node = nodeMap[nodeId];
     if (!node) return false;
 
+    // 0. Search in ancestor context: only matches and the nodes above them
+    if (searchContextIds && !searchContextIds.has(nodeId)) {
+        return false;
+    }
+
     // 1. Connection filter
     const connectionFilter = document.getElementById('connection-filter-select').value;
     const stats = nodeStats[nodeId];
@@ -301,140 +469,457 @@ function isNodeVisible(nodeId) {
     // 2. Status filter
     const statusFilterEl = document.getElementById('status-filter-select');
     if (statusFilterEl) {
-        const statusFilter = statusFilterEl.value; // 'all', 'New', 'Processing', 'Completed'
+        const statusFilter = statusFilterEl.value; // 'all' or a status name from the registry
         if (statusFilter !== 'all' && node.status !== statusFilter) {
             return false;
         }
     }
 
+    // 3. Custom field filter: matching nodes and the nodes above them
+    if (customFieldFilterState && !customFieldFilterState.contextIds.has(nodeId)) {
+        return false;
+    }
+
     return true;
 }
-function getFirstUrl(text) {
-    if (!text) return null;
-    const urlRegex = /(https?:\/\/[^\s]+)/;
-    const match = text.match(urlRegex);
-    return match ? match[1] : null;
-}
-function linkifyDescription(text) {
-    if (!text) return "";
-    const urlRegex = /(https?:\/\/[^\s]+)/g;
-    return text.replace(urlRegex, (url) => {
-        const safeUrl = url.replace(/"/g, "&quot;"); // basic escaping
-        return `<a href="${safeUrl}" target="_blank" rel="noopener noreferrer" class="text-blue-600 underline">${url}</a>`;
-    });
-}
-// Main Filter Application Logic (Called by input/select change)
-// Main Filter Application Logic (Called by input/select change)
-// Main Filter Application Logic (Called by input/select change)
 // Main Filter Application Logic (Called by input/select change)
 async function applyFilters() {
     const nameInput = document.getElementById('search-filter-input');
     const idInput = document.getElementById('search-id-input');
     const connectionFilter = document.getElementById('connection-filter-select').value;
+    const contextToggle = document.getElementById('search-context-toggle');
     const vizWrapper = document.getElementById('tree-content-wrapper');
 
-    const nameQ = nameInput ? nameInput.value.trim().toLowerCase() : '';
-    const idQ = idInput ? idInput.value.trim().toLowerCase() : '';
+    // Query syntax (name:, status:, in>5, OR, ...) is in search-query.js; operators are case-sensitive
+    const nameQ = nameInput ? nameInput.value.trim() : '';
+    const idQ = idInput ? idInput.value.trim().replace(/"/g, '') : '';
+    const isSearching = nameQ.length >= 2 || idQ.length >= 1;
+    const query = isSearching
+        ? parseSearchQuery([nameQ.length >= 2 ? `(${nameQ})` : '', idQ ? `id:"${idQ}"` : ''].join(' '))
+        : null;
 
-    // --- 1. Handle search by Name/Description + Friendly ID (top-left number) ---
-    if (nameQ.length >= 2 || idQ.length >= 1) {
-        let foundNodeId = null;
+    // For IN/OUT filters (and in>/out= search terms), ensure stats are loaded
+    if (connectionFilter === 'inbound' || connectionFilter === 'outbound' || searchQueryUsesStats(query)) {
+        await fetchAllStats();
+    }
 
-        for (const id in nodeMap) {
-            const node = nodeMap[id];
+    const rootId = stableRootId || Object.keys(nodeMap)[0] || null;
+    if (!rootId) {
+        vizWrapper.innerHTML = '<p class="text-center text-gray-500 italic p-10">No nodes to display.</p>';
+        return;
+    }
 
-            // Name/description match (if nameQ provided)
-            let matchesName = true;
-            if (nameQ.length >= 2) {
-                matchesName =
-                    (node.name || '').toLowerCase().includes(nameQ) ||
-                    (node.description || '').toLowerCase().includes(nameQ);
-            }
+    // Same matching as owner:anna / due<today in the search box
+    updateCustomFieldFilterState();
 
-            // ID match (if idQ provided) – ONLY friendlyId like "01", "02"
-            let matchesId = true;
-            if (idQ.length >= 1) {
-                matchesId = (node.friendlyId || '').toLowerCase().includes(idQ);
-            }
+    // --- 1. Search by Name/Description + Friendly ID (top-left number): collect every match ---
+    const previousMatchId = searchMatches[searchMatchIndex];
+    searchContextIds = null;
+    searchMatches = query ? findSearchMatches(rootId, query) : [];
+    searchMatchSet = new Set(searchMatches);
+    // Stay on the same match when only a toggle/filter changed
+    searchMatchIndex = searchMatches.length === 0 ? -1 : Math.max(0, searchMatches.indexOf(previousMatchId));
+    renderSearchResults(isSearching);
 
-            if (matchesName && matchesId) {
-                foundNodeId = id;
-                break;
-            }
-        }
+    if (isSearching && searchMatches.length === 0) {
+        vizWrapper.innerHTML = '<p class="text-center text-gray-500 italic p-10">No node found matching your search.</p>';
+        return;
+    }
 
-        if (foundNodeId) {
-            singleNodeMode = true;                    // show only this node
-            loadAndRenderVisuals(foundNodeId);        // render from that node
-            const n = nodeMap[foundNodeId];
-            showMessage(
-                `Displaying only: ${n.name} (ID ${n.friendlyId || ''})`,
-                'info'
-            );
-            return;
-        } else {
-            singleNodeMode = false;
-            vizWrapper.innerHTML = '<p class="text-center text-gray-500 italic p-10">No node found matching your search.</p>';
-            return;
-        }
+    if (isSearching && contextToggle && contextToggle.checked) {
+        searchContextIds = getAncestorContextIds(searchMatches);
     }
 
-    // --- 2. No search text: apply connection/status filters on full tree ---
+    // --- 2. Render the full tree; renderNodeCard highlights the matches ---
+    if (isSearching) {
+        nodeToFocusId = searchMatches[searchMatchIndex];
+    }
+    loadAndRenderVisuals(rootId);
+    scheduleUrlStateSync();
+}
 
-    // For IN/OUT filters, ensure stats are loaded
-    if (connectionFilter === 'inbound' || connectionFilter === 'outbound') {
-        await fetchAllStats();
+// Nodes reachable from the root that pass the status/connection filters and match
+// the parsed query, best match first (ties keep /tree order)
+function findSearchMatches(rootId, query) {
+    const depths = getNodeDepths(rootId);
+    const candidates = Object.keys(nodeMap)
+        .filter(id => depths[id] !== undefined && isNodeVisible(id))
+        // Nodes kept only as context for the field filter are not matches themselves
+        .filter(id => !customFieldFilterState || customFieldFilterState.matchIds.has(id))
+        .map(id => nodeMap[id]);
+
+    return searchNodes(query, candidates, nodeSearchContext(depths)).map(result => result.node.contentId);
+}
+
+// Stats/depth lookups for scoreSearchQuery(); depths come from getNodeDepths()
+function nodeSearchContext(depths = {}) {
+    return {
+        getStats: id => nodeStats[id],
+        getDepth: id => depths[id]
+    };
+}
+
+// Every node on any path from the root to one of the given nodes (nodes included)
+function getAncestorContextIds(nodeIds) {
+    const ids = new Set();
+    nodeIds.forEach(nodeId => {
+        getBreadcrumbPaths(nodeId).forEach(path => path.forEach(id => ids.add(id)));
+    });
+    return ids;
+}
+
+// --- Search Results Panel ---
+const MAX_LISTED_SEARCH_MATCHES = 200;
+
+function renderSearchResults(isSearching) {
+    const panel = document.getElementById('search-results-panel');
+    const list = document.getElementById('search-match-list');
+    if (!panel || !list) return;
+
+    panel.classList.toggle('hidden', !isSearching);
+    list.innerHTML = '';
+
+    searchMatches.slice(0, MAX_LISTED_SEARCH_MATCHES).forEach((nodeId, index) => {
+        const node = nodeMap[nodeId];
+        const item = document.createElement('li');
+        item.className = 'p-2 rounded-lg border border-gray-200 bg-gray-50 cursor-pointer hover:bg-gray-100';
+        item.dataset.nodeId = nodeId;
+
+        const title = document.createElement('p');
+        title.className = 'text-sm font-medium text-gray-800';
+        title.textContent = `${getFriendlyIdLabel(node) ? getFriendlyIdLabel(node) + ' · ' : ''}${node.name}`;
+
+        const path = document.createElement('p');
+        path.className = 'text-[10px] text-gray-500 truncate';
+        path.textContent = getBreadcrumbPath(nodeId);
+        path.title = path.textContent;
+
+        item.append(title, path);
+        item.addEventListener('click', () => goToSearchMatch(index));
+        list.appendChild(item);
+    });
+
+    if (searchMatches.length > MAX_LISTED_SEARCH_MATCHES) {
+        const more = document.createElement('li');
+        more.className = 'text-xs text-gray-500 italic p-1';
+        more.textContent = `Showing the first ${MAX_LISTED_SEARCH_MATCHES} matches. Use next/previous to reach the rest.`;
+        list.appendChild(more);
     }
 
-    const rootId = stableRootId || Object.keys(nodeMap)[0] || null;
-    if (!rootId) {
-        vizWrapper.innerHTML = '<p class="text-center text-gray-500 italic p-10">No nodes to display.</p>';
+    updateSearchHighlights();
+}
+
+// Moves the "current match" marker in the list, the counter and the tree cards
+function updateSearchHighlights() {
+    const counter = document.getElementById('search-match-counter');
+    if (counter) {
+        counter.textContent = searchMatches.length === 0
+            ? 'No matches'
+            : `${searchMatchIndex + 1} of ${searchMatches.length} match${searchMatches.length === 1 ? '' : 'es'}`;
+    }
+
+    const currentId = searchMatches[searchMatchIndex];
+    document.querySelectorAll('#search-match-list li').forEach(item => {
+        const isCurrent = item.dataset.nodeId === currentId;
+        item.classList.toggle('search-match-current', isCurrent);
+        if (isCurrent) item.scrollIntoView({ block: 'nearest' });
+    });
+
+    document.querySelectorAll('.node-card.search-match-current').forEach(card => {
+        card.classList.remove('search-match-current');
+    });
+    const currentCard = currentId && document.getElementById(`node-${currentId}`);
+    if (currentCard) currentCard.classList.add('search-match-current');
+}
+
+// Whether the node has a place in the current drawing (its card may not be mounted yet)
+function isNodeDrawn(nodeId) {
+    return rendererMode === 'svg'
+        ? Boolean(svgLayout && svgLayout.nodes[nodeId])
+        : renderedNodes.has(nodeId);
+}
+
+function goToSearchMatch(index) {
+    if (searchMatches.length === 0) return;
+    searchMatchIndex = (index + searchMatches.length) % searchMatches.length;
+    const nodeId = searchMatches[searchMatchIndex];
+
+    // The tree changed since the search ran (e.g. the match was deleted)
+    if (!nodeMap[nodeId]) {
+        applyFilters();
+        return;
+    }
+
+    // A match inside a folded branch is not drawn yet: unfold and re-render around it
+    if (!isNodeDrawn(nodeId)) {
+        nodeToFocusId = nodeId;
+        loadAndRenderVisuals(stableRootId);
+        updateSearchHighlights();
         return;
     }
 
-    // Reset single-node mode so children show normally
-    singleNodeMode = false;
+    ensureSvgCardMounted(nodeId);
+    updateSearchHighlights();
+    focusNode(nodeId);
+}
 
-    // Render full tree from root; visibility controlled only by connection/status in isNodeVisible
-    loadAndRenderVisuals(rootId);
+function stepSearchMatch(delta) {
+    goToSearchMatch(searchMatchIndex + delta);
 }
-// NEW: Function to cache all node stats needed for connection filtering
-async function fetchAllStats() {
+// --- Stats Cache ---
+// All IN/OUT counts come from one /stats/all request per tree load. Mutations only
+// invalidate the nodes they touch (invalidateNodeStats), and badges are patched in place.
+
+async function fetchAllStats(force = false) {
     // If we already have all stats, don't fetch again
-    if (Object.keys(nodeStats).length > 0) {
+    if (statsLoaded && !force) {
         return;
     }
 
     try {
-        // Use the new /stats/all endpoint
-        const response = await fetchWithRetry('/stats/all');
-        const allStats = await response.json();
+        // fetchWithRetry already returns parsed JSON
+        const allStats = await fetchWithRetry('/stats/all');
 
-        // Update nodeStats with the new data
-        Object.entries(allStats).forEach(([nodeId, stats]) => {
+        // Nodes without clicks may be missing from the response
+        Object.keys(nodeMap).forEach(id => {
+            nodeStats[id] = { inboundCount: 0, outboundCount: 0 };
+        });
+        Object.entries(allStats || {}).forEach(([nodeId, stats]) => {
             nodeStats[nodeId] = {
                 inboundCount: stats.total_inbound_count || 0,
                 outboundCount: stats.total_outbound_count || 0
             };
         });
+        statsLoaded = true;
+        updateHeatmapScale();
     } catch (e) {
         console.warn('Failed to fetch all stats:', e);
-        // Initialize with zeros if the request fails
+        // Initialize with zeros if the request fails (retried on the next render)
         Object.keys(nodeMap).forEach(id => {
-            nodeStats[id] = { inboundCount: 0, outboundCount: 0 };
+            if (!nodeStats[id]) nodeStats[id] = { inboundCount: 0, outboundCount: 0 };
         });
     }
 }
+
+// Drops the cached counts for the given nodes and re-fetches just those
+async function invalidateNodeStats(nodeIds) {
+    const staleIds = [...new Set(nodeIds)].filter(id => id && nodeMap[id]);
+    if (staleIds.length === 0) return;
+
+    staleIds.forEach(id => {
+        delete nodeStats[id];
+        renderStatsBadge(id);
+    });
+
+    if (staleIds.length > STATS_BATCH_THRESHOLD) {
+        await fetchAllStats(true);
+    } else {
+        await Promise.all(staleIds.map(async id => {
+            try {
+                const [inboundData, outboundData] = await Promise.all([
+                    fetchWithRetry(`/inbound_stats/${encodeURIComponent(id)}`),
+                    fetchWithRetry(`/outbound_stats/${encodeURIComponent(id)}`)
+                ]);
+                nodeStats[id] = {
+                    inboundCount: inboundData.total_inbound_count || 0,
+                    outboundCount: outboundData.total_outbound_count || 0
+                };
+            } catch (e) {
+                console.warn(`Failed to refresh stats for ${id}:`, e);
+            }
+        }));
+    }
+
+    if (updateHeatmapScale()) refreshHeatmap();
+    staleIds.forEach(renderStatsBadge);
+}
+// --- Optimistic Local Mutations ---
+// Mirrors a queued outbox mutation onto nodeMap/parentMap so the UI reflects it
+// immediately. Also used to re-apply still-pending mutations after a reload.
+function applyMutationLocally(kind, payload) {
+    switch (kind) {
+        case 'createNode':
+            nodeMap[payload.tempId] = {
+                contentId: payload.tempId,
+                name: payload.name,
+                description: payload.description || '',
+                status: payload.status || defaultStatusName(),
+                // Known once the server has numbered the node (a restored node keeps its old one)
+                friendlyId: payload.friendlyId || '',
+                idPrefix: payload.idPrefix || '',
+                links: payload.links || [],
+                attachments: payload.attachments || [],
+                customFields: payload.customFields || {},
+                children: []
+            };
+            nodeStats[payload.tempId] = { inboundCount: 0, outboundCount: 0 };
+            updateTotalNodeCount();
+            break;
+
+        case 'updateNode':
+            if (nodeMap[payload.nodeId]) {
+                Object.assign(nodeMap[payload.nodeId], payload.fields);
+            }
+            break;
+
+        case 'deleteNode':
+            delete nodeMap[payload.nodeId];
+            Object.values(nodeMap).forEach(node => {
+                node.children = (node.children || []).filter(id => id !== payload.nodeId);
+            });
+            rebuildParentMap();
+            updateTotalNodeCount();
+            break;
+
+        case 'createRelation': {
+            const parent = nodeMap[payload.parentId];
+            if (!parent) break;
+            parent.children = parent.children || [];
+            if (!parent.children.includes(payload.childId)) {
+                parent.children.push(payload.childId);
+            }
+            rebuildParentMap();
+            break;
+        }
+
+        case 'deleteRelation': {
+            const parent = nodeMap[payload.parentId];
+            if (parent) {
+                parent.children = (parent.children || []).filter(id => id !== payload.childId);
+            }
+            rebuildParentMap();
+            break;
+        }
+
+        case 'moveNode': {
+            const toParent = nodeMap[payload.toParentId];
+            if (!toParent) break;
+            const fromParent = nodeMap[payload.fromParentId];
+            if (fromParent && payload.fromParentId !== payload.toParentId) {
+                fromParent.children = (fromParent.children || []).filter(id => id !== payload.childId);
+            }
+            toParent.children = toParent.children || [];
+            if (!toParent.children.includes(payload.childId)) {
+                toParent.children.push(payload.childId);
+            }
+            if (Array.isArray(payload.childOrder)) {
+                toParent.childOrder = payload.childOrder.slice();
+            }
+            rebuildParentMap();
+            break;
+        }
+
+        case 'updateStatusRegistry':
+            setStatusRegistry(payload.statuses);
+            break;
+
+        case 'updateFieldSchema':
+            setFieldSchema(payload.fields);
+            break;
+
+        // 'recordClick' only changes server-side stats; 'assignFriendlyId' waits for the
+        // server's number (handleFriendlyIdAssigned)
+    }
+}
+
+// Called by the outbox once the server has assigned a real contentId to a node
+// that was created locally, so the UI keeps working without a /tree reload.
+function replaceTempNodeId(tempId, contentId) {
+    const node = nodeMap[tempId];
+    if (!node) return;
+
+    delete nodeMap[tempId];
+    replacedTempIds[tempId] = contentId;
+    noteHistoryIdChange(tempId, contentId);
+    node.contentId = contentId;
+    nodeMap[contentId] = node;
+    if (nodeStats[tempId]) {
+        nodeStats[contentId] = nodeStats[tempId];
+        delete nodeStats[tempId];
+    }
+
+    Object.values(nodeMap).forEach(other => {
+        other.children = (other.children || []).map(id => (id === tempId ? contentId : id));
+        if (other.childOrder) {
+            other.childOrder = other.childOrder.map(id => (id === tempId ? contentId : id));
+        }
+    });
+    rebuildParentMap();
+}
+
+function pickNodeFields(node) {
+    return { name: node.name, description: node.description || '', status: node.status };
+}
+
+// Creates a node and links it under parentId (both queued). Returns the temp id.
+function queueChildCreation(parentId, fields) {
+    const tempId = createTempId();
+    queueMutation('createNode', { tempId, ...fields }, { label: `Create '${fields.name}'` });
+    queueMutation('createRelation', { parentId, childId: tempId }, {
+        label: `Link '${fields.name}' under '${nodeMap[parentId] ? nodeMap[parentId].name : parentId}'`
+    });
+    return tempId;
+}
+
+// Undo steps for deleting contentId: re-create the node with its fields and every
+// parent/child relation (click stats are gone)
+function buildDeleteRestoreSteps(contentId) {
+    const node = nodeMap[contentId];
+    // The re-created node asks for its old friendly ID back (and keeps its branch prefix)
+    const restoreSteps = [{
+        op: 'create',
+        restoreId: contentId,
+        fields: {
+            ...pickNodeFields(node),
+            friendlyId: node.friendlyId || '',
+            idPrefix: node.idPrefix || '',
+            links: node.links || [],
+            attachments: node.attachments || [],
+            customFields: node.customFields || {}
+        }
+    }];
+    getParentIds(contentId).forEach(parentId => {
+        restoreSteps.push({ op: 'mutation', kind: 'createRelation', payload: { parentId, childId: contentId } });
+        if (nodeMap[parentId].childOrder) {
+            const index = getOrderedChildIds(parentId).indexOf(contentId);
+            restoreSteps.push({ op: 'place', childId: contentId, fromParentId: parentId, toParentId: parentId, index });
+        }
+    });
+    (node.children || []).forEach(childId => {
+        restoreSteps.push({ op: 'mutation', kind: 'createRelation', payload: { parentId: contentId, childId } });
+    });
+    return restoreSteps;
+}
+
+// Queues the delete; clicks to/from the node disappear with it, so its neighbours' counts change
+function queueNodeDeletion(contentId, { tag = null } = {}) {
+    const node = nodeMap[contentId];
+    const neighbourIds = getParentIds(contentId).concat(node.children || []);
+    queueMutation('deleteNode', { nodeId: contentId, neighbourIds }, {
+        label: `Delete '${node.name}'`,
+        baseline: pickNodeFields(node),
+        tag
+    });
+}
+
 // --- Node Control Functions ---
 async function deleteNode(contentId, name) {
     closeDeleteConfirmModal();
-    try {
-        await fetchWithRetry(`/node/delete/${encodeURIComponent(contentId)}`, { method: 'DELETE' }); 
-        showMessage(`Node '${name}' deleted successfully.`, 'success');
-        loadAndRenderTree(); // Must perform full reload after delete
-    } catch (error) {
-        showMessage(`Failed to delete node: ${error.message}`, 'error');
+    const node = nodeMap[contentId];
+    if (!node) return;
+
+    nodeToFocusId = getParentIds(contentId)[0] || null;
+
+    const restoreSteps = buildDeleteRestoreSteps(contentId);
+    queueNodeDeletion(contentId);
+    recordHistory(`Delete '${name}'`, [{ op: 'delete', nodeId: contentId }], restoreSteps, nodeToFocusId);
+    showMessage(`Node '${name}' deleted.`, 'success');
+
+    if (contentId === stableRootId) {
+        loadAndRenderTree();
+        return;
     }
+    loadAndRenderVisuals(stableRootId);
 }
 
 async function handleEditSubmit(e) {
@@ -443,29 +928,63 @@ async function handleEditSubmit(e) {
     const newName = document.getElementById('edit-name').value.trim();
     const newDescription = document.getElementById('edit-description').value.trim();
     const newStatus = document.getElementById('edit-status').value; 
-    closeEditModal(); 
-    try {
-        const options = {
-            method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name: newName, description: newDescription, status: newStatus })
-        };
-        await fetchWithRetry(`/node/update/${encodeURIComponent(contentId)}`, options);
-        
-        showMessage(`Node updated to '${newName}' (Status: ${newStatus}).`, 'success');
-        
-        // Update local cache immediately
-        nodeMap[contentId].name = newName;
-        nodeMap[contentId].description = newDescription;
-        nodeMap[contentId].status = newStatus;
+    const newIdPrefix = normaliseIdPrefix(document.getElementById('edit-id-prefix').value);
 
-        nodeToFocusId = contentId;
-        loadAndRenderVisuals(stableRootId); 
+    const node = nodeMap[contentId];
+    if (!node) {
+        closeEditModal();
+        return;
+    }
 
-    } catch (error) {
-        showMessage(`Failed to update node: ${error.message}`, 'error');
-        loadAndRenderTree(); // Fallback to full reload on failure
+    // The workflow may only allow some next statuses (the modal stays open)
+    if (!canTransitionStatus(node.status, newStatus)) {
+        showMessage(`Status cannot change from '${node.status}' to '${newStatus}' in this workflow.`, 'error');
+        return;
+    }
+    if (newIdPrefix === null) {
+        showMessage('An ID prefix is 1–6 letters or digits and starts with a letter (e.g. SRV).', 'error');
+        return;
     }
+    const newLinks = readEditLinks();
+    if (newLinks === null) return;
+    const newCustomFields = readEditCustomFields(node);
+    if (newCustomFields === null) return;
+    const newAttachments = editAttachments;
+    closeEditModal(); 
+
+    const previousFields = pickNodeFields(node);
+    const newFields = { name: newName, description: newDescription, status: newStatus };
+    // Not part of pickNodeFields: backends without prefixes would report every edit as a conflict
+    if (newIdPrefix !== (node.idPrefix || '')) {
+        previousFields.idPrefix = node.idPrefix || '';
+        newFields.idPrefix = newIdPrefix;
+    }
+    if (JSON.stringify(newLinks) !== JSON.stringify(node.links || [])) {
+        previousFields.links = node.links || [];
+        newFields.links = newLinks;
+    }
+    if (JSON.stringify(newAttachments) !== JSON.stringify(node.attachments || [])) {
+        previousFields.attachments = node.attachments || [];
+        newFields.attachments = newAttachments;
+    }
+    if (!sameCustomFieldValues(newCustomFields, node.customFields || {})) {
+        previousFields.customFields = node.customFields || {};
+        newFields.customFields = newCustomFields;
+    }
+    queueMutation('updateNode', { nodeId: contentId, fields: newFields }, {
+        label: `Edit '${newName}'`,
+        baseline: previousFields
+    });
+    recordHistory(
+        `Edit '${newName}'`,
+        [{ op: 'mutation', kind: 'updateNode', payload: { nodeId: contentId, fields: newFields } }],
+        [{ op: 'mutation', kind: 'updateNode', payload: { nodeId: contentId, fields: previousFields } }],
+        contentId
+    );
+    showMessage(`Node updated to '${newName}' (Status: ${newStatus}).`, 'success');
+
+    nodeToFocusId = contentId;
+    loadAndRenderVisuals(stableRootId); 
 }
 
 // --- Modal Control Functions ---
@@ -477,27 +996,26 @@ async function deleteRelationFromModal(parentId, childId, parentName, childName)
     }
 
     closeInfoModal(); 
-    showMessage(`Deleting link: ${parentName} → ${childName}...`, 'error');
 
-    try {
-        const options = {
-            method: 'DELETE',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ parentId: parentId, childId: childId })
-        };
-        
-        await fetchWithRetry('/relation/delete', options);
-        
-        showMessage(`Successfully deleted link: ${parentName} → ${childName}. Reloading tree...`, 'success');
-        
-        // Set focus on the node whose detail panel was open (parentId)
-        nodeToFocusId = parentId; 
-        // *** CRITICAL FIX: Must perform full reload after deleting a relation to re-calculate stable hierarchy. ***
-        loadAndRenderTree(); 
-    } catch (error) {
-        showMessage(`Failed to delete link: ${error.message}`, 'error');
-        loadAndRenderTree();
+    const relinkSteps = [{ op: 'mutation', kind: 'createRelation', payload: { parentId, childId } }];
+    if (nodeMap[parentId] && nodeMap[parentId].childOrder) {
+        const index = getOrderedChildIds(parentId).indexOf(childId);
+        relinkSteps.push({ op: 'place', childId, fromParentId: parentId, toParentId: parentId, index });
     }
+
+    // applyMutationLocally re-calculates the hierarchy for the child
+    queueMutation('deleteRelation', { parentId, childId }, { label: `Unlink ${parentName} → ${childName}` });
+    recordHistory(
+        `Unlink ${parentName} → ${childName}`,
+        [{ op: 'mutation', kind: 'deleteRelation', payload: { parentId, childId } }],
+        relinkSteps,
+        parentId
+    );
+    showMessage(`Deleted link: ${parentName} → ${childName}.`, 'success');
+
+    // Set focus on the node whose detail panel was open (parentId)
+    nodeToFocusId = parentId; 
+    loadAndRenderVisuals(stableRootId);
 }
 
 async function openInfoModal(nodeId) { 
@@ -509,39 +1027,32 @@ async function openInfoModal(nodeId) {
     document.getElementById('info-node-name').textContent = node.name;
     document.getElementById('info-node-id').textContent = node.contentId;
 
-    const infoDescriptionEl = document.getElementById('info-description');
-    const rawDesc = node.description || '';
-
-    // Show ONLY the link (if any) above, not full description
-    const firstUrl = getFirstUrl(rawDesc);
-    if (firstUrl) {
-        const safeUrl = firstUrl.replace(/"/g, '&quot;');
-        infoDescriptionEl.innerHTML =
-            `<a href="${safeUrl}" target="_blank" rel="noopener noreferrer" class="text-blue-600 underline">${firstUrl}</a>`;
-    } else {
-        // No URL: leave this line empty
-        infoDescriptionEl.innerHTML = '';
-    }
-
-    // Full description in gray box (single place)
-    const fullDescEl = document.getElementById('info-node-description');
-    fullDescEl.textContent = rawDesc || 'No description provided.';
+    // Markdown description, labelled links and attachments
+    renderInfoRichContent(node);
 
     const statusSpan = document.getElementById('info-node-status');
     statusSpan.textContent = node.status;
     statusSpan.className = `px-2 py-0.5 rounded text-xs font-medium ${statusInfo.badge}`;
 
-    // Tree-style path including children
-    const rawPath = getBreadcrumbPath(nodeId);          // "root > ... > current node"
-    const baseTree = formatTreePath(rawPath);           // multi-line tree for that path
-
-    const depth = rawPath.split('>').map(p => p.trim()).filter(Boolean).length;
-    const childPrefix = '      '.repeat(depth);
-    const subtreeLines = buildSubtreeLines(nodeId, childPrefix);
+    // Tree-style path for every route to the root; children are shown under the first one
+    const paths = getBreadcrumbPaths(nodeId);           // [[rootId, ..., nodeId], ...]
+    const blocks = paths.map((path, index) => {
+        const names = path.map(id => nodeMap[id].name);
+        let block = formatTreePath(names);              // multi-line tree for that path
+
+        if (index === 0) {
+            const childPrefix = '      '.repeat(names.length);
+            const subtreeLines = buildSubtreeLines(nodeId, childPrefix);
+            if (subtreeLines.length > 0) {
+                block += '\n' + subtreeLines.join('\n');
+            }
+        }
+        return paths.length > 1 ? `Path ${index + 1} of ${paths.length}:\n${block}` : block;
+    });
 
-    let finalText = baseTree;
-    if (subtreeLines.length > 0) {
-        finalText += '\n' + subtreeLines.join('\n');
+    let finalText = blocks.join('\n\n');
+    if (paths.length >= MAX_BREADCRUMB_PATHS) {
+        finalText += `\n\n(Showing the first ${MAX_BREADCRUMB_PATHS} paths.)`;
     }
 
     const pathEl = document.getElementById('info-path');
@@ -550,8 +1061,10 @@ async function openInfoModal(nodeId) {
     }
 
     document.getElementById('info-modal').style.display = 'flex';
+    scheduleUrlStateSync();
 }
 function closeInfoModal() {
+    if (document.getElementById('info-modal').style.display !== 'none') scheduleUrlStateSync();
     document.getElementById('info-modal').style.display = 'none';
 }
 async function openInboundSection(nodeId) {
@@ -576,7 +1089,15 @@ function openEditModal(nodeId) {
     document.getElementById('edit-content-id').value = node.contentId;
     document.getElementById('edit-name').value = node.name;
     document.getElementById('edit-description').value = node.description;
-    document.getElementById('edit-status').value = node.status; 
+    fillStatusSelect(document.getElementById('edit-status'), { selected: node.status, fromStatus: node.status });
+    document.getElementById('edit-friendly-id').textContent = node.friendlyId
+        || (getFriendlyIdLabel(node) ? `${getFriendlyIdLabel(node)} (provisional, not stored by the server)` : 'not assigned yet');
+    document.getElementById('edit-id-prefix').value = node.idPrefix || '';
+    const parentId = getParentIds(nodeId)[0];
+    const inheritedPrefix = parentId ? getBranchIdPrefix(parentId) : '';
+    document.getElementById('edit-id-prefix').placeholder = inheritedPrefix ? `${inheritedPrefix} (inherited)` : 'none';
+    fillRichContentEditor(node);
+    fillCustomFieldEditor(node);
     document.getElementById('edit-modal').style.display = 'flex';
 }
 function closeEditModal() {
@@ -603,11 +1124,101 @@ function updateTotalNodeCount() {
 function openChildModal(parentId, parentName) {
     document.getElementById('parent-name-display').textContent = parentName;
     document.getElementById('modal-parent-id').value = parentId;
+    document.getElementById('child-rows-container').innerHTML = '';
+    addChildRow();
     document.getElementById('child-modal').style.display = 'flex';
+    document.querySelector('#child-rows-container input[name="child-name"]').focus();
 }
 function closeChildModal() {
     document.getElementById('child-modal').style.display = 'none';
     document.getElementById('create-child-form').reset();
+    document.getElementById('child-rows-container').innerHTML = '';
+}
+
+// --- Child Rows (multi-add, same pattern as addChildNodeInput in index.html) ---
+let childRowCounter = 0;
+
+function addChildRow() {
+    childRowCounter++;
+    const container = document.getElementById('child-rows-container');
+    const row = document.createElement('div');
+    row.className = 'border p-3 rounded-lg bg-gray-50 space-y-2';
+    row.id = `child-row-${childRowCounter}`;
+
+    row.innerHTML = `
+        <div class="flex space-x-2">
+            <input type="text" name="child-name" placeholder="Child Node Name (Required)" required
+                   class="flex-1 p-2 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500">
+            <select name="child-status"
+                    class="p-2 border border-gray-300 rounded-lg text-sm bg-white focus:ring-blue-500 focus:border-blue-500">
+            </select>
+            <button type="button" data-remove title="Remove this child"
+                    class="px-2 text-red-500 hover:text-red-700">
+                <svg data-lucide="x" width="16" height="16"></svg>
+            </button>
+        </div>
+        <textarea name="child-description" placeholder="Searchable Description"
+                  class="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500 h-14 resize-none"></textarea>
+    `;
+    // New nodes may start in any status; the first one in the workflow is the default
+    fillStatusSelect(row.querySelector('select[name="child-status"]'), { selected: defaultStatusName() });
+    row.querySelector('button[data-remove]').addEventListener('click', () => removeChildRow(row.id));
+    container.appendChild(row);
+    window.lucide.createIcons();
+    return row;
+}
+
+function removeChildRow(rowId) {
+    const container = document.getElementById('child-rows-container');
+    // Always keep one row to type into
+    if (container.children.length <= 1) return;
+    const row = document.getElementById(rowId);
+    if (row) row.remove();
+}
+
+async function handleCreateChildSubmit(e) {
+    e.preventDefault();
+    const parentId = document.getElementById('modal-parent-id').value;
+    const parent = nodeMap[parentId];
+    if (!parent) return;
+
+    // New nodes are numbered in the branch's ID sequence (friendly-ids.js)
+    const friendlyIdPrefix = getBranchIdPrefix(parentId);
+    const children = Array.from(document.querySelectorAll('#child-rows-container > div'))
+        .map(row => ({
+            name: row.querySelector('input[name="child-name"]').value.trim(),
+            description: row.querySelector('textarea[name="child-description"]').value.trim(),
+            status: row.querySelector('select[name="child-status"]').value,
+            friendlyIdPrefix
+        }))
+        .filter(child => child.name);
+
+    if (children.length === 0) {
+        showMessage('Enter a name for at least one child node.', 'error');
+        return;
+    }
+
+    closeChildModal();
+
+    // /node/create then /relation/create per child, applied locally right away
+    const createdIds = children.map(child => queueChildCreation(parentId, child));
+    const lastChildId = createdIds[createdIds.length - 1];
+
+    const summary = children.length === 1 ? `'${children[0].name}'` : `${children.length} child nodes`;
+    recordHistory(
+        `Add ${summary} under '${parent.name}'`,
+        createdIds.flatMap((childId, i) => [
+            { op: 'create', restoreId: childId, fields: children[i] },
+            { op: 'mutation', kind: 'createRelation', payload: { parentId, childId } }
+        ]),
+        createdIds.map(childId => ({ op: 'delete', nodeId: childId })),
+        parentId
+    );
+    showMessage(`Added ${summary} under '${parent.name}'.`, 'success');
+
+    // Re-render from local state (no /tree reload) and jump to the new node
+    nodeToFocusId = lastChildId;
+    loadAndRenderVisuals(stableRootId);
 }
 function openSearchLinkModal(parentId, parentName) {
     document.getElementById('link-parent-name-display').textContent = parentName;
@@ -618,6 +1229,14 @@ function openSearchLinkModal(parentId, parentName) {
     document.getElementById('confirm-link-button').disabled = true;
     document.getElementById('search-link-modal').style.display = 'flex';
 }
+// Removes the inbound/outbound click popups (openInboundDetails / openOutboundDetails)
+function closeConnectionPopups() {
+    document.querySelectorAll('#inbound-popup-overlay, #outbound-popup-overlay').forEach(overlay => {
+        overlay.remove();
+        scheduleUrlStateSync();
+    });
+}
+
 async function openInboundDetails(nodeId) {
     const node = nodeMap[nodeId];
     if (!node) return;
@@ -628,21 +1247,22 @@ async function openInboundDetails(nodeId) {
         const overlay = document.createElement('div');
         overlay.className = 'fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50';
         overlay.id = 'inbound-popup-overlay';
+        overlay.dataset.nodeId = nodeId;
 
         const contentHtml = `
             <div class="bg-white rounded-xl shadow-2xl max-w-lg w-full max-h-[80vh] overflow-y-auto p-4 border border-gray-200">
                 <div class="flex items-center justify-between mb-2">
                     <h2 class="text-lg font-semibold text-gray-800">
-                        Inbound Links – ${node.name}
+                        Inbound Links – ${escapeHtml(node.name)}
                     </h2>
                     <button class="text-gray-500 hover:text-gray-700 text-sm px-2 py-1 rounded"
-                            onclick="document.getElementById('inbound-popup-overlay')?.remove()">
+                            data-action="close-popups" aria-label="Close">
                         ✕
                     </button>
                 </div>
                 <p class="text-sm text-gray-700 mb-2">
                     Total inbound clicks:
-                    <span class="font-bold">${inboundData.total_inbound_count}</span>
+                    <span class="font-bold">${escapeHtml(inboundData.total_inbound_count)}</span>
                 </p>
                 <h3 class="text-sm font-semibold text-gray-700 mb-2">Inbound Node List:</h3>
                 ${
@@ -650,24 +1270,24 @@ async function openInboundDetails(nodeId) {
                         ? '<p class="text-xs text-gray-500 italic mb-2">No inbound connections recorded.</p>'
                         : inboundData.inbound_connections.map(conn => {
                             const source = nodeMap[conn.sourceId] || {};
-                            const desc = linkifyDescription(source.description || 'No description.');
+                            const desc = source.description ? renderMarkdown(source.description, source) : 'No description.';
 
                             return `
                                 <div class="mb-2 p-2 rounded-lg border border-gray-200 bg-gray-50 flex items-start justify-between gap-2">
                                     <div>
                                         <p class="text-sm font-medium text-gray-800">
-                                            ${source.name || 'Unknown'} (${conn.count} clicks)
+                                            ${escapeHtml(source.name || 'Unknown')} (${escapeHtml(conn.count)} clicks)
                                         </p>
                                         <p class="text-xs text-gray-600">
-                                            Status: ${source.status || 'N/A'} |
-                                            ID: ${(source.contentId || '').substring(0,8)}...
+                                            Status: ${escapeHtml(source.status || 'N/A')} |
+                                            ID: ${escapeHtml((source.contentId || '').substring(0,8))}...
                                         </p>
-                                        <p class="text-xs text-gray-600 mt-0.5">${desc}</p>
+                                        <div class="markdown-body text-xs text-gray-600 mt-0.5">${desc}</div>
                                     </div>
                                     <button
                                         class="text-red-500 hover:text-red-700 mt-1"
                                         title="Delete this link"
-                                        onclick="deleteRelationFromModal('${conn.sourceId}', '${nodeId}', '${(source.name || 'Unknown').replace(/'/g, "\\'")}', '${(node.name || '').replace(/'/g, "\\'")}')"
+                                        data-action="delete-relation" data-parent-id="${escapeHtml(conn.sourceId)}" data-child-id="${escapeHtml(nodeId)}"
                                     >
                                         <svg data-lucide="trash-2" width="16" height="16"></svg>
                                     </button>
@@ -678,8 +1298,10 @@ async function openInboundDetails(nodeId) {
             </div>
         `;
 
+        closeConnectionPopups();
         overlay.innerHTML = contentHtml;
         document.body.appendChild(overlay);
+        scheduleUrlStateSync();
         if (window.lucide?.createIcons) {
             window.lucide.createIcons();
         }
@@ -698,21 +1320,22 @@ async function openOutboundDetails(nodeId) {
         const overlay = document.createElement('div');
         overlay.className = 'fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50';
         overlay.id = 'outbound-popup-overlay';
+        overlay.dataset.nodeId = nodeId;
 
         const contentHtml = `
             <div class="bg-white rounded-xl shadow-2xl max-w-lg w-full max-h-[80vh] overflow-y-auto p-4 border border-gray-200">
                 <div class="flex items-center justify-between mb-2">
                     <h2 class="text-lg font-semibold text-gray-800">
-                        Outbound Links – ${node.name}
+                        Outbound Links – ${escapeHtml(node.name)}
                     </h2>
                     <button class="text-gray-500 hover:text-gray-700 text-sm px-2 py-1 rounded"
-                            onclick="document.getElementById('outbound-popup-overlay')?.remove()">
+                            data-action="close-popups" aria-label="Close">
                         ✕
                     </button>
                 </div>
                 <p class="text-sm text-gray-700 mb-2">
                     Total outbound clicks:
-                    <span class="font-bold">${outboundData.total_outbound_count}</span>
+                    <span class="font-bold">${escapeHtml(outboundData.total_outbound_count)}</span>
                 </p>
                 <h3 class="text-sm font-semibold text-gray-700 mb-2">Out-bound Node List:</h3>
                 ${
@@ -720,24 +1343,26 @@ async function openOutboundDetails(nodeId) {
                         ? '<p class="text-xs text-gray-500 italic mb-2">No outbound connections recorded.</p>'
                         : outboundData.outbound_connections.map(conn => {
                             const target = nodeMap[conn.targetId] || {};
-                            const desc = linkifyDescription(target.description || 'No description.');
+                            const desc = target.description ? renderMarkdown(target.description, target) : 'No description.';
 
                             return `
                                 <div class="mb-2 p-2 rounded-lg border border-gray-200 bg-gray-50 flex items-start justify-between gap-2">
                                     <div>
-                                        <p class="text-sm font-medium text-gray-800">
-                                            ${target.name || 'Unknown'} (${conn.count} clicks)
-                                        </p>
+                                        <button type="button" class="text-sm font-medium text-gray-800 text-left hover:text-indigo-600 hover:underline"
+                                                title="Follow this link" data-action="follow-link"
+                                                data-source-id="${escapeHtml(nodeId)}" data-target-id="${escapeHtml(conn.targetId)}">
+                                            ${escapeHtml(target.name || 'Unknown')} (${escapeHtml(conn.count)} clicks)
+                                        </button>
                                         <p class="text-xs text-gray-600">
-                                            Status: ${target.status || 'N/A'} |
-                                            ID: ${(target.contentId || '').substring(0,8)}...
+                                            Status: ${escapeHtml(target.status || 'N/A')} |
+                                            ID: ${escapeHtml((target.contentId || '').substring(0,8))}...
                                         </p>
-                                        <p class="text-xs text-gray-600 mt-0.5">${desc}</p>
+                                        <div class="markdown-body text-xs text-gray-600 mt-0.5">${desc}</div>
                                     </div>
                                     <button
                                         class="text-red-500 hover:text-red-700 mt-1"
                                         title="Delete this link"
-                                        onclick="deleteRelationFromModal('${nodeId}', '${conn.targetId}', '${(node.name || '').replace(/'/g, "\\'")}', '${(target.name || 'Unknown').replace(/'/g, "\\'")}')"
+                                        data-action="delete-relation" data-parent-id="${escapeHtml(nodeId)}" data-child-id="${escapeHtml(conn.targetId)}"
                                     >
                                         <svg data-lucide="trash-2" width="16" height="16"></svg>
                                     </button>
@@ -748,8 +1373,10 @@ async function openOutboundDetails(nodeId) {
             </div>
         `;
 
+        closeConnectionPopups();
         overlay.innerHTML = contentHtml;
         document.body.appendChild(overlay);
+        scheduleUrlStateSync();
         if (window.lucide?.createIcons) {
             window.lucide.createIcons();
         }
@@ -760,6 +1387,9 @@ async function openOutboundDetails(nodeId) {
 function closeSearchLinkModal() {
     document.getElementById('search-link-modal').style.display = 'none';
 }
+const MAX_LINK_SEARCH_RESULTS = 100;
+let linkSearchResults = []; // nodes listed in the Search & Link modal (backend results are not in nodeMap)
+
 async function handleSearch() {
     const parentId = document.getElementById('link-modal-parent-id').value;
     const searchTerm = document.getElementById('search-input').value.trim();
@@ -768,7 +1398,8 @@ async function handleSearch() {
 
     resultsList.innerHTML = '';
 
-    if (searchTerm.length < 3) {
+    const query = parseSearchQuery(searchTerm);
+    if (searchTerm.length < 3 || !query) {
         statusMsg.textContent = 'Please enter at least 3 characters to search.';
         document.getElementById('confirm-link-button').disabled = true;
         return;
@@ -777,46 +1408,82 @@ async function handleSearch() {
     statusMsg.textContent = 'Searching...';
 
     try {
-        const safeSearchTerm = searchTerm.replace(/\s/g, '_');
+        let results;
+        if (stableRootId && nodeMap[stableRootId]) {
+            // Tree is loaded: rank locally with the same query language as the filter panel
+            if (searchQueryUsesStats(query)) {
+                await fetchAllStats();
+            }
+            results = searchNodes(query, Object.values(nodeMap), nodeSearchContext(getNodeDepths(stableRootId)))
+                .map(result => result.node);
+        } else {
+            results = await searchNodesOnBackend(query);
+        }
 
-        // Use generic search – includes existing children
-        const endpoint = `/node/search/${encodeURIComponent(safeSearchTerm)}`;
+        // Skip linking the node to itself
+        results = results.filter(node => node.contentId !== parentId);
+        linkSearchResults = results;
+        if (results.length === 0) {
+            statusMsg.textContent = `No matching, unrelated nodes found for "${searchTerm}".`;
+            document.getElementById('confirm-link-button').disabled = true;
+            return;
+        }
 
-        const results = await fetchWithRetry(endpoint);
-        statusMsg.textContent = '';
+        statusMsg.textContent = results.length > MAX_LINK_SEARCH_RESULTS
+            ? `Showing the best ${MAX_LINK_SEARCH_RESULTS} of ${results.length} matches.`
+            : '';
         document.getElementById('confirm-link-button').disabled = false;
 
-        results.forEach(node => {
-            // Skip linking the node to itself
-            if (node.contentId === parentId) {
-                return;
-            }
-
-            nodeMap[node.contentId] = node;
+        results.slice(0, MAX_LINK_SEARCH_RESULTS).forEach(node => {
             const breadcrumb = getBreadcrumbPath(node.contentId);
 
             const listItem = document.createElement('li');
             listItem.className = 'flex items-start p-2 bg-white rounded-lg shadow-sm border border-gray-100';
             listItem.innerHTML = `
-                <input type="checkbox" id="link-node-${node.contentId}" name="link-node" value="${node.contentId}" 
+                <input type="checkbox" id="link-node-${escapeHtml(node.contentId)}" name="link-node" value="${escapeHtml(node.contentId)}" 
                         class="mt-1 mr-3 h-4 w-4 text-green-600 border-gray-300 rounded focus:ring-green-500">
-                <label for="link-node-${node.contentId}" class="flex-1 cursor-pointer">
-                    <span class="font-semibold text-sm text-gray-800">${node.name}</span> 
-                    <span class="text-xs text-gray-500">(${node.status})</span><br>
-                    <span class="text-xs text-gray-600 truncate block">${node.description || 'No description.'}</span>
-                    <span class="text-[10px] text-gray-400 truncate block mt-0.5">${breadcrumb}</span>
+                <label for="link-node-${escapeHtml(node.contentId)}" class="flex-1 cursor-pointer">
+                    <span class="font-semibold text-sm text-gray-800">${escapeHtml(node.name)}</span> 
+                    <span class="text-xs text-gray-500">(${escapeHtml(node.status)})</span><br>
+                    <span class="text-xs text-gray-600 truncate block">${escapeHtml(node.description || 'No description.')}</span>
+                    <span class="text-[10px] text-gray-400 truncate block mt-0.5">${escapeHtml(breadcrumb)}</span>
                 </label>
             `;
             resultsList.appendChild(listItem);
         });
     } catch (error) {
-        statusMsg.textContent = error.message.includes('404') 
-            ? `No matching, unrelated nodes found for "${searchTerm}".` 
-            : `Search failed: ${error.message}`;
+        statusMsg.textContent = `Search failed: ${error.message}`;
         document.getElementById('confirm-link-button').disabled = true;
     }
 }
 
+// Used when the tree has not been loaded. /node/search only does a substring match on
+// one word, so ask for each word that covers a branch of the query, merge what comes back
+// and apply the full query to that. The results are not added to nodeMap.
+async function searchNodesOnBackend(query) {
+    const terms = searchQueryBackendTerms(query);
+    if (terms.length === 0) {
+        throw new Error('This query needs the tree to be loaded (it has no name/description words).');
+    }
+
+    const searchTerm = async (term) => {
+        try {
+            return await fetchWithRetry(`/node/search/${encodeURIComponent(term)}`);
+        } catch (error) {
+            if (error.status === 404) return []; // the endpoint answers "no results" with a 404
+            throw error;
+        }
+    };
+    const candidates = new Map();
+    (await Promise.all(terms.map(searchTerm))).forEach(found => {
+        found.forEach(node => {
+            if (!candidates.has(node.contentId)) candidates.set(node.contentId, node);
+        });
+    });
+    // Depth is unknown without the tree, so depth terms never match here
+    return searchNodes(query, Array.from(candidates.values()), nodeSearchContext()).map(result => result.node);
+}
+
 async function handleLinkSelected() {
     const parentId = document.getElementById('link-modal-parent-id').value;
     const parentName = nodeMap[parentId].name;
@@ -829,124 +1496,74 @@ async function handleLinkSelected() {
     
     closeSearchLinkModal(); 
     let successCount = 0;
-    
-    // Collect IDs of nodes whose stats need updating
-    const nodesToUpdate = new Set([parentId]);
+    const newLinks = [];
     
     for (const checkbox of checkboxes) {
         const childId = checkbox.value;
-        const childName = nodeMap[childId] ? nodeMap[childId].name : 'Unknown Node';
-
-        try {
-            showMessage(`1/2: Creating static link ${parentName} → ${childName}...`, 'info');
-
-            // Step 1: Create or confirm the Static Relationship (idempotent)
-            const relationOptions = {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ parentId: parentId, childId: childId })
-            };
-
-            try {
-                await fetchWithRetry('/relation/create', relationOptions);
-            } catch (e) {
-                // If relationship already exists, ignore and continue to record click
-                if (!e.message.includes('Relationship exists')) {
-                    throw e;  // real error
-                }
-            }
+        const child = nodeMap[childId] || linkSearchResults.find(node => node.contentId === childId);
+        const childName = child ? child.name : 'Unknown Node';
+        // Re-linking an existing child is a no-op, so undo must not remove it
+        if (!(nodeMap[parentId].children || []).includes(childId)) {
+            newLinks.push({ parentId, childId });
+        }
 
-            // Step 2: Record a "Click" (updates IN/OUT counters even for existing links)
-            showMessage(`2/2: Recording initial click to update IN/OUT counters...`, 'info');
-            const clickOptions = {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ sourceId: parentId, targetId: childId })
-            };
-            await fetchWithRetry('/link/click', clickOptions);
+        // The outbox treats "Relationship exists" as done. Clicks are only counted when the
+        // link is actually followed (click-tracking.js), so a new link starts at zero.
+        queueMutation('createRelation', { parentId, childId }, { label: `Link ${parentName} → ${childName}` });
+        successCount++;
+    }
 
-            nodesToUpdate.add(childId);
-            successCount++;
-        } catch (error) {
-            showMessage(`Failed to link ${childName}: ${error.message}`, 'error');
-        }
+    if (newLinks.length > 0) {
+        recordHistory(
+            `Link ${newLinks.length} node(s) under ${parentName}`,
+            newLinks.map(payload => ({ op: 'mutation', kind: 'createRelation', payload })),
+            newLinks.map(payload => ({ op: 'mutation', kind: 'deleteRelation', payload })),
+            parentId
+        );
     }
     
-    if (successCount > 0) {
-        showMessage(`Successfully linked ${successCount} node(s) to ${parentName}. Updating view...`, 'success');
-        
-        // Re-render the visuals to update stat badges/data and maintain zoom/position
-        nodeToFocusId = parentId;
-        loadAndRenderTree(); 
-    } else {
-        showMessage('No new links were successfully created.', 'error');
-    }
+    showMessage(`Linked ${successCount} node(s) to ${parentName}.`, 'success');
+
+    // Re-render from local state to maintain zoom/position
+    nodeToFocusId = parentId;
+    loadAndRenderVisuals(stableRootId);
 }
 
-// --- NEW FUNCTION: Fetch and Update Click Stats for a single node with retries ---
-async function updateNodeStats(nodeId) {
-    const statsDiv = document.getElementById(`stats-${nodeId}`);
-    if (!statsDiv) return;
-    
-    // Set loading state immediately
-    statsDiv.innerHTML = '<span class="text-gray-400 text-[8px] italic">Loading stats...</span>';
-    
-    let inboundCount = 0;
-    let outboundCount = 0;
-    const MAX_STAT_RETRIES = 3; 
+// --- Stat Badges ---
+function statsBadgeHtml(nodeId) {
+    const stats = nodeStats[nodeId];
+    const safeId = escapeHtml(nodeId);
+    if (!stats) {
+        return '<span class="text-gray-400 text-[8px] italic">Loading stats...</span>';
+    }
 
-    // --- Fetch Stats with Retries ---
-    for (let i = 0; i < MAX_STAT_RETRIES; i++) {
-        try {
-            // Attempt to fetch both inbound and outbound data
-            const inboundData = await fetchWithRetry(`/inbound_stats/${encodeURIComponent(nodeId)}`);
-            const outboundData = await fetchWithRetry(`/outbound_stats/${encodeURIComponent(nodeId)}`);
-
-            inboundCount = inboundData.total_inbound_count;
-            outboundCount = outboundData.total_outbound_count;
-            
-            // Cache stats for filtering logic
-            nodeStats[nodeId] = { inboundCount, outboundCount }; 
-            
-            // If data is successfully fetched, break the loop
-            break; 
+    const inboundClass = stats.inboundCount > 0 ? 'inbound-active' : 'inbound-inactive';
+    const outboundClass = stats.outboundCount > 0 ? 'outbound-active' : 'outbound-inactive';
 
-        } catch (error) {
-            // If it's the last attempt and it failed, log the error
-            if (i === MAX_STAT_RETRIES - 1) {
-                console.error(`Failed to load stats for ${nodeId} after ${MAX_STAT_RETRIES} attempts.`, error);
-                statsDiv.innerHTML = '<span class="text-red-500 text-[8px]">Stats Error</span>';
-                return;
-            }
-            // Wait briefly before retrying
-            await new Promise(resolve => setTimeout(resolve, 500)); 
-        }
-    }
-    
-    // --- Final Display ---
-    // MODIFIED: Use new class structure for styling.
-    statsDiv.innerHTML = `
+    return `
         <div class="flex justify-around text-xs font-bold pt-1 border-t border-gray-300 mt-1">
             <button type="button"
                     class="text-gray-700 focus:outline-none"
-                    onclick="openInboundDetails('${nodeId}')">
+                    data-action="open-inbound" data-node-id="${safeId}">
                 IN:
-                <span id="inbound-stat-${nodeId}" class="inbound-stat ml-1">${inboundCount}</span>
+                <span id="inbound-stat-${safeId}" class="inbound-stat ml-1 ${inboundClass}">${escapeHtml(stats.inboundCount)}</span>
             </button>
             <button type="button"
                     class="text-gray-700 focus:outline-none"
-                    onclick="openOutboundDetails('${nodeId}')">
+                    data-action="open-outbound" data-node-id="${safeId}">
                 OUT:
-                <span id="outbound-stat-${nodeId}" class="outbound-stat ml-1">${outboundCount}</span>
+                <span id="outbound-stat-${safeId}" class="outbound-stat ml-1 ${outboundClass}">${escapeHtml(stats.outboundCount)}</span>
             </button>
         </div>
     `;
+}
 
-    // --- Schedule CSS coloring after DOM update ---
-    setTimeout(() => applyStatColors(nodeId), 50);
-
-    // Recalculate horizontal lines after this node’s width may have changed
-    setTimeout(updateHorizontalLines, 0);
+// Patches a single card's IN/OUT badges from the cache (no request)
+function renderStatsBadge(nodeId) {
+    const statsDiv = document.getElementById(`stats-${nodeId}`);
+    if (!statsDiv) return;
+    statsDiv.innerHTML = statsBadgeHtml(nodeId);
+    applyHeatmapToCard(nodeId);
 }
 
 
@@ -957,7 +1574,7 @@ async function updateNodeStats(nodeId) {
  */
 // --- Node Rendering Logic ---
 
-function renderNode(nodeId, nodeMap, level = 0) {
+function renderNode(nodeId, nodeMap, level = 0, parentId = null) {
     const node = nodeMap[nodeId];
 
     if (!node) {
@@ -971,73 +1588,124 @@ function renderNode(nodeId, nodeMap, level = 0) {
 
     const isAlreadyRendered = renderedNodes.has(nodeId);
 
-    // Stop recursion if already drawn (prevents cross-linked nodes from shifting position)
+    // Stop recursion if already drawn (prevents cross-linked nodes from shifting position).
+    // In graph mode the extra parent gets an "also under" reference instead.
     if (isAlreadyRendered) {
-        return '';
+        return showCrossLinks && parentId ? renderCrossLinkRef(nodeId, parentId, level) : '';
     }
 
-    renderedNodes.add(nodeId);
+    renderedNodes.set(nodeId, parentId);
 
-    const nodeName = node.name;
-    const nodeIdStr = node.contentId;
-    const friendlyId = node.friendlyId || '';
-    const statusClasses = getStatusClasses(node.status);
-
-    // 1. Ensure stable order: Sort children IDs alphabetically for consistent sibling arrangement.
-    const sortedChildren = (node.children || []).sort();
-    const renderableChildrenIds = sortedChildren;
-    const hasChildren = renderableChildrenIds.length > 0;
-
-    // --- Schedule stat update after rendering ---
-    setTimeout(() => updateNodeStats(nodeId), 100);
+    // 1. Ensure stable order for consistent sibling arrangement.
+    const renderableChildrenIds = getOrderedChildIds(nodeId);
+    // A collapsed node keeps its card but hides its tree-container
+    const hasChildren = renderableChildrenIds.length > 0 && !isNodeCollapsed(nodeId);
 
     // --- Children rendering ---
     let childrenHtml = '';
     if (hasChildren) {
-        // If we are in "single node mode" and this is the root of the render,
-        // do NOT render any children – just the single node card.
-        if (!(singleNodeMode && level === 0)) {
-            const childNodesHtml = renderableChildrenIds
-                .map(childId => renderNode(childId, nodeMap, level + 1))
-                .join('');
-
-            if (childNodesHtml.trim() !== '') {
-                // Add a class if there is only one child wrapper
-                const containerClass =
-                    renderableChildrenIds.length === 1 ? ' single-child-container' : '';
-                childrenHtml = `<div class="tree-container${containerClass}">${childNodesHtml}</div>`;
-            }
+        const childNodesHtml = renderableChildrenIds
+            .map(childId => renderNode(childId, nodeMap, level + 1, nodeId))
+            .join('');
+
+        if (childNodesHtml.trim() !== '') {
+            // Add a class if there is only one child wrapper
+            const containerClass =
+                renderableChildrenIds.length === 1 ? ' single-child-container' : '';
+            childrenHtml = `<div class="tree-container${containerClass}">${childNodesHtml}</div>`;
         }
     }
 
+    // --- Node HTML structure: wrapper carries level-based line color ---
+    const wrapperClass = hasChildren ? 'node-wrapper has-children' : 'node-wrapper';
+    const levelColor = getLevelColor(level);
+
+    return `
+        <div class="${wrapperClass}" style="--line-color: ${levelColor};">
+            ${renderNodeCard(nodeId)}
+            ${childrenHtml}
+        </div>
+    `;
+}
+
+// Saved sibling order (childOrder on the parent, set by drag and drop) first; children it
+// does not mention yet follow alphabetically so they keep a stable place across renders
+function getOrderedChildIds(nodeId) {
+    const node = nodeMap[nodeId];
+    if (!node) return [];
+    const children = node.children || [];
+    const ordered = [...new Set(node.childOrder || [])].filter(id => children.includes(id));
+    const rest = children.filter(id => !ordered.includes(id)).sort();
+    return ordered.concat(rest);
+}
+
+/**
+ * Card markup for one node (friendly ID, status colours, action bar, IN/OUT badges).
+ * Shared by the HTML renderer (renderNode) and the SVG renderer (svg-renderer.js).
+ */
+function renderNodeCard(nodeId) {
+    const node = nodeMap[nodeId];
+    const nodeIdStr = node.contentId;
+    // Everything user-typed goes into the markup escaped
+    const safeId = escapeHtml(nodeIdStr);
+    const safeName = escapeHtml(node.name);
+    const safeStatus = escapeHtml(node.status);
+    const friendlyId = escapeHtml(getFriendlyIdLabel(node));
+    const friendlyIdTitle = !node.friendlyId && friendlyId ? ' title="Provisional ID from the tree order; the server has not stored one"' : '';
+    const statusClasses = getStatusClasses(node.status);
+    let searchClass = nodeIdStr === lastFocusedNodeId ? ' keyboard-focus' : '';
+    if (selectedNodeIds.has(nodeIdStr)) searchClass += ' node-selected';
+    if (searchMatchSet.has(nodeIdStr)) {
+        searchClass += nodeIdStr === searchMatches[searchMatchIndex] ? ' search-match search-match-current' : ' search-match';
+    }
+
     // --- Icon Logic: All icons are black, no background circles ---
     let actionIcons = '';
     const iconStyle = `width="12" height="12" class="text-gray-800" stroke-width="2.5"`;
 
+    // Expand/collapse toggle (only for nodes with children)
+    if ((node.children || []).length > 0) {
+        const collapsed = isNodeCollapsed(nodeIdStr);
+        const hiddenCount = collapsed
+            ? `<span class="text-[9px] font-semibold text-gray-600">+${countDescendants(nodeIdStr)}</span>`
+            : '';
+        actionIcons += `
+            <button class="fold-btn mr-auto" data-action="toggle-fold" data-node-id="${safeId}" title="${collapsed ? 'Expand children' : 'Collapse children'}">
+                <svg data-lucide="${collapsed ? 'chevron-right' : 'chevron-down'}" ${iconStyle}></svg>
+                ${hiddenCount}
+            </button>
+        `;
+    }
+
     actionIcons += `
-        <button class="info-btn" onclick="openInfoModal('${nodeIdStr}')" title="View Description/Stats">
+        <button class="info-btn" data-action="open-info" data-node-id="${safeId}" title="View Description/Stats">
             <svg data-lucide="info" ${iconStyle}></svg>
         </button>
     `;
 
     actionIcons += `
-        <button class="edit-btn" onclick="openEditModal('${nodeIdStr}')" title="Edit Node Details">
+        <button class="edit-btn" data-action="open-edit" data-node-id="${safeId}" title="Edit Node Details">
             <svg data-lucide="pencil" ${iconStyle}></svg>
         </button>
     `;
 
     actionIcons += `
-        <button class="search-btn" onclick="openSearchLinkModal('${nodeIdStr}', '${nodeName}')" title="Search & Link Nodes">
+        <button class="copy-link-btn" data-action="copy-link" data-node-id="${safeId}" title="Copy link to this node">
+            <svg data-lucide="share-2" ${iconStyle}></svg>
+        </button>
+    `;
+
+    actionIcons += `
+        <button class="search-btn" data-action="open-link-search" data-node-id="${safeId}" title="Search & Link Nodes">
             <svg data-lucide="search" ${iconStyle}></svg>
         </button>
     `;
 
-    // Optional external link icon if description has a URL (BLUE)
-    const firstUrl2 = getFirstUrl(node.description);
-    if (firstUrl2) {
-        const safeUrl = firstUrl2.replace(/"/g, '&quot;');
+    // Links, links in the description and attachments (BLUE); opens a menu of all of them
+    const linkCount = getNodeLinkTargets(node).length;
+    if (linkCount > 0) {
         actionIcons += `
-            <button class="link-btn" onclick="window.open('${safeUrl}', '_blank')" title="Open link from description">
+            <button class="link-btn" data-action="link-menu" data-node-id="${safeId}" title="Links and attachments (${linkCount})" aria-haspopup="menu">
                 <svg data-lucide="link" width="12" height="12" class="text-blue-600" stroke-width="2.5"></svg>
             </button>
         `;
@@ -1046,7 +1714,7 @@ function renderNode(nodeId, nodeMap, level = 0) {
     // Conditional Delete Icon (Only on Leaf Nodes)
     if ((node.children || []).length === 0) {
         actionIcons += `
-            <button class="delete-btn" onclick="openDeleteConfirmModal('${nodeIdStr}')" title="Delete Node">
+            <button class="delete-btn" data-action="delete-node" data-node-id="${safeId}" title="Delete Node">
                 <svg data-lucide="trash-2" width="12" height="12" class="text-red-600" stroke-width="2.5"></svg>
             </button>
         `;
@@ -1054,40 +1722,287 @@ function renderNode(nodeId, nodeMap, level = 0) {
 
     // Add Child Icon
     actionIcons += `
-        <button class="add-child-btn" onclick="openChildModal('${nodeIdStr}', '${nodeName}')" title="Add New Child">
+        <button class="add-child-btn" data-action="add-child" data-node-id="${safeId}" title="Add New Child">
             <svg data-lucide="plus" ${iconStyle}></svg>
         </button>
     `;
 
-    // --- Node HTML structure: wrapper carries level-based line color ---
-    const wrapperClass = hasChildren ? 'node-wrapper has-children' : 'node-wrapper';
-    const levelColor = getLevelColor(level);
-
     return `
-        <div class="${wrapperClass}" style="--line-color: ${levelColor};">
-            <div class="node-card ${statusClasses.bg} p-2 rounded-xl border ${statusClasses.border} shadow-lg node-box relative" id="node-${nodeIdStr}">
+            <div class="node-card ${statusClasses.bg} p-2 rounded-xl border ${statusClasses.border} shadow-lg node-box relative${searchClass}" id="node-${safeId}"
+                 data-node-id="${safeId}" draggable="${nodeIdStr !== stableRootId}"
+                 tabindex="-1" aria-label="${friendlyId} ${safeName}, status ${safeStatus}" style="${getHeatmapStyle(nodeIdStr)}">
                 <!-- Friendly short ID in top-left -->
-                <div class="absolute top-1 left-2 text-[9px] font-semibold text-gray-500">
+                <div class="absolute top-1 left-2 text-[9px] font-semibold text-gray-500"${friendlyIdTitle}>
                     ${friendlyId}
                 </div>
 
                 <div class="node-action-bar">
                     ${actionIcons}
                 </div>
-                <h3 class="text-xs ${statusClasses.text} pl-4 pr-4 whitespace-normal text-center">${nodeName}</h3>
-                <p class="text-[7px] text-gray-600 pl-4 pr-4">Status: ${node.status}</p>
+                <h3 class="text-xs ${statusClasses.text} pl-4 pr-4 whitespace-normal text-center">${safeName}</h3>
+                <p class="text-[7px] text-gray-600 pl-4 pr-4">Status: ${safeStatus}</p>
                 <p class="text-[7px] text-gray-600 pl-4 pr-4">
-                    ID: <span class="font-mono">${nodeIdStr.substring(0, 8)}...</span>
+                    ID: <span class="font-mono">${escapeHtml(nodeIdStr.substring(0, 8))}...</span>
                 </p>
+                ${customFieldsCardHtml(node)}
                 
-                <div id="stats-${nodeIdStr}" class="p-0.5">
-                    <span class="text-gray-400 text-[8px] italic">Loading stats...</span>
+                <div id="stats-${safeId}" class="p-0.5">
+                    ${statsBadgeHtml(nodeIdStr)}
                 </div>
             </div>
-            ${childrenHtml}
+    `;
+}
+/**
+ * Renders a compact reference card for a node that is already drawn under another
+ * parent. drawCrossLinks() then connects it to the real card with a curved edge.
+ */
+function renderCrossLinkRef(nodeId, parentId, level) {
+    const node = nodeMap[nodeId];
+    const primaryParent = nodeMap[renderedNodes.get(nodeId)];
+    const levelColor = getLevelColor(level);
+    const alsoUnder = primaryParent ? `also under ${primaryParent.name}` : 'shown elsewhere in the tree';
+
+    return `
+        <div class="node-wrapper" style="--line-color: ${levelColor};">
+            <button type="button" class="cross-link-ref" id="xref-${escapeHtml(parentId)}-${escapeHtml(nodeId)}"
+                    data-action="follow-link" data-source-id="${escapeHtml(parentId)}" data-target-id="${escapeHtml(nodeId)}"
+                    title="Go to ${escapeHtml(node.name)}">
+                <span class="text-[9px] font-semibold text-gray-500">${escapeHtml(getFriendlyIdLabel(node))}</span>
+                <span class="text-xs text-gray-800">↪ ${escapeHtml(node.name)}</span>
+                <span class="text-[8px] text-gray-500 italic">${escapeHtml(alsoUnder)}</span>
+            </button>
         </div>
     `;
 }
+
+// --- Drag & Drop (reparent / reorder) ---
+// Dropping on the middle of a card moves the dragged node (with its subtree) under that
+// card; dropping on its left/right quarter places it before/after that card among its
+// siblings. Either way it is one atomic 'moveNode' mutation (/relation/move).
+let draggedNodeId = null;
+
+// Parent the card is drawn under in the current render (a node may have several parents)
+function getRenderedParentId(nodeId) {
+    if (rendererMode === 'svg') {
+        return (svgLayout && svgLayout.nodes[nodeId] && svgLayout.nodes[nodeId].parentId) || null;
+    }
+    return renderedNodes.get(nodeId) || null;
+}
+
+function isDescendantOf(nodeId, ancestorId) {
+    const seen = new Set();
+    const stack = [...((nodeMap[ancestorId] && nodeMap[ancestorId].children) || [])];
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (id === nodeId) return true;
+        if (seen.has(id) || !nodeMap[id]) continue;
+        seen.add(id);
+        stack.push(...(nodeMap[id].children || []));
+    }
+    return false;
+}
+
+// Returns why a move is not possible, or null if it is
+function getMoveProblem(childId, fromParentId, toParentId) {
+    if (!nodeMap[childId] || !nodeMap[toParentId] || !fromParentId) return 'This node cannot be moved.';
+    if (fromParentId === toParentId) return null;
+    if (toParentId === childId || isDescendantOf(toParentId, childId)) {
+        return `'${nodeMap[childId].name}' cannot be moved under itself or one of its own descendants.`;
+    }
+    if ((nodeMap[toParentId].children || []).includes(childId)) {
+        return `'${nodeMap[childId].name}' is already under '${nodeMap[toParentId].name}'.`;
+    }
+    return null;
+}
+
+/**
+ * Moves childId from fromParentId to toParentId (same parent = reorder) and saves the
+ * target parent's sibling order with the new position. index null = last.
+ */
+function moveNode(childId, fromParentId, toParentId, index = null) {
+    const problem = getMoveProblem(childId, fromParentId, toParentId);
+    if (problem) {
+        showMessage(problem, 'error');
+        return false;
+    }
+
+    const childOrder = buildChildOrder(toParentId, childId, index);
+    const previousIndex = getOrderedChildIds(fromParentId).indexOf(childId);
+
+    const childName = nodeMap[childId].name;
+    const toName = nodeMap[toParentId].name;
+    const label = fromParentId === toParentId ? `Reorder '${childName}' in '${toName}'` : `Move '${childName}' under '${toName}'`;
+    queueMutation('moveNode', { childId, fromParentId, toParentId, childOrder }, { label });
+    recordHistory(
+        label,
+        [{ op: 'place', childId, fromParentId, toParentId, index: childOrder.indexOf(childId) }],
+        [{ op: 'place', childId, fromParentId: toParentId, toParentId: fromParentId, index: previousIndex }],
+        childId
+    );
+    showMessage(fromParentId === toParentId ? `Reordered '${childName}'.` : `Moved '${childName}' under '${toName}'.`, 'success');
+
+    nodeToFocusId = childId;
+    loadAndRenderVisuals(stableRootId);
+    return true;
+}
+
+// parentId's children in display order with childId (re)inserted at index (null = last)
+function buildChildOrder(parentId, childId, index = null) {
+    const childOrder = getOrderedChildIds(parentId).filter(id => id !== childId);
+    const insertAt = index === null ? childOrder.length : Math.max(0, Math.min(index, childOrder.length));
+    childOrder.splice(insertAt, 0, childId);
+    return childOrder;
+}
+
+// Where a drop on targetId at clientX would put the dragged node
+function getDropAction(targetId, clientX, rect) {
+    const zone = rect.width > 0 ? (clientX - rect.left) / rect.width : 0.5;
+    const targetParentId = getRenderedParentId(targetId);
+
+    if (targetParentId && (zone < 0.25 || zone > 0.75)) {
+        const siblings = getOrderedChildIds(targetParentId).filter(id => id !== draggedNodeId);
+        const targetIndex = siblings.indexOf(targetId);
+        return {
+            position: zone < 0.25 ? 'before' : 'after',
+            parentId: targetParentId,
+            index: zone < 0.25 ? targetIndex : targetIndex + 1
+        };
+    }
+    return { position: 'inside', parentId: targetId, index: null };
+}
+
+function clearDropIndicators() {
+    document.querySelectorAll('.drop-inside, .drop-before, .drop-after').forEach(card => {
+        card.classList.remove('drop-inside', 'drop-before', 'drop-after');
+    });
+}
+
+// Delegated on the tree wrapper so re-rendered (and SVG-mounted) cards need no wiring
+function initNodeDragAndDrop() {
+    const wrapper = document.getElementById('tree-content-wrapper');
+    const cardFromEvent = e => (e.target.closest ? e.target.closest('.node-card[data-node-id]') : null);
+
+    wrapper.addEventListener('dragstart', (e) => {
+        const card = cardFromEvent(e);
+        if (!card || card.getAttribute('draggable') !== 'true') return;
+        draggedNodeId = card.dataset.nodeId;
+        card.classList.add('is-dragging');
+        if (e.dataTransfer) {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedNodeId); // Firefox needs data to start a drag
+        }
+    });
+
+    wrapper.addEventListener('dragover', (e) => {
+        const card = cardFromEvent(e);
+        if (!draggedNodeId || !card || card.dataset.nodeId === draggedNodeId) return;
+
+        const action = getDropAction(card.dataset.nodeId, e.clientX, card.getBoundingClientRect());
+        const problem = getMoveProblem(draggedNodeId, getRenderedParentId(draggedNodeId), action.parentId);
+        clearDropIndicators();
+        if (problem) return; // no preventDefault -> the browser shows "not allowed"
+
+        e.preventDefault();
+        card.classList.add(`drop-${action.position}`);
+    });
+
+    wrapper.addEventListener('dragleave', (e) => {
+        const card = cardFromEvent(e);
+        if (card && !card.contains(e.relatedTarget)) {
+            card.classList.remove('drop-inside', 'drop-before', 'drop-after');
+        }
+    });
+
+    wrapper.addEventListener('drop', (e) => {
+        const card = cardFromEvent(e);
+        const childId = draggedNodeId;
+        clearDropIndicators();
+        if (!childId || !card || card.dataset.nodeId === childId) return;
+        e.preventDefault();
+
+        const action = getDropAction(card.dataset.nodeId, e.clientX, card.getBoundingClientRect());
+        moveNode(childId, getRenderedParentId(childId), action.parentId, action.index);
+    });
+
+    wrapper.addEventListener('dragend', () => {
+        document.querySelectorAll('.node-card.is-dragging').forEach(card => card.classList.remove('is-dragging'));
+        clearDropIndicators();
+        draggedNodeId = null;
+    });
+}
+
+// --- Cross-link Connectors (graph mode) ---
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Draws a dashed curve from every "also under" reference to the real node card
+function drawCrossLinks() {
+    const wrapper = document.getElementById('tree-content-wrapper');
+    if (!wrapper) return;
+
+    const oldSvg = document.getElementById('connection-svg');
+    if (oldSvg) oldSvg.remove();
+
+    const refs = wrapper.querySelectorAll('.cross-link-ref');
+    if (!showCrossLinks || refs.length === 0) return;
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.id = 'connection-svg';
+    svg.setAttribute('width', wrapper.scrollWidth);
+    svg.setAttribute('height', wrapper.scrollHeight);
+    svg.innerHTML = `
+        <defs>
+            <marker id="cross-link-arrow" viewBox="0 0 10 10" refX="9" refY="5"
+                    markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" class="cross-link-arrow-head"></path>
+            </marker>
+        </defs>
+    `;
+
+    // Bounding rects are scaled by applyZoom; convert back to unscaled wrapper coordinates
+    const origin = wrapper.getBoundingClientRect();
+    const toLocal = rect => ({
+        x: (rect.left - origin.left) / currentScale,
+        y: (rect.top - origin.top) / currentScale,
+        w: rect.width / currentScale,
+        h: rect.height / currentScale
+    });
+
+    refs.forEach(ref => {
+        const target = document.getElementById(`node-${ref.dataset.targetId}`);
+        if (!target) return;
+
+        const from = toLocal(ref.getBoundingClientRect());
+        const to = toLocal(target.getBoundingClientRect());
+        const goesRight = to.x + to.w / 2 >= from.x + from.w / 2;
+
+        const x1 = goesRight ? from.x + from.w : from.x;
+        const y1 = from.y + from.h / 2;
+        const x2 = goesRight ? to.x : to.x + to.w;
+        const y2 = to.y + to.h / 2;
+        const bend = Math.max(60, Math.abs(x2 - x1) / 2) * (goesRight ? 1 : -1);
+
+        const path = document.createElementNS(SVG_NS, 'path');
+        path.setAttribute('d', `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`);
+        path.setAttribute('class', 'cross-link-path');
+        path.setAttribute('marker-end', 'url(#cross-link-arrow)');
+        svg.appendChild(path);
+    });
+
+    wrapper.appendChild(svg);
+}
+
+function refreshConnectors() {
+    updateHorizontalLines();
+    drawCrossLinks();
+    scheduleMinimapUpdate();
+}
+
+function toggleCrossLinks(enabled) {
+    showCrossLinks = enabled;
+    localStorage.setItem('showCrossLinks', String(enabled));
+    applyFilters(); // re-render with whatever search/filters are active
+}
+
 /**
  * Fetches the entire graph structure and renders the tree starting from the root.
  * This is the function we want to minimize calling, but it's necessary for structural changes.
@@ -1103,7 +2018,23 @@ async function loadAndRenderTree() {
     renderedNodes.clear(); 
     
     try {
-        const response = await fetchWithRetry('/tree');
+        // Statuses first so the cards get the project's colours
+        await loadStatusRegistry();
+        await loadFieldSchema();
+
+        let response;
+        let isFromSnapshot = false;
+        try {
+            response = await fetchWithRetry('/tree');
+            saveTreeSnapshot(response);
+        } catch (fetchError) {
+            if (!fetchError.isNetworkError) throw fetchError;
+            // Offline: fall back to the last tree this browser saw
+            const snapshot = await loadTreeSnapshot();
+            if (!snapshot) throw fetchError;
+            response = snapshot.nodes;
+            isFromSnapshot = true;
+        }
         
         if (!response || response.length === 0) {
             vizWrapper.innerHTML = '<p class="text-center text-red-500 italic p-10">No Root Node found. <a href="index.html" class="text-indigo-600 font-semibold hover:underline">Click here to create the root node.</a></p>';
@@ -1113,30 +2044,28 @@ async function loadAndRenderTree() {
         // 1. Map all nodes by ID
         nodeMap = {};
         parentMap = {};
+        nodeStats = {};
+        statsLoaded = false;
         
         response.forEach(node => {
             nodeMap[node.contentId] = { ...node }; 
         });
 
-        // Build parentMap: childId -> parentId
-        response.forEach(node => {
-            if (Array.isArray(node.children)) {
-                node.children.forEach(childId => {
-                    if (childId) {
-                        parentMap[childId] = node.contentId;
-                    }
-                });
-            }
-        });
+        // Build parentMap: childId -> [parentId, ...]
+        rebuildParentMap();
 
-        // Assign friendly short IDs (01, 02, 03, ...)
-        assignFriendlyIds(response);
+        // Edits still waiting in the outbox are not on the server yet
+        replayOutboxLocally();
+        // Friendly IDs are stored with each node; only nodes that never got one are numbered,
+        // and until the server has numbered them they show a provisional "~07"
+        backfillFriendlyIds(response.map(node => node.contentId));
+        assignProvisionalFriendlyIds(response.map(node => node.contentId));
         updateTotalNodeCount();
 
         // 2. Identify the Root Node 
         let rootNodeId = null;
         
-        if (response.length > 0) {
+        if (response.length > 0 && nodeMap[response[0].contentId]) {
             rootNodeId = response[0].contentId; 
             stableRootId = rootNodeId; 
         } else {
@@ -1153,36 +2082,17 @@ async function loadAndRenderTree() {
             vizWrapper.scrollTo({ top: 0, left: 0, behavior: 'smooth' });
         }
 
-        showMessage(`Tree loaded successfully, starting from root: ${rootName}.`, 'success');
+        if (isFromSnapshot) {
+            showMessage(`Offline: showing the last saved copy of the tree (root: ${rootName}). Edits will sync when the backend is back.`, 'error');
+        } else {
+            showMessage(`Tree loaded successfully, starting from root: ${rootName}.`, 'success');
+        }
 
     } catch (error) {
         vizWrapper.innerHTML = '<p class="text-center text-red-500 italic p-10">Error loading graph. Check backend connection or console for details.</p>';
         console.error("Tree loading failed:", error);
     }
 }
-function assignFriendlyIds(orderArray = null) {
-    // If we have an explicit order (e.g. /tree response), use that.
-    // Otherwise, fall back to current nodeMap insertion order.
-    let nodesInOrder;
-
-    if (orderArray && Array.isArray(orderArray)) {
-        // Map the response array (which is in creation order) back to nodeMap entries
-        nodesInOrder = orderArray
-            .map(n => nodeMap[n.contentId])
-            .filter(Boolean);
-    } else {
-        // Object.values preserves insertion order in modern JS engines
-        nodesInOrder = Object.values(nodeMap || {});
-    }
-
-    if (!nodesInOrder.length) return;
-
-    let counter = 1;
-    nodesInOrder.forEach(node => {
-        node.friendlyId = String(counter).padStart(2, '0'); // 01, 02, 03...
-        counter += 1;
-    });
-}
 function loadAndRenderVisuals(rootOverrideId = null) {
     const vizWrapper = document.getElementById('tree-content-wrapper');
     renderedNodes.clear();
@@ -1194,9 +2104,20 @@ function loadAndRenderVisuals(rootOverrideId = null) {
         return;
     }
 
-    const treeHtml = renderNode(rootNodeId, nodeMap, 0);
-    vizWrapper.innerHTML = treeHtml;
-    window.lucide.createIcons();
+    // A node we are about to focus must not be hidden inside a folded branch
+    if (nodeToFocusId && nodeMap[nodeToFocusId]) {
+        expandAncestors(nodeToFocusId);
+    }
+    updateHeatmapScale();
+
+    if (rendererMode === 'svg') {
+        // Layout in JS, edges in SVG, only on-screen cards mounted
+        renderSvgTree(rootNodeId);
+    } else {
+        const treeHtml = renderNode(rootNodeId, nodeMap, 0);
+        vizWrapper.innerHTML = treeHtml;
+        window.lucide.createIcons();
+    }
 
     // Apply last zoom level
     applyZoom(currentScale);
@@ -1204,7 +2125,8 @@ function loadAndRenderVisuals(rootOverrideId = null) {
     // --- NEW: Focus vs restore viewport ---
     if (nodeToFocusId) {
         // explicit focus requested (add/delete/link/edit)
-        setTimeout(() => focusNode(nodeToFocusId), 150);
+        const focusId = nodeToFocusId;
+        setTimeout(() => focusNode(focusId), 150);
         nodeToFocusId = null;
     } else {
         // normal reload / filters / general actions: restore last viewport
@@ -1226,13 +2148,14 @@ function loadAndRenderVisuals(rootOverrideId = null) {
         }
     }
 
-    // load stats + lines as you already do
-    for (const id in nodeMap) {
-        if (document.getElementById(`node-${id}`)) {
-            updateNodeStats(id);
-        }
+    // One /stats/all for the whole tree; cards already show any cached counts
+    if (!statsLoaded) {
+        fetchAllStats().then(() => {
+            Object.keys(nodeMap).forEach(renderStatsBadge);
+            refreshConnectors();
+        });
     }
-    setTimeout(updateHorizontalLines, 250);
+    setTimeout(refreshConnectors, 250);
 }
 
 /**
@@ -1291,6 +2214,20 @@ function getLevelColor(level) {
 
 // Use DOMContentLoaded to ensure elements are available for listeners
 document.addEventListener('DOMContentLoaded', () => {
+    // Last known workflow until loadStatusRegistry() hears from the backend
+    setStatusRegistry(loadCachedStatusRegistry() || DEFAULT_STATUS_REGISTRY);
+    setFieldSchema(loadCachedFieldSchema() || DEFAULT_FIELD_SCHEMA);
+
+    const crossLinkToggle = document.getElementById('cross-link-toggle');
+    if (crossLinkToggle) {
+        crossLinkToggle.checked = showCrossLinks;
+    }
+
+    const backendLabel = document.getElementById('api-backend-label');
+    if (backendLabel) {
+        backendLabel.textContent = `Backend: ${describeApiBackend()}`;
+    }
+
     const safeViz = document.getElementById('tree-visualization');
     if (safeViz) {
         safeViz.addEventListener('scroll', () => {
@@ -1302,8 +2239,43 @@ document.addEventListener('DOMContentLoaded', () => {
                 };
                 localStorage.setItem('lastViewport', JSON.stringify(snapshot));
             } catch (e) {}
+            scheduleVirtualCardsUpdate();
+            scheduleMinimapUpdate();
+            scheduleUrlStateSync();
         }, { passive: true });
+        initZoomPan();
     }
+    window.addEventListener('resize', scheduleVirtualCardsUpdate);
+
+    const rendererSelect = document.getElementById('renderer-mode-select');
+    if (rendererSelect) {
+        rendererSelect.value = rendererMode;
+    }
+    document.getElementById('heatmap-select').value = heatmapMetric || 'off';
+
+    document.addEventListener('keydown', handleHistoryShortcut);
+    initKeyboardNavigation();
+    initBulkSelection();
+
+    // Buttons in generated markup (cards, popups) name an action instead of an inline handler
+    const nodeNameOf = nodeId => (nodeMap[nodeId] ? nodeMap[nodeId].name : 'Unknown');
+    initDataActions();
+    registerDataActions({
+        'toggle-fold': data => toggleNodeFold(data.nodeId),
+        'open-info': data => openInfoModal(data.nodeId),
+        'open-edit': data => openEditModal(data.nodeId),
+        'copy-link': data => copyNodeLink(data.nodeId),
+        'open-link-search': data => openSearchLinkModal(data.nodeId, nodeNameOf(data.nodeId)),
+        'delete-node': data => openDeleteConfirmModal(data.nodeId),
+        'add-child': data => openChildModal(data.nodeId, nodeNameOf(data.nodeId)),
+        'open-inbound': data => openInboundDetails(data.nodeId),
+        'open-outbound': data => openOutboundDetails(data.nodeId),
+        'follow-link': data => followLink(data.sourceId, data.targetId),
+        'close-popups': () => closeConnectionPopups(),
+        'delete-relation': data => deleteRelationFromModal(data.parentId, data.childId, nodeNameOf(data.parentId), nodeNameOf(data.childId))
+    });
+    initRichContent();
+    renderHistoryList();
 
     // === NEW: ESC closes any open modal ===
     document.addEventListener('keydown', (e) => {
@@ -1315,20 +2287,52 @@ document.addEventListener('DOMContentLoaded', () => {
         closeDeleteConfirmModal();
         closeSearchLinkModal();
         closeInfoModal();
+        closeStatusRegistryModal();
+        closeFieldSchemaModal();
+        closeExportModal();
+        closeImportModal();
+        closeImageExportModal();
+        closeCommandPalette();
+        closeBulkActionModal();
+        closeAnalyticsModal();
+        closeTrackerSnippetModal();
+        closeNodeLinkMenu();
 
         // Inbound / outbound overlays (popups)
-        const inboundOverlay = document.getElementById('inbound-popup-overlay');
-        if (inboundOverlay) inboundOverlay.remove();
-
-        const outboundOverlay = document.getElementById('outbound-popup-overlay');
-        if (outboundOverlay) outboundOverlay.remove();
+        closeConnectionPopups();
     });
     
-    // existing listeners...
-    document.getElementById('create-child-form').addEventListener('submit', async (e) => {
-        // ...
+    initNodeDragAndDrop();
+
+    document.getElementById('create-child-form').addEventListener('submit', handleCreateChildSubmit);
+    document.getElementById('modal-cancel-child').addEventListener('click', closeChildModal);
+    document.getElementById('add-child-row-button').addEventListener('click', () => {
+        addChildRow().querySelector('input[name="child-name"]').focus();
     });
-    // ...
+    document.getElementById('edit-node-form').addEventListener('submit', handleEditSubmit);
+    document.getElementById('status-registry-form').addEventListener('submit', handleStatusRegistrySubmit);
+    document.getElementById('field-schema-form').addEventListener('submit', handleFieldSchemaSubmit);
+    document.getElementById('add-field-row-button').addEventListener('click', () => {
+        addFieldSchemaRow().querySelector('input[name="field-label"]').focus();
+    });
+    document.getElementById('add-status-row-button').addEventListener('click', () => {
+        addStatusRegistryRow().querySelector('input[name="status-name"]').focus();
+    });
+    document.getElementById('start-search-button').addEventListener('click', handleSearch);
+    document.getElementById('search-input').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handleSearch();
+    });
+    document.getElementById('confirm-link-button').addEventListener('click', handleLinkSelected);
+    // Enter / Shift+Enter in either filter search box steps through the matches
+    ['search-filter-input', 'search-id-input'].forEach(inputId => {
+        document.getElementById(inputId).addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') stepSearchMatch(e.shiftKey ? -1 : 1);
+        });
+    });
+
+    // Load pending offline edits first so they are replayed on top of the tree,
+    // then open the view the URL describes (url-state.js)
+    initOutbox().then(loadAndRenderTree).then(initUrlState);
 });
 
 // Expose functions globally for HTML-inline event handlers (like onclick)
@@ -1336,20 +2340,61 @@ window.zoomIn = zoomIn;
 window.zoomOut = zoomOut;
 window.resetZoom = resetZoom;
 window.toggleZoomBar = toggleZoomBar;
+window.zoomToSelection = zoomToSelection;
+window.toggleMinimap = toggleMinimap;
+window.openCommandPalette = openCommandPalette;
+window.closeCommandPalette = closeCommandPalette;
+window.clearSelection = clearSelection;
+window.openBulkActionModal = openBulkActionModal;
+window.closeBulkActionModal = closeBulkActionModal;
+window.handleBulkActionConfirm = handleBulkActionConfirm;
+window.dismissBulkReport = dismissBulkReport;
+window.exportSelection = exportSelection;
+window.openAnalyticsModal = openAnalyticsModal;
+window.closeAnalyticsModal = closeAnalyticsModal;
+window.exportAnalyticsTable = exportAnalyticsTable;
+window.setHeatmapMetric = setHeatmapMetric;
+window.setClickHistoryBucket = setClickHistoryBucket;
+window.addEditLinkRow = addEditLinkRow;
+window.handleAttachmentFiles = handleAttachmentFiles;
+window.openTrackerSnippetModal = openTrackerSnippetModal;
+window.closeTrackerSnippetModal = closeTrackerSnippetModal;
+window.updateTrackerSnippet = updateTrackerSnippet;
+window.copyTrackerSnippet = copyTrackerSnippet;
 window.toggleFilterPanel = toggleFilterPanel;
 window.applyFilters = applyFilters;
-window.openInfoModal = openInfoModal;
 window.closeInfoModal = closeInfoModal;
-window.openEditModal = openEditModal;
 window.closeEditModal = closeEditModal;
-window.openDeleteConfirmModal = openDeleteConfirmModal;
 window.closeDeleteConfirmModal = closeDeleteConfirmModal;
-window.openChildModal = openChildModal;
 window.closeChildModal = closeChildModal;
-window.openSearchLinkModal = openSearchLinkModal;
 window.closeSearchLinkModal = closeSearchLinkModal;
-window.deleteRelationFromModal = deleteRelationFromModal;
 window.loadAndRenderVisuals = loadAndRenderVisuals; // Exposed for filter reset
+window.toggleCrossLinks = toggleCrossLinks;
+window.setRendererMode = setRendererMode;
+window.collapseToDepth = collapseToDepth;
+window.expandAll = expandAll;
+window.focusNode = focusNode;
+window.stepSearchMatch = stepSearchMatch;
 window.stableRootId = stableRootId; // Exposed for filter reset (will be updated after load)
-window.openInboundDetails = openInboundDetails;
-window.openOutboundDetails = openOutboundDetails;
\ No newline at end of file
+window.flushOutbox = flushOutbox;
+window.undoLastAction = undoLastAction;
+window.redoLastAction = redoLastAction;
+window.openStatusRegistryModal = openStatusRegistryModal;
+window.closeStatusRegistryModal = closeStatusRegistryModal;
+window.openFieldSchemaModal = openFieldSchemaModal;
+window.closeFieldSchemaModal = closeFieldSchemaModal;
+window.handleCustomFieldFilterChange = handleCustomFieldFilterChange;
+window.openExportModal = openExportModal;
+window.closeExportModal = closeExportModal;
+window.refreshExportPreview = refreshExportPreview;
+window.downloadExport = downloadExport;
+window.copyExport = copyExport;
+window.openImportModal = openImportModal;
+window.closeImportModal = closeImportModal;
+window.handleImportFileSelected = handleImportFileSelected;
+window.previewImport = previewImport;
+window.handleImportRun = handleImportRun;
+window.openImageExportModal = openImageExportModal;
+window.closeImageExportModal = closeImageExportModal;
+window.updateImageExportOptions = updateImageExportOptions;
+window.handleImageExport = handleImageExport;
\ No newline at end of file
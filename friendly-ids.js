@@ -0,0 +1,130 @@
+// --- Friendly IDs ---
+// Short human-readable IDs ("07", "SRV-012") shown on cards and quoted in tickets.
+// The backend assigns one when a node is created and stores it with the node; a number
+// is never handed out again, even after its node is deleted. A branch may set an ID
+// prefix (node.idPrefix): nodes created anywhere below it are numbered in that prefix's
+// own sequence. Nodes from before stable IDs are numbered by backfillFriendlyIds(), in
+// /tree order; the server picks each number from its counter (POST /node/friendly-id/:id).
+//
+// A backend without that endpoint (or that does not return friendlyId) stores no IDs.
+// Its nodes show a provisional ID from their /tree position instead, marked "~07": it
+// works in ID search and links while the page is open but may change after a deletion.
+
+const FRIENDLY_ID_PREFIX_PATTERN = /^[A-Z][A-Z0-9]{0,5}$/;
+const PROVISIONAL_FRIENDLY_ID_MARK = '~';
+// How this backend answered a numbering request: 'supported', 'unsupported', or unset
+const FRIENDLY_ID_BACKFILL_KEY = `friendlyIdBackfill:${API_BASE_URL}`;
+
+let friendlyIdBackfillQueue = []; // unnumbered nodes waiting for the probe's answer
+
+// "SRV-012" -> { prefix: 'SRV', number: 12 }, "07" or "~07" -> { prefix: '', number: 7 }, else null
+function parseFriendlyId(text) {
+    const match = /^~?(?:([a-z][a-z0-9]*)-)?(\d+)$/i.exec(String(text || '').trim());
+    return match ? { prefix: (match[1] || '').toUpperCase(), number: Number(match[2]) } : null;
+}
+
+// Upper-cased prefix, '' for none, or null when it is not a valid prefix
+function normaliseIdPrefix(value) {
+    const prefix = String(value || '').trim().toUpperCase();
+    if (!prefix) return '';
+    return FRIENDLY_ID_PREFIX_PATTERN.test(prefix) ? prefix : null;
+}
+
+// The prefix new nodes under nodeId are numbered with: the nearest idPrefix on the way
+// up the node's first path to the root (the node itself included)
+function getBranchIdPrefix(nodeId) {
+    const path = getBreadcrumbPaths(nodeId)[0] || [];
+    for (let i = path.length - 1; i >= 0; i--) {
+        const node = nodeMap[path[i]];
+        if (node && node.idPrefix) return node.idPrefix;
+    }
+    return '';
+}
+
+// The ID to show for a node: the stored one, else the provisional one ("~07"), else ''
+function getFriendlyIdLabel(node) {
+    if (!node) return '';
+    if (node.friendlyId) return node.friendlyId;
+    return node.provisionalFriendlyId ? `${PROVISIONAL_FRIENDLY_ID_MARK}${node.provisionalFriendlyId}` : '';
+}
+
+// Numbers nodes without a stored ID by their position in /tree (orderedIds), like the
+// IDs shown before they were stored. Never sent to the server.
+function assignProvisionalFriendlyIds(orderedIds) {
+    orderedIds.forEach((nodeId, index) => {
+        const node = nodeMap[nodeId];
+        if (node) node.provisionalFriendlyId = node.friendlyId ? '' : String(index + 1).padStart(2, '0');
+    });
+}
+
+// Resolves "SRV-12", "srv-012", "7" or "~07" to the node carrying that ID; stored IDs
+// win over provisional ones
+function findNodeByFriendlyId(text) {
+    const wanted = parseFriendlyId(text);
+    if (!wanted) return null;
+    const matches = key => node => {
+        const actual = parseFriendlyId(node[key]);
+        return actual && actual.prefix === wanted.prefix && actual.number === wanted.number;
+    };
+    const nodes = Object.values(nodeMap);
+    return nodes.find(matches('friendlyId')) || nodes.find(matches('provisionalFriendlyId')) || null;
+}
+
+function queueFriendlyIdAssignment(nodeId) {
+    const node = nodeMap[nodeId];
+    const parentId = getParentIds(nodeId)[0];
+    const prefix = parentId ? getBranchIdPrefix(parentId) : '';
+    queueMutation('assignFriendlyId', { nodeId, prefix }, { label: `Assign an ID to '${node.name}'` });
+}
+
+// Asks the server to number nodes that have no friendly ID yet (orderedIds: /tree order).
+// The number comes from the server's counter, so a deleted node's number is not handed
+// out again and two browsers backfilling at once cannot pick the same one. Until this
+// backend has answered one request with an ID, only that one request is sent.
+function backfillFriendlyIds(orderedIds) {
+    const support = localStorage.getItem(FRIENDLY_ID_BACKFILL_KEY);
+    if (support === 'unsupported') return 0;
+    const pendingIds = new Set(outboxEntries
+        .filter(entry => entry.kind === 'assignFriendlyId')
+        .map(entry => resolveOutboxId(entry.payload.nodeId)));
+    const unnumbered = orderedIds.filter(nodeId => (
+        nodeMap[nodeId] && !nodeMap[nodeId].friendlyId && !isTempId(nodeId) && !pendingIds.has(nodeId)
+    ));
+
+    if (support !== 'supported') {
+        friendlyIdBackfillQueue = unnumbered;
+        // A probe is already waiting (e.g. queued offline before a reload)
+        if (pendingIds.size > 0 || unnumbered.length === 0) return 0;
+        queueFriendlyIdAssignment(friendlyIdBackfillQueue.shift());
+        return 1;
+    }
+    unnumbered.forEach(queueFriendlyIdAssignment);
+    return unnumbered.length;
+}
+
+// Outbox result of assignFriendlyId. The first ID back queues the nodes that waited for
+// it; no ID back (no numbering endpoint, or a backend that does not return it) stops
+// backfilling for good, so later loads send nothing.
+function handleFriendlyIdAssigned(nodeId, friendlyId) {
+    if (friendlyId) {
+        setServerFriendlyId(nodeId, friendlyId);
+        if (localStorage.getItem(FRIENDLY_ID_BACKFILL_KEY) !== 'supported') {
+            localStorage.setItem(FRIENDLY_ID_BACKFILL_KEY, 'supported');
+            const waiting = friendlyIdBackfillQueue;
+            friendlyIdBackfillQueue = [];
+            waiting.filter(id => nodeMap[id] && !nodeMap[id].friendlyId).forEach(queueFriendlyIdAssignment);
+        }
+    } else if (nodeMap[nodeId]) {
+        localStorage.setItem(FRIENDLY_ID_BACKFILL_KEY, 'unsupported');
+        friendlyIdBackfillQueue = [];
+    }
+}
+
+// The server's ID for a node that was created while this page was open
+function setServerFriendlyId(nodeId, friendlyId) {
+    const node = nodeMap[nodeId];
+    if (node && friendlyId) {
+        node.friendlyId = friendlyId;
+        node.provisionalFriendlyId = '';
+    }
+}
@@ -0,0 +1,242 @@
+// --- Undo / Redo History ---
+// Every user action that changes the tree records the steps that redo it and the steps
+// that reverse it. Steps are replayed through queueMutation(), so undo and redo are
+// ordinary outbox mutations (offline-safe, applied optimistically).
+//
+// Step types:
+//   { op: 'mutation', kind, payload }                  queueMutation(kind, payload)
+//   { op: 'create', restoreId, fields }                re-create a node; restoreId then points at the new id
+//   { op: 'delete', nodeId }                           delete a node (neighbours/baseline looked up at run time)
+//   { op: 'place', childId, fromParentId, toParentId, index }   atomic move/reorder (see moveNode)
+//
+// A re-created node gets a new id, so ids are resolved through historyIdAliases before use.
+// The history lives in sessionStorage: it survives a reload but not closing the tab.
+
+const HISTORY_STORAGE_KEY = `treeHistory:${API_BASE_URL}`;
+const MAX_HISTORY_ENTRIES = 100;
+
+let undoStack = [];        // [{ label, focusId, redo: [step], undo: [step] }], oldest first
+let redoStack = [];
+let historyIdAliases = {}; // old/temp node id -> id that replaced it
+loadHistory();
+
+function loadHistory() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(HISTORY_STORAGE_KEY));
+        if (saved) {
+            undoStack = saved.undo || [];
+            redoStack = saved.redo || [];
+            historyIdAliases = saved.aliases || {};
+        }
+    } catch (e) { /* start with an empty history */ }
+}
+
+function saveHistory() {
+    try {
+        sessionStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({
+            undo: undoStack,
+            redo: redoStack,
+            aliases: historyIdAliases
+        }));
+    } catch (e) { /* ignore */ }
+}
+
+// Called when a node id is replaced (temp id -> server id, or a deleted node re-created)
+function noteHistoryIdChange(oldId, newId) {
+    if (!oldId || oldId === newId) return;
+    historyIdAliases[oldId] = newId;
+    saveHistory();
+}
+
+function resolveHistoryId(id) {
+    const seen = new Set();
+    let current = id;
+    while (historyIdAliases[current] && !seen.has(current)) {
+        seen.add(current);
+        current = historyIdAliases[current];
+    }
+    return resolveOutboxId(replacedTempIds[current] || current);
+}
+
+function resolveHistoryPayload(payload) {
+    const resolved = { ...payload };
+    ['nodeId', 'parentId', 'childId', 'sourceId', 'targetId', 'fromParentId', 'toParentId'].forEach(key => {
+        if (resolved[key]) resolved[key] = resolveHistoryId(resolved[key]);
+    });
+    if (Array.isArray(resolved.neighbourIds)) {
+        resolved.neighbourIds = resolved.neighbourIds.map(resolveHistoryId);
+    }
+    return resolved;
+}
+
+/**
+ * Records an action that has already been performed.
+ * redo/undo are step lists (see the top of this file).
+ */
+function recordHistory(label, redo, undo, focusId = null) {
+    undoStack.push({ label, focusId, redo, undo });
+    if (undoStack.length > MAX_HISTORY_ENTRIES) undoStack.shift();
+    redoStack = [];
+    saveHistory();
+    renderHistoryList();
+}
+
+// Node ids a step needs to exist before it runs
+function historyStepRequires(step) {
+    switch (step.op) {
+        case 'create':
+            return [];
+        case 'delete':
+            return [step.nodeId];
+        case 'place':
+            return [step.childId, step.fromParentId, step.toParentId];
+        default:
+            return ['nodeId', 'parentId', 'childId'].map(key => step.payload[key]).filter(Boolean);
+    }
+}
+
+// Returns the name of a missing node if the steps cannot run against the current tree
+function findMissingHistoryNode(steps) {
+    const created = new Set();
+    for (const step of steps) {
+        if (step.op === 'create') {
+            created.add(step.restoreId);
+            continue;
+        }
+        const missing = historyStepRequires(step).find(id => !created.has(id) && !nodeMap[resolveHistoryId(id)]);
+        if (missing) return missing;
+    }
+    return null;
+}
+
+function runHistoryStep(step, label) {
+    switch (step.op) {
+        case 'create': {
+            const tempId = createTempId();
+            queueMutation('createNode', { tempId, ...step.fields }, { label: `${label}: re-create '${step.fields.name}'` });
+            noteHistoryIdChange(resolveHistoryId(step.restoreId), tempId);
+            break;
+        }
+        case 'delete': {
+            const nodeId = resolveHistoryId(step.nodeId);
+            const node = nodeMap[nodeId];
+            const neighbourIds = getParentIds(nodeId).concat(node.children || []);
+            queueMutation('deleteNode', { nodeId, neighbourIds }, {
+                label: `${label}: delete '${node.name}'`,
+                baseline: pickNodeFields(node)
+            });
+            break;
+        }
+        case 'place': {
+            const childId = resolveHistoryId(step.childId);
+            const fromParentId = resolveHistoryId(step.fromParentId);
+            const toParentId = resolveHistoryId(step.toParentId);
+            queueMutation('moveNode', {
+                childId,
+                fromParentId,
+                toParentId,
+                childOrder: buildChildOrder(toParentId, childId, step.index)
+            }, { label });
+            break;
+        }
+        default: {
+            const payload = resolveHistoryPayload(step.payload);
+            const node = payload.nodeId && nodeMap[payload.nodeId];
+            // Edits keep the conflict check against what the user currently sees
+            const baseline = step.kind === 'updateNode' && node ? pickNodeFields(node) : null;
+            queueMutation(step.kind, payload, { label, baseline });
+        }
+    }
+}
+
+function replayHistoryEntry(entry, steps, verb) {
+    const missing = findMissingHistoryNode(steps);
+    if (missing) {
+        showMessage(`Cannot ${verb} "${entry.label}": a node it touches no longer exists.`, 'error');
+        return false;
+    }
+    steps.forEach(step => runHistoryStep(step, `${verb === 'undo' ? 'Undo' : 'Redo'} ${entry.label}`));
+
+    const focusId = entry.focusId && resolveHistoryId(entry.focusId);
+    nodeToFocusId = focusId && nodeMap[focusId] ? focusId : null;
+    loadAndRenderVisuals(stableRootId);
+    return true;
+}
+
+function undoLastAction() {
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) {
+        showMessage('Nothing to undo.', 'info');
+        return;
+    }
+    if (!replayHistoryEntry(entry, entry.undo, 'undo')) {
+        // It can never be undone now; drop it so older entries stay reachable
+        undoStack.pop();
+    } else {
+        redoStack.push(undoStack.pop());
+        showMessage(`Undid: ${entry.label}`, 'success');
+    }
+    saveHistory();
+    renderHistoryList();
+}
+
+function redoLastAction() {
+    const entry = redoStack[redoStack.length - 1];
+    if (!entry) {
+        showMessage('Nothing to redo.', 'info');
+        return;
+    }
+    if (!replayHistoryEntry(entry, entry.redo, 'redo')) {
+        redoStack.pop();
+    } else {
+        undoStack.push(redoStack.pop());
+        showMessage(`Redid: ${entry.label}`, 'success');
+    }
+    saveHistory();
+    renderHistoryList();
+}
+
+// Newest first; undone (redoable) entries are listed above and greyed out
+function renderHistoryList() {
+    const list = document.getElementById('history-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const addItem = (entry, isUndone) => {
+        const item = document.createElement('li');
+        item.className = isUndone
+            ? 'px-2 py-1 rounded text-xs text-gray-400 line-through'
+            : 'px-2 py-1 rounded text-xs text-gray-700 bg-gray-50 border border-gray-200';
+        item.textContent = entry.label;
+        list.appendChild(item);
+    };
+
+    redoStack.slice().forEach(entry => addItem(entry, true));
+    undoStack.slice().reverse().forEach(entry => addItem(entry, false));
+
+    if (undoStack.length === 0 && redoStack.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'text-xs text-gray-400 italic';
+        empty.textContent = 'No changes yet in this session.';
+        list.appendChild(empty);
+    }
+
+    document.getElementById('undo-button').disabled = undoStack.length === 0;
+    document.getElementById('redo-button').disabled = redoStack.length === 0;
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y); text fields keep their own undo
+function handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const target = e.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoLastAction();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoLastAction();
+    }
+}
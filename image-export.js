@@ -0,0 +1,342 @@
+// --- Image Export (SVG / PNG / print) ---
+// Draws the tree from computeTreeLayout() (tree-layout.js) into a standalone SVG with inline
+// styles, so the result does not depend on the viewport, applyZoom() or Tailwind. Folds are
+// ignored: the whole tree (or subtree) is drawn. PNG rasterises that SVG at a fixed pixel
+// ratio; the print layout tiles it over A4 landscape pages with a title block and legend, and
+// the browser's "Save as PDF" turns it into a PDF.
+
+const IMAGE_EXPORT_TITLE_HEIGHT = 64;
+const IMAGE_EXPORT_MAX_CANVAS_SIDE = 16384; // Larger canvases fail silently in most browsers
+const PRINT_PAGE_WIDTH = 1047;              // A4 landscape at 96 dpi minus 10 mm margins
+const PRINT_PAGE_HEIGHT = 718;
+const PRINT_HEADER_HEIGHT = 78;
+
+function escapeXml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Greedy word wrap by an average glyph width; long words are cut
+function wrapSvgText(text, maxChars, maxLines) {
+    const lines = [];
+    let current = '';
+    String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+        while (word.length > maxChars) {
+            if (current) {
+                lines.push(current);
+                current = '';
+            }
+            lines.push(word.slice(0, maxChars));
+            word = word.slice(maxChars);
+        }
+        if (!current) {
+            current = word;
+        } else if (current.length + 1 + word.length <= maxChars) {
+            current += ` ${word}`;
+        } else {
+            lines.push(current);
+            current = word;
+        }
+    });
+    if (current) lines.push(current);
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1)}…`;
+    }
+    return lines;
+}
+
+function getImageStatusColors(statusName) {
+    const status = getStatusDefinition(statusName);
+    const color = status ? status.color : FALLBACK_STATUS_COLOR;
+    return {
+        fill: mixHexColor(color, '#ffffff', 0.75),
+        stroke: color,
+        text: mixHexColor(color, '#000000', 0.55)
+    };
+}
+
+function svgCardMarkup(nodeId, pos, showBadges) {
+    const node = nodeMap[nodeId];
+    const colors = getImageStatusColors(node.status);
+    const width = LAYOUT_NODE_WIDTH;
+    const left = pos.x - width / 2;
+    const top = pos.y;
+
+    const nameLines = wrapSvgText(node.name, 24, 2)
+        .map((line, i) => `<tspan x="${pos.x}" dy="${i === 0 ? 0 : 15}">${escapeXml(line)}</tspan>`)
+        .join('');
+
+    let badges = '';
+    if (showBadges) {
+        const stats = nodeStats[nodeId] || { inboundCount: 0, outboundCount: 0 };
+        const badge = (label, count, x, activeColor) => `
+            <text x="${x - 6}" y="${top + 104}" class="badge-label" text-anchor="end">${label}</text>
+            <rect x="${x - 2}" y="${top + 94}" width="22" height="14" rx="7" fill="${count > 0 ? activeColor : '#e5e7eb'}"></rect>
+            <text x="${x + 9}" y="${top + 104}" class="badge-count" text-anchor="middle" fill="${count > 0 ? '#ffffff' : '#6b7280'}">${count}</text>`;
+        badges = `
+            <line x1="${left + 10}" y1="${top + 88}" x2="${left + width - 10}" y2="${top + 88}" stroke="#d1d5db"></line>
+            ${badge('IN', stats.inboundCount, pos.x - 30, '#10b981')}
+            ${badge('OUT', stats.outboundCount, pos.x + 44, '#ef4444')}`;
+    }
+
+    return `
+        <g class="card">
+            <rect x="${left}" y="${top}" width="${width}" height="${LAYOUT_NODE_HEIGHT}" rx="12"
+                  fill="${colors.fill}" stroke="${colors.stroke}"></rect>
+            <text x="${left + 10}" y="${top + 14}" class="friendly-id">${escapeXml(getFriendlyIdLabel(node))}</text>
+            <text x="${pos.x}" y="${top + 38}" class="name" text-anchor="middle" fill="${colors.text}">${nameLines}</text>
+            <text x="${pos.x}" y="${top + 74}" class="meta" text-anchor="middle">Status: ${escapeXml(node.status)}</text>
+            ${badges}
+        </g>`;
+}
+
+/**
+ * Lays out and draws the tree under rootId.
+ * opts.showBadges     draw the IN/OUT counts (call fetchAllStats() first)
+ * opts.honourFilters  prune nodes hidden by isNodeVisible(), like the on-screen tree
+ * opts.title          optional title band above the tree
+ * @returns {{svg: string, body: string, width: number, height: number, nodeCount: number}}
+ *   body is the drawing without the outer <svg> (used by the print layout).
+ */
+function buildTreeSvg(rootId, { showBadges = true, honourFilters = false, title = '' } = {}) {
+    const layout = computeTreeLayout(rootId, {
+        getChildren: getOrderedChildIds,
+        isVisible: id => Boolean(nodeMap[id]) && (!honourFilters || isNodeVisible(id)),
+        expandChildren: () => true,
+        includeCrossEdges: showCrossLinks
+    });
+    const titleHeight = title ? IMAGE_EXPORT_TITLE_HEIGHT : 0;
+    const width = Math.max(layout.width, title ? 480 : 0);
+    const height = layout.height + titleHeight;
+    const cardHeight = LAYOUT_NODE_HEIGHT;
+
+    const treeEdges = layout.treeEdges.map(edge => {
+        const from = layout.nodes[edge.from];
+        const to = layout.nodes[edge.to];
+        const midY = from.y + cardHeight + (to.y - from.y - cardHeight) / 2;
+        return `<path class="edge" stroke="${getLevelColor(edge.level)}" d="M ${from.x} ${from.y + cardHeight} V ${midY} H ${to.x} V ${to.y}"></path>`;
+    });
+    const crossEdges = layout.crossEdges.map(edge => {
+        const from = layout.nodes[edge.from];
+        const to = layout.nodes[edge.to];
+        const y1 = from.y + cardHeight;
+        const bend = Math.max(60, Math.abs(to.y - y1) / 2);
+        return `<path class="cross-edge" marker-end="url(#export-arrow)" d="M ${from.x} ${y1} C ${from.x} ${y1 + bend}, ${to.x} ${to.y - bend}, ${to.x} ${to.y}"></path>`;
+    });
+    const cards = Object.entries(layout.nodes).map(([id, pos]) => svgCardMarkup(id, pos, showBadges));
+
+    const titleBlock = title ? `
+        <text x="${LAYOUT_PADDING}" y="34" class="title">${escapeXml(title)}</text>
+        <text x="${LAYOUT_PADDING}" y="54" class="subtitle">${escapeXml(`${Object.keys(layout.nodes).length} nodes · exported ${new Date().toLocaleDateString()}`)}</text>` : '';
+
+    const body = `
+        <defs>
+            <style>
+                text { font-family: Montserrat, Helvetica, Arial, sans-serif; }
+                .edge { fill: none; stroke-width: 2; stroke-linejoin: round; }
+                .cross-edge { fill: none; stroke: #818cf8; stroke-width: 2; stroke-dasharray: 6 4; }
+                .friendly-id { font-size: 9px; font-weight: 600; fill: #6b7280; }
+                .name { font-size: 12px; font-weight: 600; }
+                .meta { font-size: 9px; fill: #4b5563; }
+                .badge-label { font-size: 9px; font-weight: 700; fill: #374151; }
+                .badge-count { font-size: 9px; font-weight: 700; }
+                .title { font-size: 20px; font-weight: 700; fill: #111827; }
+                .subtitle { font-size: 11px; fill: #6b7280; }
+            </style>
+            <marker id="export-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                <path d="M 0 0 L 10 5 L 0 10 z" fill="#818cf8"></path>
+            </marker>
+        </defs>
+        <rect width="${width}" height="${height}" fill="#ffffff"></rect>
+        ${titleBlock}
+        <g transform="translate(0 ${titleHeight})">
+            ${treeEdges.join('')}
+            ${crossEdges.join('')}
+            ${cards.join('')}
+        </g>`;
+
+    return {
+        svg: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${body}</svg>`,
+        body,
+        width,
+        height,
+        nodeCount: Object.keys(layout.nodes).length
+    };
+}
+
+// Rasterises the SVG at a fixed pixel ratio, shrinking it if the canvas would be too large
+function svgToPngBlob(drawing, pixelRatio) {
+    const ratio = Math.min(pixelRatio, IMAGE_EXPORT_MAX_CANVAS_SIDE / Math.max(drawing.width, drawing.height));
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        const url = URL.createObjectURL(new Blob([drawing.svg], { type: 'image/svg+xml;charset=utf-8' }));
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(drawing.width * ratio);
+            canvas.height = Math.round(drawing.height * ratio);
+            const context = canvas.getContext('2d');
+            context.scale(ratio, ratio);
+            context.drawImage(image, 0, 0, drawing.width, drawing.height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => (blob ? resolve({ blob, ratio }) : reject(new Error('The browser could not encode the PNG.'))), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('The browser could not render the SVG.'));
+        };
+        image.src = url;
+    });
+}
+
+function printLegendMarkup() {
+    const statuses = statusRegistry.map(status => {
+        const colors = getImageStatusColors(status.name);
+        return `<span class="legend-item"><span class="swatch" style="background:${colors.fill};border-color:${colors.stroke}"></span>${escapeXml(status.name)}</span>`;
+    }).join('');
+    const levels = [0, 1, 2, 3].map(level =>
+        `<span class="legend-item"><span class="line" style="background:${getLevelColor(level)}"></span>Level ${level + 1}</span>`).join('');
+    return `
+        <div class="legend">
+            <div><strong>Status</strong> ${statuses}</div>
+            <div><strong>Connectors</strong> ${levels}<span class="legend-item"><span class="line dashed"></span>Extra parent</span>
+                <span class="legend-item">IN / OUT = link clicks into / out of a node</span></div>
+        </div>`;
+}
+
+/**
+ * Opens a print window with the drawing split over A4 landscape pages.
+ * fitToPage shrinks the tree onto one page; otherwise it is tiled at 100 %.
+ */
+function openPrintLayout(drawing, { title, fitToPage }) {
+    const areaWidth = PRINT_PAGE_WIDTH;
+    const areaHeight = PRINT_PAGE_HEIGHT - PRINT_HEADER_HEIGHT;
+    const scale = fitToPage ? Math.min(1, areaWidth / drawing.width, areaHeight / drawing.height) : 1;
+    const tileWidth = areaWidth / scale;
+    const tileHeight = areaHeight / scale;
+    const columns = Math.max(1, Math.ceil(drawing.width / tileWidth));
+    const rows = Math.max(1, Math.ceil(drawing.height / tileHeight));
+    const pageCount = columns * rows;
+    const date = new Date().toLocaleString();
+    const legend = printLegendMarkup();
+
+    const pages = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const page = pages.length + 1;
+            const position = pageCount > 1 ? ` · row ${row + 1}, column ${column + 1}` : '';
+            pages.push(`
+                <section class="page">
+                    <header>
+                        <div>
+                            <h1>${escapeXml(title)}</h1>
+                            <p>${escapeXml(date)} · ${drawing.nodeCount} nodes · page ${page} of ${pageCount}${position}</p>
+                        </div>
+                        ${legend}
+                    </header>
+                    <svg width="${areaWidth}" height="${areaHeight}"
+                         viewBox="${column * tileWidth} ${row * tileHeight} ${tileWidth} ${tileHeight}">
+                        <use href="#print-tree"></use>
+                    </svg>
+                </section>`);
+        }
+    }
+
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        showMessage('The print window was blocked. Allow pop-ups for this page and try again.', 'error');
+        return;
+    }
+    printWindow.document.write(`<!DOCTYPE html>
+        <html><head><meta charset="UTF-8"><title>${escapeXml(title)}</title>
+        <style>
+            @page { size: A4 landscape; margin: 10mm; }
+            body { margin: 0; font-family: Montserrat, Helvetica, Arial, sans-serif; color: #111827; }
+            .page { width: ${areaWidth}px; height: ${PRINT_PAGE_HEIGHT}px; page-break-after: always; overflow: hidden; }
+            .page:last-child { page-break-after: auto; }
+            header { height: ${PRINT_HEADER_HEIGHT - 8}px; margin-bottom: 8px; display: flex; justify-content: space-between;
+                     border-bottom: 2px solid #111827; font-size: 10px; }
+            h1 { font-size: 18px; margin: 0 0 4px; }
+            header p { margin: 0; color: #6b7280; }
+            .legend { text-align: right; line-height: 18px; }
+            .legend-item { display: inline-flex; align-items: center; margin-left: 10px; }
+            .swatch { width: 12px; height: 12px; border: 2px solid; border-radius: 3px; margin-right: 4px; }
+            .line { width: 18px; height: 3px; margin-right: 4px; }
+            .line.dashed { background: repeating-linear-gradient(90deg, #818cf8 0 6px, transparent 6px 10px); }
+        </style></head>
+        <body>
+            <svg width="0" height="0" style="position:absolute"><defs><g id="print-tree">${drawing.body}</g></defs></svg>
+            ${pages.join('')}
+        </body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    // Give the new window a moment to lay out before the print dialog freezes it
+    setTimeout(() => printWindow.print(), 250);
+}
+
+// --- Image export modal ---
+
+function openImageExportModal(nodeId = null) {
+    if (!stableRootId || !nodeMap[stableRootId]) {
+        showMessage('The tree has not loaded yet.', 'error');
+        return;
+    }
+    fillNodeSelect(document.getElementById('image-export-scope-select'), nodeId, (node, index) => (index === 0
+        ? `Whole tree (${node.name})`
+        : `Subtree: ${getFriendlyIdLabel(node) ? `${getFriendlyIdLabel(node)} · ` : ''}${node.name}`));
+    updateImageExportOptions();
+    document.getElementById('image-export-modal').style.display = 'flex';
+}
+
+function closeImageExportModal() {
+    document.getElementById('image-export-modal').style.display = 'none';
+}
+
+// PNG resolution only applies to PNG, page fitting only to print
+function updateImageExportOptions() {
+    const format = document.getElementById('image-export-format-select').value;
+    document.getElementById('image-export-png-options').classList.toggle('hidden', format !== 'png');
+    document.getElementById('image-export-print-options').classList.toggle('hidden', format !== 'print');
+}
+
+async function handleImageExport() {
+    const format = document.getElementById('image-export-format-select').value;
+    const rootId = document.getElementById('image-export-scope-select').value;
+    const showBadges = document.getElementById('image-export-badges-toggle').checked;
+    const honourFilters = document.getElementById('image-export-filtered-toggle').checked;
+    if (!nodeMap[rootId]) return;
+    const title = document.getElementById('image-export-title-input').value.trim() || nodeMap[rootId].name;
+
+    if (showBadges) {
+        await fetchAllStats();
+    }
+    // The print layout has its own title block
+    const drawing = buildTreeSvg(rootId, { showBadges, honourFilters, title: format === 'print' ? '' : title });
+    if (drawing.nodeCount === 0) {
+        showMessage('The filters hide this node, so there is nothing to export.', 'error');
+        return;
+    }
+
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'tree';
+    if (format === 'svg') {
+        downloadBlob(new Blob([drawing.svg], { type: 'image/svg+xml;charset=utf-8' }), `${slug}.svg`);
+        showMessage(`Exported ${drawing.nodeCount} node(s) to ${slug}.svg.`, 'success');
+    } else if (format === 'png') {
+        const pixelRatio = Number(document.getElementById('image-export-scale-select').value) || 2;
+        try {
+            const { blob, ratio } = await svgToPngBlob(drawing, pixelRatio);
+            downloadBlob(blob, `${slug}.png`);
+            const note = ratio < pixelRatio ? ` (reduced to ${ratio.toFixed(2)}x to stay within the browser's image size limit)` : '';
+            showMessage(`Exported ${drawing.nodeCount} node(s) to ${slug}.png${note}.`, 'success');
+        } catch (e) {
+            showMessage(`PNG export failed: ${e.message}`, 'error');
+        }
+    } else {
+        openPrintLayout(drawing, { title, fitToPage: document.getElementById('image-export-fit-toggle').checked });
+    }
+    closeImageExportModal();
+}
@@ -0,0 +1,822 @@
+// --- Import ---
+// Turns JSON (our own export or nested {name, children}), CSV, a Markdown outline or plain
+// indented text into nodes under a chosen parent. Parsing and planning are pure; the plan is
+// then queued through the outbox, so a dropped connection only pauses the import and a reload
+// picks it up again. The job's progress lives in localStorage and is updated from
+// onOutboxSettled(). Running the same import again is safe: names that already exist under
+// the same parent are reused instead of duplicated.
+
+const IMPORT_JOB_STORAGE_KEY = `treeImportJob:${API_BASE_URL}`;
+const IMPORT_FORMATS = {
+    auto: 'Auto-detect',
+    json: 'JSON',
+    csv: 'CSV',
+    markdown: 'Markdown outline',
+    text: 'Indented text',
+};
+
+let importPlan = null;
+let importJob = loadImportJob();
+onOutboxSettled(handleImportEntrySettled);
+
+// --- Parsing ---
+// Every parser returns { items: [{key, name, description, status, fields?}], links: [{parentKey, childKey}], warnings }
+// fields holds further node fields passed to createNode as they are; for our own export that is
+// every field it writes (friendlyId, idPrefix, links, attachments, customFields), for CSV the
+// custom field columns.
+// Items without a parent link are the top level of the import.
+
+function detectImportFormat(text, filename = '') {
+    const extension = (filename.split('.').pop() || '').toLowerCase();
+    if (extension === 'json') return 'json';
+    if (extension === 'csv' || extension === 'tsv') return 'csv';
+    if (extension === 'md' || extension === 'markdown') return 'markdown';
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+    const firstLine = trimmed.split('\n')[0];
+    if (/^(#{1,6}\s|[-*+]\s|\d+[.)]\s)/.test(firstLine)) return 'markdown';
+    if (/[,\t]/.test(firstLine) && /(^|[,\t]\s*"?)(name|title)"?\s*($|[,\t])/i.test(firstLine)) return 'csv';
+    return 'text';
+}
+
+function parseImportText(text, format) {
+    switch (format) {
+        case 'json': return parseImportJson(text);
+        case 'csv': return parseImportCsv(text);
+        case 'markdown': return parseImportOutline(text, true);
+        default: return parseImportOutline(text, false);
+    }
+}
+
+// Export fields (EXPORT_NODE_FIELDS) not passed on as they are: name, description and status are
+// read like in every other format, and childOrder lists the exported IDs (the relations already
+// come in display order)
+const IMPORT_FIELDS_READ_SEPARATELY = ['name', 'description', 'status', 'childOrder'];
+// How the other fields are read back; whatever the backend would refuse is left out. A field
+// without a reader is passed on unchanged.
+const IMPORT_NODE_FIELD_READERS = {
+    // Kept when that number is still free; otherwise the server numbers the node as usual
+    friendlyId: value => (parseFriendlyId(value) ? String(value) : ''),
+    idPrefix: value => normaliseIdPrefix(value) || '',
+    links: value => (Array.isArray(value) ? value.filter(link => link && isSafeLinkUrl(link.url)) : []),
+    attachments: value => (Array.isArray(value) ? value : [])
+        .filter(file => file && file.id && /^data:/.test(file.dataUrl || '') && !(file.size > ATTACHMENT_MAX_BYTES))
+        .slice(0, ATTACHMENTS_PER_NODE),
+    customFields: value => (value && typeof value === 'object' && !Array.isArray(value) ? value : {}),
+};
+
+// The other fields of one exported node, as createNode takes them
+function readExportedNodeFields(node, name, warnings) {
+    const fields = {};
+    Object.keys(EXPORT_NODE_FIELDS).filter(key => !IMPORT_FIELDS_READ_SEPARATELY.includes(key)).forEach(key => {
+        if (node[key] === undefined || node[key] === null) return;
+        const read = IMPORT_NODE_FIELD_READERS[key] || (value => value);
+        const value = read(node[key]);
+        if (JSON.stringify(value) !== JSON.stringify(node[key])) {
+            warnings.push(`'${name}': part of its ${key} could not be imported and was left out.`);
+        }
+        fields[key] = value;
+    });
+    return fields;
+}
+
+function parseImportJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    const items = [];
+    const links = [];
+    const warnings = [];
+
+    // Our own export (export.js): flat nodes + relations, cross-links included
+    if (data && data.format === 'tree-export' && Array.isArray(data.nodes)) {
+        const keys = new Set();
+        data.nodes.forEach((node, index) => {
+            if (!node || typeof node.name !== 'string' || !node.name.trim()) {
+                warnings.push(`Node #${index + 1} has no name and was skipped.`);
+                return;
+            }
+            const key = String(node.contentId || `node-${index}`);
+            keys.add(key);
+            const name = node.name.trim();
+            items.push({
+                key,
+                name,
+                description: node.description || '',
+                status: node.status || '',
+                fields: readExportedNodeFields(node, name, warnings)
+            });
+        });
+        (data.relations || []).forEach(({ parentId, childId }) => {
+            if (keys.has(String(parentId)) && keys.has(String(childId))) {
+                links.push({ parentKey: String(parentId), childKey: String(childId) });
+            }
+        });
+        return { items, links, warnings };
+    }
+
+    // Nested { name, description, status, children: [...] } (one object or a list)
+    let counter = 0;
+    const walk = (value, parentKey) => {
+        if (!value || typeof value !== 'object' || typeof value.name !== 'string' || !value.name.trim()) {
+            warnings.push(`An entry without a "name" was skipped${parentKey ? ' (and everything under it)' : ''}.`);
+            return;
+        }
+        const key = `json-${counter++}`;
+        items.push({
+            key,
+            name: value.name.trim(),
+            description: typeof value.description === 'string' ? value.description : '',
+            status: typeof value.status === 'string' ? value.status : ''
+        });
+        if (parentKey) links.push({ parentKey, childKey: key });
+        (Array.isArray(value.children) ? value.children : []).forEach(child => walk(child, key));
+    };
+    if (!data || typeof data !== 'object') {
+        throw new Error('Expected an object with "name" and "children", a list of them, or an export file.');
+    }
+    (Array.isArray(data) ? data : [data]).forEach(value => walk(value, null));
+    return { items, links, warnings };
+}
+
+// RFC 4180 style: quoted fields may contain the delimiter, quotes ("") and line breaks
+function parseCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+/**
+ * Columns (case-insensitive): name/title (required), description, status, and the hierarchy as
+ * either parent/parent_id/parent_ids (referring to id/content_id/friendly_id or to a name,
+ * several separated by ';') or path ("Root > Services > SEO"). Without either the list is flat.
+ * A column named after a custom field (its key or label) fills that field; tag lists may be
+ * separated by ';' as exportToCsv() writes them. Invalid values are left out with a warning.
+ */
+function parseImportCsv(text) {
+    const firstLine = text.split('\n')[0];
+    const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+    const rows = parseCsvRows(text.replace(/^\uFEFF/, ''), delimiter);
+    if (rows.length === 0) throw new Error('The CSV is empty.');
+
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const column = (...names) => names.map(name => header.indexOf(name)).find(index => index >= 0);
+    const nameCol = column('name', 'title');
+    if (nameCol === undefined) throw new Error('The CSV needs a "name" column.');
+    const descCol = column('description', 'desc');
+    const statusCol = column('status');
+    const idCol = column('content_id', 'id', 'key', 'friendly_id');
+    const parentCol = column('parent_ids', 'parent_id', 'parent');
+    const pathCol = column('path');
+    const knownCols = [nameCol, descCol, statusCol, idCol, parentCol, pathCol];
+    const fieldCols = header
+        .map((name, index) => ({ index, field: knownCols.includes(index) ? null : findCustomField(name) }))
+        .filter(({ field }) => field);
+
+    const items = [];
+    const links = [];
+    const warnings = [];
+    const cell = (cells, index) => (index === undefined ? '' : (cells[index] || '').trim());
+
+    rows.slice(1).forEach((cells, index) => {
+        const name = cell(cells, nameCol);
+        if (!name) {
+            warnings.push(`Row ${index + 2} has no name and was skipped.`);
+            return;
+        }
+        const customFields = {};
+        fieldCols.forEach(({ index: col, field }) => {
+            const text = cell(cells, col);
+            const result = parseCustomFieldInput(field, field.type === 'tags' ? text.replace(/;/g, ',') : text);
+            if (result.error) {
+                warnings.push(`Row ${index + 2}: ${result.error} "${text}" was left out.`);
+            } else if (result.value !== undefined) {
+                customFields[field.key] = result.value;
+            }
+        });
+        items.push({
+            key: cell(cells, idCol) || `row-${index + 2}`,
+            name,
+            description: descCol === undefined ? '' : (cells[descCol] || ''),
+            status: cell(cells, statusCol),
+            fields: { customFields },
+            row: index + 2,
+            cells
+        });
+    });
+
+    if (parentCol !== undefined) {
+        const byKey = new Map(items.map(item => [item.key, item]));
+        items.forEach(item => {
+            cell(item.cells, parentCol).split(';').map(ref => ref.trim()).filter(Boolean).forEach(ref => {
+                const parent = byKey.get(ref) || items.find(other => other.name === ref);
+                if (parent && parent !== item) {
+                    links.push({ parentKey: parent.key, childKey: item.key });
+                } else {
+                    warnings.push(`Row ${item.row}: parent "${ref}" not found; '${item.name}' is imported at the top level.`);
+                }
+            });
+        });
+    } else if (pathCol !== undefined) {
+        // Only the first path counts (our export joins extra parents with " | ")
+        const byPath = new Map();
+        const pathItems = [];
+        items.forEach(item => {
+            const segments = cell(item.cells, pathCol).split(' | ')[0].split('>').map(s => s.trim()).filter(Boolean);
+            if (segments[segments.length - 1] !== item.name) segments.push(item.name);
+            item.path = segments;
+            byPath.set(segments.join(' > '), item.key);
+        });
+        // Parents missing from the file get a row of their own
+        const ensurePath = (segments) => {
+            const pathKey = segments.join(' > ');
+            if (byPath.has(pathKey)) return byPath.get(pathKey);
+            const key = `path-${byPath.size}`;
+            byPath.set(pathKey, key);
+            pathItems.push({ key, name: segments[segments.length - 1], description: '', status: '' });
+            if (segments.length > 1) links.push({ parentKey: ensurePath(segments.slice(0, -1)), childKey: key });
+            return key;
+        };
+        items.forEach(item => {
+            if (item.path.length > 1) {
+                links.push({ parentKey: ensurePath(item.path.slice(0, -1)), childKey: item.key });
+            }
+        });
+        items.push(...pathItems);
+    }
+
+    items.forEach(item => {
+        delete item.cells;
+        delete item.row;
+        delete item.path;
+    });
+    return { items, links, warnings };
+}
+
+// "**01 · Name** — Status, IN 3 / OUT 1" as written by exportToMarkdown(); plain text otherwise
+function parseOutlineLabel(text) {
+    let label = text.trim();
+    let status = '';
+    let seeAbove = false;
+
+    if (/\s*_\(see above\)_$/.test(label)) {
+        seeAbove = true;
+        label = label.replace(/\s*_\(see above\)_$/, '');
+    }
+    const exported = label.match(/^\*\*(.+)\*\* — (.+), IN \d+ \/ OUT \d+$/);
+    if (exported) {
+        label = exported[1];
+        status = exported[2].replace(/\\(.)/g, '$1');
+    }
+    label = label
+        .replace(/^(\*\*|__)(.+)\1$/, '$2')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\d{2,} · /, '')
+        .replace(/\\(.)/g, '$1')
+        .trim();
+    return { name: label, status, seeAbove };
+}
+
+/**
+ * Markdown: headings and list items (-, *, +, 1.) nest by level/indentation; "> quote" lines
+ * and plain paragraphs become the description of the item above them.
+ * Indented text: every non-empty line is a node, nested by indentation (tab = 4 spaces).
+ */
+function parseImportOutline(text, isMarkdown) {
+    const items = [];
+    const links = [];
+    const warnings = [];
+    const stack = [];        // [{ indent, key }] for the current branch, root first
+    const headings = [];     // levels (1-6) of the open Markdown headings
+    let lastItem = null;
+
+    // Adds an item under the deepest open entry, after the caller has trimmed the stack
+    const addItem = (name, status, indent) => {
+        const parent = stack[stack.length - 1];
+        const item = { key: `line-${items.length}`, name, description: '', status };
+        items.push(item);
+        if (parent) links.push({ parentKey: parent.key, childKey: item.key });
+        stack.push({ indent, key: item.key });
+        lastItem = item;
+    };
+
+    // Open entries from minDepth on that are indented less than this line stay its ancestors
+    const depthForIndent = (indent, minDepth) => {
+        let depth = minDepth;
+        while (depth < stack.length && stack[depth].indent < indent) depth++;
+        return depth;
+    };
+
+    text.replace(/\t/g, '    ').split(/\r?\n/).forEach((line, index) => {
+        if (!line.trim()) return;
+        const indent = line.length - line.trimStart().length;
+
+        if (isMarkdown) {
+            const heading = line.match(/^(#{1,6})\s+(.*)$/);
+            if (heading) {
+                const level = heading[1].length;
+                while (headings.length > 0 && headings[headings.length - 1] >= level) headings.pop();
+                const { name, status } = parseOutlineLabel(heading[2]);
+                if (!name) return;
+                stack.length = headings.length;
+                addItem(name, status, -1);
+                headings.push(level);
+                return;
+            }
+            const quote = line.match(/^\s*>\s?(.*)$/);
+            const listItem = line.match(/^(\s*)([-*+]|\d+[.)])\s+(.*)$/);
+            if (!listItem) {
+                if (lastItem) {
+                    const textLine = (quote ? quote[1] : line.trim()).replace(/\\(.)/g, '$1');
+                    lastItem.description = lastItem.description ? `${lastItem.description}\n${textLine}` : textLine;
+                } else {
+                    warnings.push(`Line ${index + 1} is not a heading or list item and was skipped.`);
+                }
+                return;
+            }
+            const { name, status, seeAbove } = parseOutlineLabel(listItem[3]);
+            if (!name) return;
+            stack.length = depthForIndent(indent, headings.length);
+            if (seeAbove) {
+                // Another parent of a node listed earlier
+                const existing = items.find(item => item.name === name);
+                const parent = stack[stack.length - 1];
+                if (existing && parent) {
+                    links.push({ parentKey: parent.key, childKey: existing.key });
+                    return;
+                }
+            }
+            addItem(name, status, indent);
+            return;
+        }
+
+        // Indented text; tree drawings ("|–– Name") from the info modal work too
+        const name = line.trim().replace(/^\|?[–-]*\s*/, '').replace(/^[-*+]\s+/, '').trim();
+        if (!name || name === '|') return;
+        stack.length = depthForIndent(indent, 0);
+        addItem(name, '', indent);
+    });
+
+    return { items, links, warnings };
+}
+
+// --- Planning ---
+
+function normaliseImportName(name) {
+    return name.trim().toLowerCase();
+}
+
+/**
+ * Matches parsed items against the tree under parentId.
+ * With reuseExisting, an item whose name already exists under the same parent (in the tree or
+ * earlier in the file) is reused rather than created; its children are matched in turn.
+ * @returns plan with steps [{type: 'create', ref, fields} | {type: 'link', parentRef, childRef}],
+ *   where a ref is an existing node id or "new:<n>", plus a preview tree and the dedupe report.
+ */
+function buildImportPlan(parsed, parentId, reuseExisting = true) {
+    const plan = {
+        parentId,
+        steps: [],
+        preview: [],
+        reused: [],
+        sameNameElsewhere: [],
+        skippedLinks: [],
+        warnings: parsed.warnings.slice(),
+        createCount: 0,
+        linkCount: 0
+    };
+    const itemsByKey = new Map(parsed.items.map(item => [item.key, item]));
+    const childKeys = new Map();
+    const hasParent = new Set();
+    parsed.links.forEach(({ parentKey, childKey }) => {
+        if (!itemsByKey.has(parentKey) || !itemsByKey.has(childKey)) return;
+        if (!childKeys.has(parentKey)) childKeys.set(parentKey, []);
+        childKeys.get(parentKey).push(childKey);
+        hasParent.add(childKey);
+    });
+
+    const existingByName = new Map();
+    Object.values(nodeMap).forEach(node => {
+        const key = normaliseImportName(node.name);
+        if (!existingByName.has(key)) existingByName.set(key, node);
+    });
+
+    const refOf = new Map();          // item key -> ref it was resolved to
+    const plannedChildren = new Map(); // ref -> Map(name -> ref) for items planned under it
+    const plannedLinks = new Set();
+
+    const statusFor = (item) => {
+        if (!item.status) return defaultStatusName();
+        const match = statusRegistry.find(status => status.name.toLowerCase() === item.status.trim().toLowerCase());
+        if (match) return match.name;
+        plan.warnings.push(`'${item.name}': unknown status "${item.status}", using ${defaultStatusName()}.`);
+        return defaultStatusName();
+    };
+
+    const isExistingRef = ref => !ref.startsWith('new:');
+    const addLink = (parentRef, childRef, childName) => {
+        const linkKey = `${parentRef}>${childRef}`;
+        if (plannedLinks.has(linkKey)) return;
+        plannedLinks.add(linkKey);
+        if (isExistingRef(parentRef) && isExistingRef(childRef)) {
+            if ((nodeMap[parentRef].children || []).includes(childRef)) return;
+            if (parentRef === childRef || isDescendantOf(parentRef, childRef)) {
+                plan.skippedLinks.push(`'${childName}' under '${nodeMap[parentRef].name}' (would create a cycle)`);
+                return;
+            }
+        }
+        plan.steps.push({ type: 'link', parentRef, childRef });
+        plan.linkCount++;
+    };
+
+    // Depth-first so every node is created right before the link that attaches it
+    const visit = (key, parentRef, trail, previewList) => {
+        const item = itemsByKey.get(key);
+        if (trail.has(key)) {
+            plan.warnings.push(`'${item.name}' is its own ancestor in the file; that link was skipped.`);
+            return;
+        }
+        if (refOf.has(key)) {
+            // Second parent of an item already planned (a cross-link)
+            addLink(parentRef, refOf.get(key), item.name);
+            previewList.push({ name: item.name, state: 'link', children: [] });
+            return;
+        }
+
+        const nameKey = normaliseImportName(item.name);
+        if (!plannedChildren.has(parentRef)) plannedChildren.set(parentRef, new Map());
+        const siblings = plannedChildren.get(parentRef);
+
+        let ref = null;
+        let state = 'new';
+        if (reuseExisting && siblings.has(nameKey)) {
+            ref = siblings.get(nameKey);
+            state = 'merged';
+            plan.reused.push(`'${item.name}' appears twice under the same parent in the file; merged.`);
+        } else if (reuseExisting && isExistingRef(parentRef)) {
+            const existingChildId = (nodeMap[parentRef].children || [])
+                .find(childId => nodeMap[childId] && normaliseImportName(nodeMap[childId].name) === nameKey);
+            if (existingChildId) {
+                ref = existingChildId;
+                state = 'exists';
+                plan.reused.push(`'${item.name}' already exists under '${nodeMap[parentRef].name}'; reused.`);
+            }
+        }
+
+        if (!ref) {
+            ref = `new:${plan.createCount++}`;
+            plan.steps.push({
+                type: 'create',
+                ref,
+                fields: { ...item.fields, name: item.name, description: item.description || '', status: statusFor(item) }
+            });
+            addLink(parentRef, ref, item.name);
+            const elsewhere = existingByName.get(nameKey);
+            if (elsewhere) {
+                plan.sameNameElsewhere.push(`'${item.name}' (also at ${getBreadcrumbPath(elsewhere.contentId)})`);
+            }
+        }
+        siblings.set(nameKey, ref);
+        refOf.set(key, ref);
+
+        const previewItem = { name: item.name, state, children: [] };
+        previewList.push(previewItem);
+        const nextTrail = new Set(trail).add(key);
+        (childKeys.get(key) || []).forEach(childKey => visit(childKey, ref, nextTrail, previewItem.children));
+    };
+
+    parsed.items.filter(item => !hasParent.has(item.key)).forEach(item => visit(item.key, parentId, new Set(), plan.preview));
+    const unreached = parsed.items.filter(item => !refOf.has(item.key));
+    if (unreached.length > 0) {
+        plan.warnings.push(`${unreached.length} item(s) are only reachable through a cycle and were skipped.`);
+    }
+    return plan;
+}
+
+// --- Running ---
+
+function loadImportJob() {
+    try {
+        return JSON.parse(localStorage.getItem(IMPORT_JOB_STORAGE_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+function saveImportJob() {
+    try {
+        if (importJob) {
+            localStorage.setItem(IMPORT_JOB_STORAGE_KEY, JSON.stringify(importJob));
+        } else {
+            localStorage.removeItem(IMPORT_JOB_STORAGE_KEY);
+        }
+    } catch (e) { /* ignore */ }
+}
+
+function runImportPlan(plan) {
+    const parentName = nodeMap[plan.parentId].name;
+    const jobId = `import-${Date.now().toString(36)}`;
+    importJob = {
+        id: jobId,
+        parentName,
+        startedAt: Date.now(),
+        total: plan.steps.length,
+        settled: 0,
+        created: [],
+        linked: 0,
+        reused: plan.reused.length,
+        skipped: plan.skippedLinks.slice(),
+        failed: [],
+        finished: plan.steps.length === 0
+    };
+    saveImportJob();
+
+    const ids = new Map(); // "new:<n>" -> temp id
+    const idFor = ref => ids.get(ref) || ref;
+    const redo = [];
+    const undo = [];
+
+    // Imported nodes are numbered in the target branch's ID sequence
+    const friendlyIdPrefix = getBranchIdPrefix(plan.parentId);
+    plan.steps.forEach(step => {
+        if (step.type === 'create') {
+            const tempId = createTempId();
+            const fields = { ...step.fields, friendlyIdPrefix };
+            ids.set(step.ref, tempId);
+            queueMutation('createNode', { tempId, ...fields }, { label: `Import '${step.fields.name}'`, tag: jobId });
+            redo.push({ op: 'create', restoreId: tempId, fields });
+            undo.unshift({ op: 'delete', nodeId: tempId });
+        } else {
+            const payload = { parentId: idFor(step.parentRef), childId: idFor(step.childRef) };
+            queueMutation('createRelation', payload, {
+                label: `Import: link '${nodeMap[payload.childId].name}' under '${nodeMap[payload.parentId].name}'`,
+                tag: jobId
+            });
+            redo.push({ op: 'mutation', kind: 'createRelation', payload });
+            // Links to created nodes disappear with them; only links between existing nodes need undoing
+            if (!step.parentRef.startsWith('new:') && !step.childRef.startsWith('new:')) {
+                undo.push({ op: 'mutation', kind: 'deleteRelation', payload });
+            }
+        }
+    });
+
+    if (plan.steps.length > 0) {
+        recordHistory(`Import ${plan.createCount} node(s) under '${parentName}'`, redo, undo, plan.parentId);
+    }
+    nodeToFocusId = plan.parentId;
+    loadAndRenderVisuals(stableRootId);
+    renderImportProgress();
+}
+
+function handleImportEntrySettled(entry, error) {
+    if (!importJob || importJob.finished || entry.tag !== importJob.id) return;
+
+    importJob.settled++;
+    if (error) {
+        importJob.failed.push(`${entry.label}: ${error}`);
+    } else if (entry.kind === 'createNode') {
+        importJob.created.push(entry.payload.name);
+    } else if (entry.kind === 'createRelation') {
+        importJob.linked++;
+    }
+    if (importJob.settled >= importJob.total) {
+        importJob.finished = true;
+        showMessage(
+            `Import under '${importJob.parentName}' finished: ${importJob.created.length} created, `
+            + `${importJob.failed.length} failed.`,
+            importJob.failed.length > 0 ? 'error' : 'success'
+        );
+    }
+    saveImportJob();
+    renderImportProgress();
+}
+
+// Entries for the job that are still waiting in the outbox
+function countPendingImportEntries() {
+    return importJob ? outboxEntries.filter(entry => entry.tag === importJob.id).length : 0;
+}
+
+function renderImportProgress() {
+    const section = document.getElementById('import-progress');
+    if (!section) return;
+    if (!importJob) {
+        section.classList.add('hidden');
+        return;
+    }
+    section.classList.remove('hidden');
+
+    const percent = importJob.total === 0 ? 100 : Math.round((importJob.settled / importJob.total) * 100);
+    document.getElementById('import-progress-bar').style.width = `${percent}%`;
+
+    let state = `${importJob.settled} of ${importJob.total} change(s) saved`;
+    if (!importJob.finished && isOutboxOffline) {
+        state += ' – paused, the backend is unreachable. It continues automatically when it is back.';
+    }
+    document.getElementById('import-progress-label').textContent = state;
+    document.getElementById('import-retry-button').classList.toggle('hidden', importJob.finished || !isOutboxOffline);
+
+    const summary = document.getElementById('import-summary');
+    summary.innerHTML = '';
+    if (!importJob.finished) return;
+
+    const addLine = (text, className = 'text-gray-700') => {
+        const item = document.createElement('li');
+        item.className = className;
+        item.textContent = text;
+        summary.appendChild(item);
+    };
+    addLine(`Created ${importJob.created.length} node(s) and ${importJob.linked} link(s) under '${importJob.parentName}'.`);
+    if (importJob.created.length > 0) {
+        addLine(`Created: ${importJob.created.join(', ')}`, 'text-gray-500');
+    }
+    if (importJob.reused > 0) addLine(`Skipped ${importJob.reused} node(s) that already existed (reused).`);
+    importJob.skipped.forEach(text => addLine(`Skipped link: ${text}`, 'text-amber-700'));
+    importJob.failed.forEach(text => addLine(`Failed: ${text}`, 'text-red-600'));
+    if (importJob.failed.length > 0) {
+        addLine('Run the same import again to retry: nodes that were created are reused, not duplicated.', 'text-gray-500');
+    }
+}
+
+// --- Import modal ---
+
+function openImportModal(parentId = null) {
+    if (!stableRootId || !nodeMap[stableRootId]) {
+        showMessage('The tree has not loaded yet.', 'error');
+        return;
+    }
+    const formatSelect = document.getElementById('import-format-select');
+    if (formatSelect.options.length === 0) {
+        Object.entries(IMPORT_FORMATS).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            formatSelect.appendChild(option);
+        });
+    }
+    fillNodeSelect(document.getElementById('import-parent-select'), parentId, (node, index) =>
+        `${index === 0 ? '' : `${getFriendlyIdLabel(node) ? `${getFriendlyIdLabel(node)} · ` : ''}`}${node.name}${index === 0 ? ' (root)' : ''}`);
+
+    // A job whose entries vanished (e.g. IndexedDB unavailable and the tab was closed) cannot finish
+    if (importJob && !importJob.finished && countPendingImportEntries() === 0 && !isFlushingOutbox) {
+        importJob.failed.push(`${importJob.total - importJob.settled} change(s) were lost before reaching the server.`);
+        importJob.finished = true;
+        saveImportJob();
+    }
+
+    importPlan = null;
+    document.getElementById('import-preview').classList.add('hidden');
+    document.getElementById('import-run-button').disabled = true;
+    renderImportProgress();
+    document.getElementById('import-modal').style.display = 'flex';
+}
+
+function closeImportModal() {
+    document.getElementById('import-modal').style.display = 'none';
+    // A finished job's summary has been seen; an unfinished one keeps being tracked
+    if (importJob && importJob.finished) {
+        importJob = null;
+        saveImportJob();
+    }
+}
+
+function handleImportFileSelected(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('import-text').value = reader.result;
+        document.getElementById('import-text').dataset.filename = file.name;
+        previewImport();
+    };
+    reader.onerror = () => showMessage(`Could not read ${file.name}.`, 'error');
+    reader.readAsText(file);
+}
+
+function previewImport() {
+    const textarea = document.getElementById('import-text');
+    const text = textarea.value;
+    const parentId = document.getElementById('import-parent-select').value;
+    const reuseExisting = document.getElementById('import-reuse-toggle').checked;
+    let format = document.getElementById('import-format-select').value;
+    if (format === 'auto') format = detectImportFormat(text, textarea.dataset.filename || '');
+
+    importPlan = null;
+    document.getElementById('import-run-button').disabled = true;
+    if (!text.trim()) {
+        showMessage('Paste some text or choose a file to import.', 'error');
+        return;
+    }
+
+    let parsed;
+    try {
+        parsed = parseImportText(text, format);
+    } catch (e) {
+        showMessage(e.message, 'error');
+        document.getElementById('import-preview').classList.add('hidden');
+        return;
+    }
+    importPlan = buildImportPlan(parsed, parentId, reuseExisting);
+    renderImportPreview(importPlan, IMPORT_FORMATS[format]);
+    document.getElementById('import-run-button').disabled = importPlan.steps.length === 0 || !!(importJob && !importJob.finished);
+}
+
+function renderImportPreview(plan, formatLabel) {
+    document.getElementById('import-preview').classList.remove('hidden');
+    document.getElementById('import-preview-summary').textContent =
+        `${formatLabel}: ${plan.createCount} new node(s), ${plan.linkCount} link(s) under '${nodeMap[plan.parentId].name}'.`;
+
+    const STATE_LABELS = { exists: 'exists – reused', merged: 'duplicate – merged', link: 'extra parent' };
+    const renderList = (entries) => {
+        const list = document.createElement('ul');
+        list.className = 'pl-4 border-l border-gray-200 space-y-0.5';
+        entries.forEach(entry => {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = entry.name;
+            name.className = entry.state === 'new' ? 'text-gray-800' : 'text-gray-400';
+            item.appendChild(name);
+            if (STATE_LABELS[entry.state]) {
+                const badge = document.createElement('span');
+                badge.className = 'ml-2 text-xs text-amber-700';
+                badge.textContent = `(${STATE_LABELS[entry.state]})`;
+                item.appendChild(badge);
+            }
+            if (entry.children.length > 0) item.appendChild(renderList(entry.children));
+            list.appendChild(item);
+        });
+        return list;
+    };
+    const tree = document.getElementById('import-preview-tree');
+    tree.innerHTML = '';
+    tree.appendChild(renderList(plan.preview));
+
+    const report = document.getElementById('import-report');
+    report.innerHTML = '';
+    const addSection = (title, lines, className) => {
+        if (lines.length === 0) return;
+        const heading = document.createElement('p');
+        heading.className = 'font-semibold text-gray-700 mt-2';
+        heading.textContent = `${title} (${lines.length})`;
+        report.appendChild(heading);
+        const list = document.createElement('ul');
+        list.className = `list-disc pl-5 ${className}`;
+        lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            list.appendChild(item);
+        });
+        report.appendChild(list);
+    };
+    addSection('Reused instead of created', plan.reused, 'text-gray-600');
+    addSection('Same name elsewhere in the tree (will still be created)', plan.sameNameElsewhere, 'text-amber-700');
+    addSection('Links skipped', plan.skippedLinks, 'text-amber-700');
+    addSection('Warnings', plan.warnings, 'text-red-600');
+}
+
+function handleImportRun() {
+    if (!importPlan || importPlan.steps.length === 0) return;
+    if (importJob && !importJob.finished) {
+        showMessage('Another import is still being saved; wait for it to finish.', 'error');
+        return;
+    }
+    runImportPlan(importPlan);
+    importPlan = null;
+    document.getElementById('import-run-button').disabled = true;
+}
@@ -0,0 +1,408 @@
+// --- Keyboard Navigation & Command Palette ---
+// The focused card (lastFocusedNodeId, set by focusNode) is the keyboard cursor and wears the
+// .keyboard-focus ring. Arrow keys walk the tree as it is drawn: Up = parent the card is drawn
+// under, Down = first child (unfolding the node), Left/Right = previous/next sibling. Single-key
+// shortcuts act on the focused card, Ctrl+K opens the command palette, and every modal traps
+// Tab and gives focus back to where it was opened from.
+
+const NODE_SHORTCUTS = [
+    { keys: ['Enter', 'i'], hint: 'Enter / i', label: 'Show info', run: id => openInfoModal(id) },
+    { keys: ['e'], hint: 'e', label: 'Edit', run: id => openEditModal(id) },
+    { keys: ['a'], hint: 'a', label: 'Add child', run: id => openChildModal(id, nodeMap[id].name) },
+    { keys: ['l'], hint: 'l', label: 'Link nodes', run: id => openSearchLinkModal(id, nodeMap[id].name) },
+    { keys: ['Delete', 'Backspace'], hint: 'Delete', label: 'Delete (leaf nodes only)', run: id => requestDeleteNode(id) },
+    { keys: ['s'], hint: 's', label: 'Cycle status', run: id => cycleNodeStatus(id) },
+    { keys: ['c'], hint: 'c', label: 'Copy link', run: id => copyNodeLink(id) },
+    { keys: [' '], hint: 'Space', label: 'Fold / unfold', run: id => toggleNodeFold(id) }
+];
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+const MAX_PALETTE_RESULTS = 50;
+
+let paletteResults = [];
+let paletteIndex = 0;
+let lastFocusOutsideModal = null;   // Where focus goes back to when a modal closes
+const openModalIds = new Set();
+
+// --- Focused card ---
+
+// Moves the ring without scrolling (focusNode scrolls and calls this)
+function markFocusedCard(nodeId) {
+    document.querySelectorAll('.node-card.keyboard-focus').forEach(card => {
+        if (card.dataset.nodeId !== nodeId) card.classList.remove('keyboard-focus');
+    });
+    const card = document.getElementById(`node-${nodeId}`);
+    if (card) card.classList.add('keyboard-focus');
+    // The focused node is part of the shareable URL (url-state.js)
+    scheduleUrlStateSync();
+}
+
+// Keyboard moves also take DOM focus, so screen readers follow the cursor
+function moveKeyboardFocus(nodeId) {
+    if (!nodeId || !nodeMap[nodeId]) return;
+    lastFocusedNodeId = nodeId;
+    focusNode(nodeId);
+    const card = document.getElementById(`node-${nodeId}`);
+    if (card) card.focus({ preventScroll: true });
+}
+
+// Children as drawn: filters applied, nothing when the node is folded
+function getDrawnChildIds(nodeId) {
+    if (isNodeCollapsed(nodeId)) return [];
+    return getOrderedChildIds(nodeId).filter(id => nodeMap[id] && isNodeVisible(id));
+}
+
+function navigateTree(direction) {
+    const currentId = lastFocusedNodeId && nodeMap[lastFocusedNodeId] ? lastFocusedNodeId : null;
+    if (!currentId) {
+        moveKeyboardFocus(stableRootId);
+        return;
+    }
+    const parentId = getRenderedParentId(currentId) || getParentIds(currentId)[0] || null;
+
+    if (direction === 'parent') {
+        if (parentId) moveKeyboardFocus(parentId);
+    } else if (direction === 'child') {
+        if (isNodeCollapsed(currentId) && (nodeMap[currentId].children || []).length > 0) {
+            // Unfold first; the re-render focuses the node, then we step down
+            toggleNodeFold(currentId);
+            setTimeout(() => stepToChild(currentId), 200);
+            return;
+        }
+        stepToChild(currentId);
+    } else if (parentId) {
+        const siblings = getDrawnChildIds(parentId);
+        const index = siblings.indexOf(currentId) + (direction === 'next' ? 1 : -1);
+        if (index >= 0 && index < siblings.length) moveKeyboardFocus(siblings[index]);
+    }
+}
+
+// Stepping down follows the parent -> child link, so it counts as a click
+function stepToChild(parentId) {
+    const childId = getDrawnChildIds(parentId)[0];
+    if (!childId) return;
+    trackLinkClick(parentId, childId);
+    moveKeyboardFocus(childId);
+}
+
+function requestDeleteNode(nodeId) {
+    if (nodeId === stableRootId || (nodeMap[nodeId].children || []).length > 0) {
+        showMessage('Only leaf nodes can be deleted. Move or delete the children first.', 'info');
+        return;
+    }
+    openDeleteConfirmModal(nodeId);
+}
+
+// Next status in registry order that the workflow allows from the current one
+function getNextStatus(status) {
+    const names = statusRegistry.map(entry => entry.name);
+    const start = names.indexOf(status);
+    for (let step = 1; step <= names.length; step++) {
+        const candidate = names[(start + step) % names.length];
+        if (candidate !== status && canTransitionStatus(status, candidate)) return candidate;
+    }
+    return null;
+}
+
+function cycleNodeStatus(nodeId) {
+    const node = nodeMap[nodeId];
+    const nextStatus = getNextStatus(node.status);
+    if (!nextStatus) {
+        showMessage(`The workflow allows no status after '${node.status}'.`, 'info');
+        return;
+    }
+    const previousFields = pickNodeFields(node);
+    const newFields = { ...previousFields, status: nextStatus };
+    queueMutation('updateNode', { nodeId, fields: newFields }, {
+        label: `Status of '${node.name}'`,
+        baseline: previousFields
+    });
+    recordHistory(
+        `Status of '${node.name}' → ${nextStatus}`,
+        [{ op: 'mutation', kind: 'updateNode', payload: { nodeId, fields: newFields } }],
+        [{ op: 'mutation', kind: 'updateNode', payload: { nodeId, fields: previousFields } }],
+        nodeId
+    );
+    showMessage(`'${node.name}' is now ${nextStatus}.`, 'success');
+    nodeToFocusId = nodeId;
+    loadAndRenderVisuals(stableRootId);
+}
+
+// --- Key handling ---
+
+function isTypingTarget(target) {
+    return Boolean(target) && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+function getOpenModal() {
+    const open = Array.from(document.querySelectorAll('.modal-backdrop')).filter(modal => modal.style.display === 'flex');
+    return open[open.length - 1] || document.getElementById('inbound-popup-overlay') || document.getElementById('outbound-popup-overlay');
+}
+
+function handleKeyboardShortcut(e) {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        openCommandPalette();
+        return;
+    }
+    if (e.key === 'Tab' && getOpenModal()) {
+        trapModalFocus(e, getOpenModal());
+        return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey || isTypingTarget(e.target) || getOpenModal()) return;
+    if (e.key === 'Escape') {
+        clearSelection();
+        return;
+    }
+    // Buttons inside cards keep Enter/Space for themselves
+    if ((e.key === 'Enter' || e.key === ' ') && e.target.closest && e.target.closest('button, a')) return;
+
+    const directions = { ArrowUp: 'parent', ArrowDown: 'child', ArrowLeft: 'previous', ArrowRight: 'next' };
+    if (directions[e.key]) {
+        e.preventDefault();
+        navigateTree(directions[e.key]);
+        return;
+    }
+    if (e.key === 'Home') {
+        e.preventDefault();
+        moveKeyboardFocus(stableRootId);
+        return;
+    }
+
+    const shortcut = NODE_SHORTCUTS.find(entry => entry.keys.includes(e.key));
+    const nodeId = lastFocusedNodeId;
+    if (!shortcut || !nodeId || !nodeMap[nodeId]) return;
+    e.preventDefault();
+    shortcut.run(nodeId);
+}
+
+// --- Modal focus ---
+
+function trapModalFocus(e, modal) {
+    const focusable = Array.from(modal.querySelectorAll(FOCUSABLE_SELECTOR)).filter(el => el.offsetParent !== null || el === document.activeElement);
+    if (focusable.length === 0) {
+        e.preventDefault();
+        return;
+    }
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (!modal.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+// Modals open and close by style.display; watch it to move focus in and back out.
+// Some open functions focus a field themselves, which is left alone.
+function handleModalDisplayChange(modal) {
+    const isOpen = modal.style.display === 'flex';
+    if (isOpen && !openModalIds.has(modal.id)) {
+        openModalIds.add(modal.id);
+        if (!modal.contains(document.activeElement)) {
+            const target = modal.querySelector('[autofocus]') || modal.querySelector(FOCUSABLE_SELECTOR);
+            if (target) target.focus();
+        }
+    } else if (!isOpen && openModalIds.has(modal.id)) {
+        openModalIds.delete(modal.id);
+        if (getOpenModal()) return;
+        // The card that opened it may have been re-rendered; fall back to the focused card
+        const previous = lastFocusOutsideModal;
+        const fallback = lastFocusedNodeId && document.getElementById(`node-${lastFocusedNodeId}`);
+        const target = previous && previous.isConnected ? previous : fallback;
+        if (target) target.focus({ preventScroll: true });
+    }
+}
+
+function initModalAccessibility() {
+    const observer = new MutationObserver(records => {
+        records.forEach(record => handleModalDisplayChange(record.target));
+    });
+    document.querySelectorAll('.modal-backdrop').forEach(modal => {
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        const heading = modal.querySelector('h2');
+        if (heading) {
+            heading.id = heading.id || `${modal.id}-title`;
+            modal.setAttribute('aria-labelledby', heading.id);
+        }
+        observer.observe(modal, { attributes: true, attributeFilter: ['style'] });
+    });
+    document.addEventListener('focusin', (e) => {
+        if (!e.target.closest('.modal-backdrop')) lastFocusOutsideModal = e.target;
+    });
+}
+
+// --- Command palette ---
+
+// Subsequence match; consecutive letters and word starts score higher. -1 = no match.
+function fuzzyScore(query, text) {
+    const haystack = text.toLowerCase();
+    let score = 0;
+    let position = -1;
+    for (const char of query.toLowerCase()) {
+        const found = haystack.indexOf(char, position + 1);
+        if (found === -1) return -1;
+        score += found === position + 1 ? 3 : 1;
+        if (found === 0 || /[\s\-_·/]/.test(haystack[found - 1])) score += 2;
+        position = found;
+    }
+    return score - haystack.length / 100; // shorter texts win ties
+}
+
+function getPaletteActions() {
+    const actions = [
+        { label: 'Undo', hint: 'Ctrl+Z', run: undoLastAction },
+        { label: 'Redo', hint: 'Ctrl+Shift+Z', run: redoLastAction },
+        { label: 'Zoom in', run: zoomIn },
+        { label: 'Zoom out', run: zoomOut },
+        { label: 'Fit to view', run: resetZoom },
+        { label: 'Zoom to selection', run: zoomToSelection },
+        { label: 'Show / hide minimap', run: toggleMinimap },
+        { label: 'Expand all', run: expandAll },
+        { label: 'Show / hide filters', run: toggleFilterPanel },
+        { label: 'Edit status workflow...', run: openStatusRegistryModal },
+        { label: 'Export...', run: () => openExportModal(lastFocusedNodeId) },
+        { label: 'Export image / print...', run: () => openImageExportModal(lastFocusedNodeId) },
+        { label: 'Import...', run: () => openImportModal() },
+        { label: 'Go to root', hint: 'Home', run: () => moveKeyboardFocus(stableRootId) }
+    ];
+    const focused = lastFocusedNodeId && nodeMap[lastFocusedNodeId];
+    if (focused) {
+        NODE_SHORTCUTS.forEach(shortcut => actions.push({
+            label: `${shortcut.label}: ${focused.name}`,
+            hint: shortcut.hint,
+            run: () => shortcut.run(focused.contentId)
+        }));
+    }
+    return actions.map(action => ({ ...action, type: 'action' }));
+}
+
+function searchPalette(query) {
+    const trimmed = query.trim();
+    const actions = getPaletteActions();
+    const nodes = Object.values(nodeMap).map(node => ({
+        type: 'node',
+        label: node.name,
+        hint: getFriendlyIdLabel(node),
+        searchText: `${getFriendlyIdLabel(node)} ${node.name}`,
+        nodeId: node.contentId
+    }));
+    if (!trimmed) {
+        return actions.concat(nodes).slice(0, MAX_PALETTE_RESULTS);
+    }
+    return actions.concat(nodes)
+        .map(item => ({ item, score: fuzzyScore(trimmed, item.searchText || item.label) }))
+        .filter(entry => entry.score >= 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_PALETTE_RESULTS)
+        .map(entry => entry.item);
+}
+
+function renderPaletteResults() {
+    const list = document.getElementById('command-palette-results');
+    const input = document.getElementById('command-palette-input');
+    list.innerHTML = '';
+    paletteResults.forEach((result, index) => {
+        const item = document.createElement('li');
+        item.id = `command-palette-option-${index}`;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', String(index === paletteIndex));
+        item.className = `flex items-center justify-between px-3 py-2 rounded-lg cursor-pointer text-sm ${index === paletteIndex ? 'bg-indigo-100 text-indigo-900' : 'text-gray-700 hover:bg-gray-100'}`;
+
+        const label = document.createElement('span');
+        label.textContent = result.type === 'node' ? result.label : `› ${result.label}`;
+        const hint = document.createElement('span');
+        hint.className = 'text-xs text-gray-500 font-mono ml-3';
+        hint.textContent = result.hint || '';
+        item.append(label, hint);
+
+        item.addEventListener('mousemove', () => {
+            if (paletteIndex !== index) {
+                paletteIndex = index;
+                renderPaletteResults();
+            }
+        });
+        item.addEventListener('click', () => runPaletteResult(index));
+        list.appendChild(item);
+    });
+    if (paletteResults.length === 0) {
+        list.innerHTML = '<li class="px-3 py-2 text-sm text-gray-500 italic">No matching nodes or actions.</li>';
+    }
+    input.setAttribute('aria-activedescendant', paletteResults.length ? `command-palette-option-${paletteIndex}` : '');
+    const current = document.getElementById(`command-palette-option-${paletteIndex}`);
+    if (current) current.scrollIntoView({ block: 'nearest' });
+}
+
+function updateCommandPalette() {
+    paletteResults = searchPalette(document.getElementById('command-palette-input').value);
+    paletteIndex = 0;
+    renderPaletteResults();
+}
+
+function openCommandPalette() {
+    if (!stableRootId) return;
+    const input = document.getElementById('command-palette-input');
+    input.value = '';
+    document.getElementById('command-palette').style.display = 'flex';
+    input.focus();
+    updateCommandPalette();
+}
+
+function closeCommandPalette() {
+    document.getElementById('command-palette').style.display = 'none';
+}
+
+function runPaletteResult(index) {
+    const result = paletteResults[index];
+    if (!result) return;
+    closeCommandPalette();
+    if (result.type === 'node') {
+        // Make sure the node is drawn before jumping to it
+        const wasFolded = getBreadcrumbPaths(result.nodeId).some(path => path.slice(0, -1).some(isNodeCollapsed));
+        if (wasFolded) {
+            expandAncestors(result.nodeId);
+            nodeToFocusId = result.nodeId;
+            lastFocusedNodeId = result.nodeId;
+            loadAndRenderVisuals(stableRootId);
+        } else {
+            moveKeyboardFocus(result.nodeId);
+        }
+        return;
+    }
+    result.run();
+}
+
+function handlePaletteKeydown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (paletteResults.length === 0) return;
+        paletteIndex = (paletteIndex + (e.key === 'ArrowDown' ? 1 : -1) + paletteResults.length) % paletteResults.length;
+        renderPaletteResults();
+    } else if (e.key === 'Enter') {
+        e.preventDefault();
+        runPaletteResult(paletteIndex);
+    }
+}
+
+function initKeyboardNavigation() {
+    document.addEventListener('keydown', handleKeyboardShortcut);
+    initModalAccessibility();
+
+    // Clicking a card makes it the keyboard cursor
+    vizWrapper.addEventListener('click', (e) => {
+        const card = e.target.closest('.node-card[data-node-id]');
+        if (card) {
+            lastFocusedNodeId = card.dataset.nodeId;
+            markFocusedCard(card.dataset.nodeId);
+        }
+    });
+
+    const input = document.getElementById('command-palette-input');
+    input.addEventListener('input', updateCommandPalette);
+    input.addEventListener('keydown', handlePaletteKeydown);
+}
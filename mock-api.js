@@ -0,0 +1,523 @@
+// --- Mock API Adapter ---
+// In-browser implementation of the Flask backend on top of localStorage.
+// Used when API_BASE_URL is "mock" (see api.js) so the builder works offline
+// and in tests. Responses mirror the real endpoints' JSON shapes and status codes.
+
+const MOCK_DB_KEY = 'mockApiDb';
+const MOCK_CLICK_LOG_LIMIT = 5000;
+const MOCK_HISTORY_PERIODS = { day: 14, week: 8, month: 6 };
+
+function mockEmptyDb() {
+    // nodes: contentId -> { contentId, friendlyId, name, description, status, idPrefix?, childOrder?,
+    //                     links?: [{ label, url }], attachments?: [{ id, name, type, size, dataUrl }],
+    //                     customFields?: { key: value } }
+    // order: contentIds in creation order (root first, like /tree)
+    // relations: [{ parentId, childId }]
+    // clicks: [{ sourceId, targetId, count }]
+    // clickLog: [{ sourceId, targetId, at }] one entry per click (ms timestamps), newest last
+    // settings: project settings, e.g. { statuses: [{ name, color, order, transitions }] }
+    //   and friendlyIdCounters: { '': 17, SRV: 12 } (last number handed out per prefix)
+    return { nodes: {}, order: [], relations: [], clicks: [], clickLog: [], settings: {} };
+}
+
+function mockLoadDb() {
+    try {
+        const raw = localStorage.getItem(MOCK_DB_KEY);
+        return raw ? { ...mockEmptyDb(), ...JSON.parse(raw) } : mockEmptyDb();
+    } catch (e) {
+        return mockEmptyDb();
+    }
+}
+
+function mockSaveDb(db) {
+    localStorage.setItem(MOCK_DB_KEY, JSON.stringify(db));
+}
+
+function mockNewId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+        const r = Math.random() * 16 | 0;
+        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+    });
+}
+
+function mockJson(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+function mockError(message, status) {
+    return mockJson({ error: message }, status);
+}
+
+function mockChildrenOf(db, nodeId) {
+    return db.relations.filter(r => r.parentId === nodeId).map(r => r.childId);
+}
+
+function mockNodeView(db, nodeId) {
+    return { ...db.nodes[nodeId], children: mockChildrenOf(db, nodeId) };
+}
+
+// Removes click totals and their history for every link the predicate matches
+function mockDropClicks(db, predicate) {
+    db.clicks = db.clicks.filter(c => !predicate(c));
+    db.clickLog = db.clickLog.filter(c => !predicate(c));
+}
+
+// --- Friendly IDs ("07", "SRV-012"): assigned once, numbers never reused ---
+
+const MOCK_ID_PREFIX_PATTERN = /^[A-Z][A-Z0-9]{0,5}$/;
+
+function mockParseFriendlyId(text) {
+    const match = /^(?:([A-Z][A-Z0-9]*)-)?(\d+)$/.exec(String(text || ''));
+    return match ? { prefix: match[1] || '', number: Number(match[2]) } : null;
+}
+
+function mockFriendlyIdTaken(db, friendlyId, exceptId = null) {
+    return Object.values(db.nodes).some(node => node.contentId !== exceptId && node.friendlyId === friendlyId);
+}
+
+// Raises the prefix's counter so `number` is never handed out again
+function mockReserveFriendlyNumber(db, prefix, number) {
+    const counters = db.settings.friendlyIdCounters || (db.settings.friendlyIdCounters = {});
+    counters[prefix] = Math.max(counters[prefix] || 0, number);
+}
+
+// A node re-created by undo may ask for its old ID back; otherwise the prefix's next number
+function mockAssignFriendlyId(db, requested, prefix) {
+    const parsed = mockParseFriendlyId(requested);
+    if (parsed && !mockFriendlyIdTaken(db, requested)) {
+        mockReserveFriendlyNumber(db, parsed.prefix, parsed.number);
+        return requested;
+    }
+
+    // IDs stored by clients (backfilled nodes) count as handed out too
+    let number = (db.settings.friendlyIdCounters || {})[prefix] || 0;
+    Object.values(db.nodes).forEach(node => {
+        const existing = mockParseFriendlyId(node.friendlyId);
+        if (existing && existing.prefix === prefix) number = Math.max(number, existing.number);
+    });
+    number++;
+    mockReserveFriendlyNumber(db, prefix, number);
+    return prefix ? `${prefix}-${String(number).padStart(3, '0')}` : String(number).padStart(2, '0');
+}
+
+// --- Route handlers: (db, params, body) -> Response ---
+
+function mockGetTree(db) {
+    return mockJson(db.order.filter(id => db.nodes[id]).map(id => mockNodeView(db, id)));
+}
+
+// --- Labelled links and attachments (stored inline, like a document database would) ---
+
+const MOCK_ATTACHMENT_MAX_BYTES = 256 * 1024;
+
+// Error text for invalid links/attachments in a create/update body, or null
+function mockValidateRichContent(body) {
+    if (body.links !== undefined) {
+        if (!Array.isArray(body.links)) return 'links must be an array.';
+        const bad = body.links.find(link => !link || !/^(https?:\/\/|mailto:)/i.test(link.url || ''));
+        if (bad) return `Invalid link URL '${bad && bad.url}'.`;
+    }
+    if (body.attachments !== undefined) {
+        if (!Array.isArray(body.attachments)) return 'attachments must be an array.';
+        const bad = body.attachments.find(file => !file || !file.id || !/^data:/.test(file.dataUrl || ''));
+        if (bad) return 'Attachments need an id and a data URL.';
+        const tooBig = body.attachments.find(file => file.size > MOCK_ATTACHMENT_MAX_BYTES);
+        if (tooBig) return `Attachment '${tooBig.name}' is larger than 256 KB.`;
+    }
+    if (body.customFields !== undefined && (typeof body.customFields !== 'object' || Array.isArray(body.customFields) || body.customFields === null)) {
+        return 'customFields must be an object.';
+    }
+    return null;
+}
+
+function mockCreateNode(db, params, body) {
+    const name = (body.name || '').trim();
+    if (!name) return mockError('Node name is required.', 400);
+    const prefix = body.friendlyIdPrefix || '';
+    if (prefix && !MOCK_ID_PREFIX_PATTERN.test(prefix)) return mockError(`Invalid ID prefix '${prefix}'.`, 400);
+    if (body.idPrefix && !MOCK_ID_PREFIX_PATTERN.test(body.idPrefix)) return mockError(`Invalid ID prefix '${body.idPrefix}'.`, 400);
+    const contentProblem = mockValidateRichContent(body);
+    if (contentProblem) return mockError(contentProblem, 400);
+
+    const contentId = mockNewId();
+    const friendlyId = mockAssignFriendlyId(db, body.friendlyId, prefix);
+    db.nodes[contentId] = {
+        contentId,
+        friendlyId,
+        name,
+        description: body.description || '',
+        status: body.status || 'New'
+    };
+    if (body.idPrefix) db.nodes[contentId].idPrefix = body.idPrefix;
+    if (body.links && body.links.length) db.nodes[contentId].links = body.links;
+    if (body.attachments && body.attachments.length) db.nodes[contentId].attachments = body.attachments;
+    if (body.customFields && Object.keys(body.customFields).length) db.nodes[contentId].customFields = body.customFields;
+    db.order.push(contentId);
+    mockSaveDb(db);
+    return mockJson({ message: 'Node created', contentId, friendlyId }, 201);
+}
+
+function mockUpdateNode(db, params, body) {
+    const node = db.nodes[params.id];
+    if (!node) return mockError(`Node ${params.id} not found.`, 404);
+
+    if (body.idPrefix !== undefined && body.idPrefix !== '' && !MOCK_ID_PREFIX_PATTERN.test(body.idPrefix)) {
+        return mockError(`Invalid ID prefix '${body.idPrefix}'.`, 400);
+    }
+    const contentProblem = mockValidateRichContent(body);
+    if (contentProblem) return mockError(contentProblem, 400);
+    // A friendly ID can only be stored once (numbering a node that predates them)
+    if (body.friendlyId !== undefined && body.friendlyId !== node.friendlyId) {
+        if (node.friendlyId) return mockError(`Node ${params.id} already has the ID ${node.friendlyId}.`, 409);
+        const parsed = mockParseFriendlyId(body.friendlyId);
+        if (!parsed) return mockError(`Invalid friendly ID '${body.friendlyId}'.`, 400);
+        if (mockFriendlyIdTaken(db, body.friendlyId, node.contentId)) {
+            return mockError(`The ID ${body.friendlyId} is already in use.`, 409);
+        }
+        // At or below the counter: handed out before, possibly to a node deleted since
+        if (parsed.number <= ((db.settings.friendlyIdCounters || {})[parsed.prefix] || 0)) {
+            return mockError(`The ID ${body.friendlyId} was already handed out.`, 409);
+        }
+        mockReserveFriendlyNumber(db, parsed.prefix, parsed.number);
+        node.friendlyId = body.friendlyId;
+    }
+
+    ['name', 'description', 'status', 'childOrder', 'idPrefix', 'links', 'attachments', 'customFields'].forEach(key => {
+        if (body[key] !== undefined) node[key] = body[key];
+    });
+    mockSaveDb(db);
+    return mockJson({ message: 'Node updated', node: mockNodeView(db, params.id) });
+}
+
+// Numbers a node that predates friendly IDs from the counter; asking again returns the same ID
+function mockAssignNodeFriendlyId(db, params, body) {
+    const node = db.nodes[params.id];
+    if (!node) return mockError(`Node ${params.id} not found.`, 404);
+    const prefix = body.prefix || '';
+    if (prefix && !MOCK_ID_PREFIX_PATTERN.test(prefix)) return mockError(`Invalid ID prefix '${prefix}'.`, 400);
+
+    if (!node.friendlyId) {
+        node.friendlyId = mockAssignFriendlyId(db, null, prefix);
+        mockSaveDb(db);
+    }
+    return mockJson({ message: 'Friendly ID assigned', contentId: node.contentId, friendlyId: node.friendlyId });
+}
+
+function mockDeleteNode(db, params) {
+    if (!db.nodes[params.id]) return mockError(`Node ${params.id} not found.`, 404);
+
+    delete db.nodes[params.id];
+    db.order = db.order.filter(id => id !== params.id);
+    db.relations = db.relations.filter(r => r.parentId !== params.id && r.childId !== params.id);
+    mockDropClicks(db, c => c.sourceId === params.id || c.targetId === params.id);
+    mockSaveDb(db);
+    return mockJson({ message: 'Node deleted' });
+}
+
+function mockCreateRelation(db, params, body) {
+    const { parentId, childId } = body;
+    if (!db.nodes[parentId] || !db.nodes[childId]) return mockError('Parent or child node not found.', 404);
+    if (parentId === childId) return mockError('A node cannot be linked to itself.', 400);
+    if (db.relations.some(r => r.parentId === parentId && r.childId === childId)) {
+        return mockError('Relationship exists', 409);
+    }
+
+    db.relations.push({ parentId, childId });
+    mockSaveDb(db);
+    return mockJson({ message: 'Relationship created' }, 201);
+}
+
+function mockDeleteRelation(db, params, body) {
+    const { parentId, childId } = body;
+    const before = db.relations.length;
+    db.relations = db.relations.filter(r => !(r.parentId === parentId && r.childId === childId));
+    if (db.relations.length === before) return mockError('Relationship not found.', 404);
+
+    mockDropClicks(db, c => c.sourceId === parentId && c.targetId === childId);
+    mockSaveDb(db);
+    return mockJson({ message: 'Relationship deleted' });
+}
+
+function mockIsDescendant(db, ancestorId, nodeId) {
+    const seen = new Set();
+    const stack = mockChildrenOf(db, ancestorId);
+    while (stack.length > 0) {
+        const id = stack.pop();
+        if (id === nodeId) return true;
+        if (seen.has(id)) continue;
+        seen.add(id);
+        stack.push(...mockChildrenOf(db, id));
+    }
+    return false;
+}
+
+// Reparent (fromParentId -> toParentId) and/or reorder in one step.
+// childOrder, if given, becomes the new parent's saved sibling order.
+function mockMoveRelation(db, params, body) {
+    const { childId, fromParentId, toParentId, childOrder } = body;
+    if (!db.nodes[childId] || !db.nodes[toParentId]) return mockError('Child or target parent not found.', 404);
+    if (!db.relations.some(r => r.parentId === fromParentId && r.childId === childId)) {
+        return mockError('Relationship not found.', 404);
+    }
+
+    if (fromParentId !== toParentId) {
+        if (toParentId === childId || mockIsDescendant(db, childId, toParentId)) {
+            return mockError('A node cannot be moved under itself or its own descendants.', 400);
+        }
+        if (db.relations.some(r => r.parentId === toParentId && r.childId === childId)) {
+            return mockError('Relationship exists', 409);
+        }
+        db.relations = db.relations.filter(r => !(r.parentId === fromParentId && r.childId === childId));
+        mockDropClicks(db, c => c.sourceId === fromParentId && c.targetId === childId);
+        db.relations.push({ parentId: toParentId, childId });
+    }
+
+    if (Array.isArray(childOrder)) {
+        db.nodes[toParentId].childOrder = childOrder;
+    }
+    mockSaveDb(db);
+    return mockJson({ message: 'Node moved' });
+}
+
+function mockRecordClick(db, params, body) {
+    const { sourceId, targetId } = body;
+    if (!db.nodes[sourceId] || !db.nodes[targetId]) return mockError('Source or target node not found.', 404);
+
+    const existing = db.clicks.find(c => c.sourceId === sourceId && c.targetId === targetId);
+    if (existing) {
+        existing.count++;
+    } else {
+        db.clicks.push({ sourceId, targetId, count: 1 });
+    }
+    // Clicks replayed from an offline queue keep the time they happened
+    const clickedAt = Date.parse(body.clickedAt);
+    const at = Number.isFinite(clickedAt) && clickedAt <= Date.now() ? clickedAt : Date.now();
+    db.clickLog.push({ sourceId, targetId, at });
+    if (db.clickLog.length > MOCK_CLICK_LOG_LIMIT) {
+        db.clickLog = db.clickLog.slice(-MOCK_CLICK_LOG_LIMIT);
+    }
+    mockSaveDb(db);
+    return mockJson({ message: 'Click recorded' });
+}
+
+// Start of the UTC day, ISO week (Monday) or month containing `time`
+function mockBucketStart(time, bucket) {
+    const date = new Date(time);
+    date.setUTCHours(0, 0, 0, 0);
+    if (bucket === 'week') {
+        date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+    } else if (bucket === 'month') {
+        date.setUTCDate(1);
+    }
+    return date;
+}
+
+// "2026-10-19" for days and weeks, "2026-10" for months
+function mockBucketKey(date, bucket) {
+    return date.toISOString().slice(0, bucket === 'month' ? 7 : 10);
+}
+
+function mockPreviousBucket(start, bucket) {
+    const date = new Date(start);
+    if (bucket === 'day') date.setUTCDate(date.getUTCDate() - 1);
+    if (bucket === 'week') date.setUTCDate(date.getUTCDate() - 7);
+    if (bucket === 'month') date.setUTCMonth(date.getUTCMonth() - 1);
+    return date;
+}
+
+// Per-link click counts for the most recent periods, oldest period first
+function mockClickHistory(db, params) {
+    const bucket = params.bucket;
+    const periodCount = MOCK_HISTORY_PERIODS[bucket];
+    if (!periodCount) return mockError(`Unknown bucket '${bucket}'. Use day, week or month.`, 400);
+
+    const starts = [mockBucketStart(Date.now(), bucket)];
+    while (starts.length < periodCount) starts.unshift(mockPreviousBucket(starts[0], bucket));
+    const periods = starts.map(date => mockBucketKey(date, bucket));
+
+    const links = new Map();
+    db.clickLog.forEach(click => {
+        const index = periods.indexOf(mockBucketKey(mockBucketStart(click.at, bucket), bucket));
+        if (index === -1) return;
+        const key = `${click.sourceId}>${click.targetId}`;
+        if (!links.has(key)) {
+            links.set(key, { sourceId: click.sourceId, targetId: click.targetId, counts: periods.map(() => 0) });
+        }
+        links.get(key).counts[index]++;
+    });
+    return mockJson({ bucket, periods, links: Array.from(links.values()) });
+}
+
+function mockInboundStats(db, params) {
+    if (!db.nodes[params.id]) return mockError(`Node ${params.id} not found.`, 404);
+    const connections = db.clicks
+        .filter(c => c.targetId === params.id)
+        .map(c => ({ sourceId: c.sourceId, count: c.count }));
+    return mockJson({
+        total_inbound_count: connections.reduce((sum, c) => sum + c.count, 0),
+        inbound_connections: connections
+    });
+}
+
+function mockOutboundStats(db, params) {
+    if (!db.nodes[params.id]) return mockError(`Node ${params.id} not found.`, 404);
+    const connections = db.clicks
+        .filter(c => c.sourceId === params.id)
+        .map(c => ({ targetId: c.targetId, count: c.count }));
+    return mockJson({
+        total_outbound_count: connections.reduce((sum, c) => sum + c.count, 0),
+        outbound_connections: connections
+    });
+}
+
+function mockAllStats(db) {
+    const stats = {};
+    Object.keys(db.nodes).forEach(id => {
+        stats[id] = { total_inbound_count: 0, total_outbound_count: 0 };
+    });
+    db.clicks.forEach(c => {
+        if (stats[c.targetId]) stats[c.targetId].total_inbound_count += c.count;
+        if (stats[c.sourceId]) stats[c.sourceId].total_outbound_count += c.count;
+    });
+    return mockJson(stats);
+}
+
+function mockSearchNodes(db, params) {
+    // Underscores count as spaces (older clients sent multi-word terms that way)
+    const term = params.term.replace(/_/g, ' ').toLowerCase();
+    const results = db.order
+        .filter(id => db.nodes[id])
+        .filter(id => {
+            const node = db.nodes[id];
+            return (node.name || '').toLowerCase().includes(term) ||
+                (node.description || '').toLowerCase().includes(term);
+        })
+        .map(id => mockNodeView(db, id));
+
+    if (results.length === 0) return mockError(`No nodes found matching '${term}'.`, 404);
+    return mockJson(results);
+}
+
+function mockGetStatuses(db) {
+    // null until the project saves its own workflow (the UI then uses its defaults)
+    return mockJson({ statuses: db.settings.statuses || null });
+}
+
+function mockSaveStatuses(db, params, body) {
+    const statuses = body.statuses;
+    if (!Array.isArray(statuses) || statuses.length === 0) return mockError('At least one status is required.', 400);
+
+    const names = statuses.map(status => (status && typeof status.name === 'string' ? status.name.trim() : ''));
+    if (names.some(name => !name)) return mockError('Every status needs a name.', 400);
+    if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+        return mockError('Status names must be unique.', 400);
+    }
+
+    db.settings.statuses = statuses;
+    mockSaveDb(db);
+    return mockJson({ message: 'Statuses saved', statuses });
+}
+
+function mockGetFields(db) {
+    // null until the project saves its own fields (the UI then uses its defaults)
+    return mockJson({ fields: db.settings.fields || null });
+}
+
+function mockSaveFields(db, params, body) {
+    const fields = body.fields;
+    if (!Array.isArray(fields)) return mockError('fields must be an array.', 400);
+    const keys = fields.map(field => (field && typeof field.key === 'string' ? field.key : ''));
+    if (keys.some(key => !key)) return mockError('Every field needs a key.', 400);
+    if (new Set(keys).size !== keys.length) return mockError('Field keys must be unique.', 400);
+
+    db.settings.fields = fields;
+    mockSaveDb(db);
+    return mockJson({ message: 'Fields saved', fields });
+}
+
+function mockReset() {
+    mockSaveDb(mockEmptyDb());
+    return mockJson({ message: 'Database reset' });
+}
+
+// [method, path pattern, handler]. ":name" segments become params.
+const MOCK_ROUTES = [
+    ['GET', '/tree', mockGetTree],
+    ['POST', '/node/create', mockCreateNode],
+    ['PUT', '/node/update/:id', mockUpdateNode],
+    ['POST', '/node/friendly-id/:id', mockAssignNodeFriendlyId],
+    ['DELETE', '/node/delete/:id', mockDeleteNode],
+    ['GET', '/node/search/:term', mockSearchNodes],
+    ['POST', '/relation/create', mockCreateRelation],
+    ['DELETE', '/relation/delete', mockDeleteRelation],
+    ['POST', '/relation/move', mockMoveRelation],
+    ['POST', '/link/click', mockRecordClick],
+    ['GET', '/inbound_stats/:id', mockInboundStats],
+    ['GET', '/outbound_stats/:id', mockOutboundStats],
+    ['GET', '/stats/all', mockAllStats],
+    ['GET', '/clicks/history/:bucket', mockClickHistory],
+    ['GET', '/settings/statuses', mockGetStatuses],
+    ['PUT', '/settings/statuses', mockSaveStatuses],
+    ['GET', '/settings/fields', mockGetFields],
+    ['PUT', '/settings/fields', mockSaveFields],
+    ['DELETE', '/reset', mockReset],
+];
+
+function mockMatchRoute(method, path) {
+    const pathParts = path.split('/').filter(Boolean);
+
+    for (const [routeMethod, pattern, handler] of MOCK_ROUTES) {
+        if (routeMethod !== method) continue;
+        const patternParts = pattern.split('/').filter(Boolean);
+        if (patternParts.length !== pathParts.length) continue;
+
+        const params = {};
+        const matches = patternParts.every((part, i) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeURIComponent(pathParts[i]);
+                return true;
+            }
+            return part === pathParts[i];
+        });
+        if (matches) return { handler, params };
+    }
+    return null;
+}
+
+/**
+ * fetch()-compatible entry point used by apiFetch() in mock mode.
+ */
+async function mockFetch(endpoint, options = {}) {
+    // Yield once so callers see the same async ordering as a real request
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const method = (options.method || 'GET').toUpperCase();
+    const path = endpoint.split('?')[0];
+    const route = mockMatchRoute(method, path);
+    if (!route) return mockError(`No mock route for ${method} ${path}.`, 404);
+
+    let body = {};
+    if (options.body) {
+        try {
+            body = JSON.parse(options.body);
+        } catch (e) {
+            return mockError('Request body must be JSON.', 400);
+        }
+    }
+
+    try {
+        return route.handler(mockLoadDb(), route.params, body);
+    } catch (e) {
+        // Attachments live inline in localStorage, which holds a few MB per site
+        if (e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED')) {
+            return mockError('The mock backend ran out of browser storage (attachments take the most room). Remove some attachments or reset the mock data.', 413);
+        }
+        throw e;
+    }
+}
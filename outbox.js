@@ -0,0 +1,432 @@
+// --- Mutation Outbox (offline-first editing) ---
+// Every tree mutation is applied optimistically to nodeMap/parentMap (see
+// applyMutationLocally in flowchart.js) and persisted here, in IndexedDB, until the
+// backend accepts it. Entries replay strictly in order:
+//   - network failure / 5xx  -> the queue pauses and retries later (or on 'online')
+//   - 4xx                    -> the server rejected it; the entry is dropped and the tree resyncs
+// Nodes created while offline get a temporary "tmp-" id that is swapped for the
+// server's contentId once their /node/create call succeeds.
+
+const OUTBOX_DB_NAME = 'knowledge-tree-builder';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+const SNAPSHOT_STORE = 'snapshots';
+const OUTBOX_RETRY_INTERVAL = 15000;
+
+let outboxDbPromise = null;
+let outboxEntries = [];            // In-memory mirror of the store, in replay order
+let isFlushingOutbox = false;
+let isOutboxOffline = false;
+let outboxNeedsResync = false;     // Set when the server rejected/merged something we showed optimistically
+let outboxRetryTimer = null;
+let outboxIdMap = loadOutboxIdMap(); // temp id -> server contentId
+let outboxSettledListeners = [];     // fn(entry, error) once the server has answered an entry
+
+// --- IndexedDB helpers ---
+
+function openOutboxDb() {
+    if (!outboxDbPromise) {
+        outboxDbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+                    db.createObjectStore(OUTBOX_STORE, { keyPath: 'seq', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                    db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return outboxDbPromise;
+}
+
+async function idbRun(storeName, mode, operation) {
+    const db = await openOutboxDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+function loadOutboxIdMap() {
+    try {
+        return JSON.parse(localStorage.getItem('outboxIdMap')) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function saveOutboxIdMap() {
+    try {
+        localStorage.setItem('outboxIdMap', JSON.stringify(outboxIdMap));
+    } catch (e) { /* ignore */ }
+}
+
+// --- Tree snapshot (lets the builder open while the backend is unreachable) ---
+
+async function saveTreeSnapshot(treeResponse) {
+    try {
+        await idbRun(SNAPSHOT_STORE, 'readwrite', store =>
+            store.put({ key: `tree:${API_BASE_URL}`, savedAt: Date.now(), nodes: treeResponse }));
+    } catch (e) {
+        console.warn('Could not save offline tree snapshot:', e);
+    }
+}
+
+async function loadTreeSnapshot() {
+    try {
+        return await idbRun(SNAPSHOT_STORE, 'readonly', store => store.get(`tree:${API_BASE_URL}`)) || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// --- Temp ID handling ---
+
+function createTempId() {
+    return `tmp-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function isTempId(id) {
+    return typeof id === 'string' && id.startsWith('tmp-');
+}
+
+function resolveOutboxId(id) {
+    return outboxIdMap[id] || id;
+}
+
+// Returns a copy of the payload with every known temp id replaced by its server id
+function resolveOutboxIds(payload) {
+    const resolved = { ...payload };
+    ['nodeId', 'parentId', 'childId', 'sourceId', 'targetId', 'fromParentId', 'toParentId'].forEach(key => {
+        if (resolved[key]) resolved[key] = resolveOutboxId(resolved[key]);
+    });
+    if (Array.isArray(resolved.childOrder)) {
+        resolved.childOrder = resolved.childOrder.map(resolveOutboxId);
+    }
+    return resolved;
+}
+
+// --- Queue API ---
+
+/**
+ * Applies a mutation locally and queues it for the backend.
+ * kind: createNode | updateNode | deleteNode | createRelation | deleteRelation | moveNode | recordClick
+ *       | updateStatusRegistry | updateFieldSchema
+ * baseline: the node fields the user saw before editing; used to detect server-side conflicts.
+ * tag: optional marker kept with the entry (e.g. an import job id) for onOutboxSettled listeners.
+ */
+function queueMutation(kind, payload, { label = kind, baseline = null, tag = null } = {}) {
+    const record = { kind, payload, label, baseline, tag, createdAt: Date.now() };
+    applyMutationLocally(kind, resolveOutboxIds(payload));
+
+    const entry = { ...record };
+    entry.saved = idbRun(OUTBOX_STORE, 'readwrite', store => store.add(record))
+        .then(seq => { entry.seq = seq; })
+        .catch(e => console.warn('Outbox entry kept in memory only:', e));
+    outboxEntries.push(entry);
+    renderOutboxIndicator();
+
+    entry.saved.then(() => flushOutbox());
+    return entry;
+}
+
+async function removeOutboxEntry(entry) {
+    outboxEntries = outboxEntries.filter(e => e !== entry);
+    await entry.saved;
+    if (entry.seq === undefined) return;
+    try {
+        await idbRun(OUTBOX_STORE, 'readwrite', store => store.delete(entry.seq));
+    } catch (e) {
+        console.warn('Could not remove outbox entry:', e);
+    }
+}
+
+// listener(entry, error): error is null when the server accepted the entry (or it was benign),
+// otherwise the rejection message. Not called while the queue is paused offline.
+function onOutboxSettled(listener) {
+    outboxSettledListeners.push(listener);
+}
+
+function notifyOutboxSettled(entry, error) {
+    outboxSettledListeners.forEach(listener => {
+        try {
+            listener(entry, error);
+        } catch (e) {
+            console.warn('Outbox listener failed:', e);
+        }
+    });
+}
+
+// Re-applies still-pending mutations on top of freshly loaded server state
+function replayOutboxLocally() {
+    outboxEntries.forEach(entry => applyMutationLocally(entry.kind, resolveOutboxIds(entry.payload)));
+}
+
+async function initOutbox() {
+    try {
+        const records = await idbRun(OUTBOX_STORE, 'readonly', store => store.getAll());
+        outboxEntries = (records || [])
+            .sort((a, b) => a.seq - b.seq)
+            .map(record => ({ ...record, saved: Promise.resolve() }));
+    } catch (e) {
+        console.warn('Outbox unavailable, edits will not survive a reload while offline:', e);
+    }
+
+    window.addEventListener('online', () => flushOutbox());
+    renderOutboxIndicator();
+    if (outboxEntries.length > 0) {
+        flushOutbox();
+    }
+}
+
+// --- Replay ---
+
+function jsonRequest(method, body) {
+    return {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+function buildOutboxRequest(entry) {
+    const p = resolveOutboxIds(entry.payload);
+    switch (entry.kind) {
+        case 'createNode':
+            return ['/node/create', jsonRequest('POST', {
+                name: p.name,
+                description: p.description,
+                status: p.status,
+                friendlyId: p.friendlyId,
+                friendlyIdPrefix: p.friendlyIdPrefix,
+                idPrefix: p.idPrefix,
+                links: p.links,
+                attachments: p.attachments,
+                customFields: p.customFields
+            })];
+        case 'updateNode':
+            return [`/node/update/${encodeURIComponent(p.nodeId)}`, jsonRequest('PUT', p.fields)];
+        case 'assignFriendlyId':
+            return [`/node/friendly-id/${encodeURIComponent(p.nodeId)}`, jsonRequest('POST', { prefix: p.prefix })];
+        case 'deleteNode':
+            return [`/node/delete/${encodeURIComponent(p.nodeId)}`, { method: 'DELETE' }];
+        case 'createRelation':
+            return ['/relation/create', jsonRequest('POST', { parentId: p.parentId, childId: p.childId })];
+        case 'deleteRelation':
+            return ['/relation/delete', jsonRequest('DELETE', { parentId: p.parentId, childId: p.childId })];
+        case 'moveNode':
+            return ['/relation/move', jsonRequest('POST', {
+                childId: p.childId,
+                fromParentId: p.fromParentId,
+                toParentId: p.toParentId,
+                childOrder: p.childOrder
+            })];
+        case 'recordClick':
+            return ['/link/click', jsonRequest('POST', { sourceId: p.sourceId, targetId: p.targetId, clickedAt: p.clickedAt })];
+        case 'updateStatusRegistry':
+            return ['/settings/statuses', jsonRequest('PUT', { statuses: p.statuses })];
+        case 'updateFieldSchema':
+            return ['/settings/fields', jsonRequest('PUT', { fields: p.fields })];
+        default:
+            throw new Error(`Unknown outbox mutation: ${entry.kind}`);
+    }
+}
+
+// Errors that mean "already in the state we wanted"
+function isBenignOutboxError(entry, status, message) {
+    if (entry.kind === 'createRelation' && (message || '').includes('Relationship exists')) return true;
+    if ((entry.kind === 'deleteNode' || entry.kind === 'deleteRelation') && status === 404) return true;
+    // Backend without a settings endpoint: the workflow stays in this browser (status-registry.js)
+    if (entry.kind === 'updateStatusRegistry' && status === 404) return true;
+    if (entry.kind === 'updateFieldSchema' && status === 404) return true;
+    // Backend that cannot number older nodes: they stay without an ID (friendly-ids.js)
+    if (entry.kind === 'assignFriendlyId' && (status === 404 || status === 405)) return true;
+    return false;
+}
+
+// Nodes whose IN/OUT click counts change on the server when this mutation lands
+function statsAffectedBy(kind, payload) {
+    switch (kind) {
+        case 'recordClick':
+            return [payload.sourceId, payload.targetId];
+        case 'deleteRelation':
+            return [payload.parentId, payload.childId];
+        case 'moveNode':
+            // The old parent -> child link (and its clicks) goes away
+            return payload.fromParentId !== payload.toParentId ? [payload.fromParentId, payload.childId] : [];
+        case 'deleteNode':
+            return (payload.neighbourIds || []).map(resolveOutboxId);
+        default:
+            return [];
+    }
+}
+
+async function fetchServerNodes() {
+    const response = await apiFetch('/tree');
+    if (!response.ok) throw new Error(`HTTP error! Status: ${response.status} for /tree.`);
+    const nodes = {};
+    (await response.json()).forEach(node => { nodes[node.contentId] = node; });
+    return nodes;
+}
+
+// Baselines hold strings and, for links/attachments/custom fields, arrays and objects.
+// Those compare by content (object keys in any order); missing equals empty.
+function canonicalBaselineValue(value) {
+    if (value === undefined || value === null || value === '') return '';
+    if (typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) {
+        return value.length === 0 ? '' : `[${value.map(canonicalBaselineValue).join(',')}]`;
+    }
+    const keys = Object.keys(value).filter(key => canonicalBaselineValue(value[key]) !== '').sort();
+    return keys.length === 0 ? '' : `{${keys.map(key => `${JSON.stringify(key)}:${canonicalBaselineValue(value[key])}`).join(',')}}`;
+}
+
+function sameBaselineValue(serverValue, baselineValue) {
+    return canonicalBaselineValue(serverValue) === canonicalBaselineValue(baselineValue);
+}
+
+// Returns true when the entry should still be sent
+function confirmOutboxConflict(entry, serverNodes) {
+    const nodeId = resolveOutboxId(entry.payload.nodeId);
+    const serverNode = serverNodes[nodeId];
+
+    if (!serverNode) {
+        if (entry.kind === 'updateNode') {
+            showMessage(`Pending change "${entry.label}" was dropped: the node no longer exists on the server.`, 'error');
+            return false;
+        }
+        return true; // deleting something already gone is harmless
+    }
+
+    const changed = Object.keys(entry.baseline)
+        .filter(key => !sameBaselineValue(serverNode[key], entry.baseline[key]));
+    if (changed.length === 0) return true;
+
+    return confirm(
+        `"${serverNode.name}" was changed on the server (${changed.join(', ')}) while "${entry.label}" was waiting to sync.\n\n` +
+        `OK: apply your change anyway.\nCancel: discard your change and keep the server version.`
+    );
+}
+
+function scheduleOutboxRetry() {
+    isOutboxOffline = true;
+    clearTimeout(outboxRetryTimer);
+    outboxRetryTimer = setTimeout(() => flushOutbox(), OUTBOX_RETRY_INTERVAL);
+}
+
+async function flushOutbox() {
+    if (isFlushingOutbox || outboxEntries.length === 0) return;
+    isFlushingOutbox = true;
+    clearTimeout(outboxRetryTimer);
+    renderOutboxIndicator();
+
+    let serverNodes = null; // fetched lazily, only when an entry needs a conflict check
+    const touchedNodeIds = new Set();
+    let swappedTempIds = false;
+    let assignedFriendlyIds = false;
+
+    try {
+        while (outboxEntries.length > 0) {
+            const entry = outboxEntries[0];
+
+            let response;
+            let data = {};
+            try {
+                if (entry.baseline && !isTempId(entry.payload.nodeId)) {
+                    if (!serverNodes) serverNodes = await fetchServerNodes();
+                    if (!confirmOutboxConflict(entry, serverNodes)) {
+                        outboxNeedsResync = true;
+                        await removeOutboxEntry(entry);
+                        notifyOutboxSettled(entry, 'Discarded in favour of the server version');
+                        continue;
+                    }
+                }
+
+                const [endpoint, options] = buildOutboxRequest(entry);
+                response = await apiFetch(endpoint, options);
+                try {
+                    data = await response.json();
+                } catch (e) { /* Ignore non-JSON bodies */ }
+            } catch (networkError) {
+                scheduleOutboxRetry();
+                return;
+            }
+
+            if (response.status >= 500) {
+                scheduleOutboxRetry();
+                return;
+            }
+
+            isOutboxOffline = false;
+            const payload = resolveOutboxIds(entry.payload);
+            let rejection = null;
+
+            if (!response.ok && !isBenignOutboxError(entry, response.status, data.error)) {
+                rejection = data.error || `HTTP ${response.status}`;
+                showMessage(`Server rejected "${entry.label}": ${rejection}. Resyncing...`, 'error');
+                outboxNeedsResync = true;
+            } else if (entry.kind === 'createNode' && data.contentId) {
+                outboxIdMap[entry.payload.tempId] = data.contentId;
+                saveOutboxIdMap();
+                replaceTempNodeId(entry.payload.tempId, data.contentId);
+                setServerFriendlyId(data.contentId, data.friendlyId);
+                swappedTempIds = true;
+            } else if (entry.kind === 'assignFriendlyId') {
+                handleFriendlyIdAssigned(payload.nodeId, response.ok ? data.friendlyId : null);
+                assignedFriendlyIds = true;
+            } else if (entry.kind === 'updateNode' && serverNodes && serverNodes[payload.nodeId]) {
+                // Keep the conflict baseline current for later edits of the same node
+                Object.assign(serverNodes[payload.nodeId], payload.fields);
+            }
+
+            statsAffectedBy(entry.kind, payload).forEach(id => touchedNodeIds.add(id));
+            await removeOutboxEntry(entry);
+            notifyOutboxSettled(entry, rejection);
+        }
+    } finally {
+        isFlushingOutbox = false;
+        renderOutboxIndicator();
+        if (swappedTempIds || assignedFriendlyIds) {
+            // Card element ids and handlers still carry the temp ids, or cards lack their new ID
+            loadAndRenderVisuals(stableRootId);
+        }
+    }
+
+    // Queue drained
+    outboxIdMap = {};
+    saveOutboxIdMap();
+    if (outboxNeedsResync) {
+        outboxNeedsResync = false;
+        loadAndRenderTree();
+        return;
+    }
+    invalidateNodeStats([...touchedNodeIds]);
+}
+
+// --- "N pending changes" indicator ---
+
+function renderOutboxIndicator() {
+    const indicator = document.getElementById('outbox-indicator');
+    if (!indicator) return;
+
+    const count = outboxEntries.length;
+    indicator.style.display = count > 0 ? 'flex' : 'none';
+
+    document.getElementById('outbox-count-label').textContent =
+        `${count} pending change${count === 1 ? '' : 's'}`;
+    document.getElementById('outbox-state-label').textContent =
+        isFlushingOutbox ? 'Syncing...' : (isOutboxOffline ? 'Offline – saved in this browser' : '');
+    // The import modal shows when its job is paused (import.js)
+    renderImportProgress();
+}
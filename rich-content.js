@@ -0,0 +1,508 @@
+// --- Rich Node Content ---
+// Descriptions are Markdown. renderMarkdown() escapes the source first and only ever
+// produces a small set of tags, so HTML typed into a description shows up as text;
+// links may only point to http(s)/mailto or to one of the node's own attachments
+// ("attachment:<id>"). Next to the description a node carries labelled links
+// (node.links: [{ label, url }]) and small files stored inline as data URLs
+// (node.attachments: [{ id, name, type, size, dataUrl }]). The card's link button
+// lists all of them (openNodeLinkMenu).
+
+const ATTACHMENT_MAX_BYTES = 256 * 1024;
+const ATTACHMENTS_PER_NODE = 8;
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:)/i;
+const IMAGE_DATA_URL_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,/i;
+// `code`, ![alt](url), [text](url) or a bare http(s) URL (trailing punctuation left out)
+const INLINE_MARKDOWN_PATTERN = /`([^`\n]+)`|!\[([^\]\n]*)\]\(([^)\s]+)\)|\[([^\]\n]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"])/g;
+
+let editAttachments = [];   // attachments shown in the edit modal until it is saved
+
+function findAttachment(node, attachmentId) {
+    return ((node && node.attachments) || []).find(attachment => attachment.id === attachmentId) || null;
+}
+
+// http(s)/mailto and parseable: "http://" alone passes the pattern but is no address
+function isSafeLinkUrl(url) {
+    if (typeof url !== 'string' || !SAFE_URL_PATTERN.test(url)) return false;
+    try {
+        new URL(url);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    return bytes < 1024 * 1024 ? `${Math.round(bytes / 1024)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// --- Markdown rendering ---
+
+// Bold, italic and strikethrough on already-escaped text
+function renderMarkdownEmphasis(escaped) {
+    return escaped
+        .replace(/\*\*(?=\S)([^*]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)([^_]*?\S)__/g, '<strong>$1</strong>')
+        .replace(/~~(?=\S)([^~]*?\S)~~/g, '<del>$1</del>')
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+function renderMarkdownLink(label, url, node) {
+    const labelHtml = renderMarkdownEmphasis(escapeHtml(label));
+    if (url.startsWith('attachment:')) {
+        const attachment = findAttachment(node, url.slice('attachment:'.length));
+        if (!attachment) return labelHtml;
+        return `<a href="#" class="attachment-link" data-action="open-attachment" data-node-id="${escapeHtml(node.contentId)}" data-attachment-id="${escapeHtml(attachment.id)}">${labelHtml}</a>`;
+    }
+    if (!isSafeLinkUrl(url)) return labelHtml;
+    return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+}
+
+function renderMarkdownImage(alt, url, node) {
+    let src = null;
+    if (url.startsWith('attachment:')) {
+        const attachment = findAttachment(node, url.slice('attachment:'.length));
+        if (attachment && IMAGE_DATA_URL_PATTERN.test(attachment.dataUrl)) src = attachment.dataUrl;
+    } else if (/^https:\/\//i.test(url)) {
+        src = url;
+    }
+    if (!src) return escapeHtml(alt);
+    return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}" loading="lazy">`;
+}
+
+function renderInlineMarkdown(text, node) {
+    let html = '';
+    let last = 0;
+    text.replace(INLINE_MARKDOWN_PATTERN, (match, code, imageAlt, imageUrl, linkText, linkUrl, bareUrl, offset) => {
+        html += renderMarkdownEmphasis(escapeHtml(text.slice(last, offset)));
+        last = offset + match.length;
+        if (code !== undefined) {
+            html += `<code>${escapeHtml(code)}</code>`;
+        } else if (imageUrl !== undefined) {
+            html += renderMarkdownImage(imageAlt, imageUrl, node);
+        } else if (linkUrl !== undefined) {
+            html += renderMarkdownLink(linkText, linkUrl, node);
+        } else {
+            html += renderMarkdownLink(bareUrl, bareUrl, node);
+        }
+        return match;
+    });
+    return html + renderMarkdownEmphasis(escapeHtml(text.slice(last)));
+}
+
+const MARKDOWN_LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const MARKDOWN_BLOCK_START = /^\s*(```|#{1,6}\s|>|([-*_])(\s*\2){2,}\s*$)/;
+
+/**
+ * Markdown subset: paragraphs (single newlines kept), # headings, - / 1. lists, > quotes,
+ * ``` code blocks, --- rules, **bold**, *italic*, ~~strike~~, `code`, links and images.
+ * @param {string} text
+ * @param {object} node  owner of any attachment: links/images
+ * @returns {string} HTML that is safe to assign to innerHTML
+ */
+function renderMarkdown(text, node = {}) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        if (/^\s*```/.test(line)) {
+            const code = [];
+            i++;
+            while (i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i++]);
+            i++; // closing fence
+            blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+        if (heading) {
+            // Inside dialogs and cards: # is an h3
+            const level = Math.min(heading[1].length + 2, 6);
+            blocks.push(`<h${level}>${renderInlineMarkdown(heading[2].replace(/\s#+\s*$/, ''), node)}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            blocks.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+            blocks.push(`<blockquote>${renderMarkdown(quoted.join('\n'), node)}</blockquote>`);
+            continue;
+        }
+
+        const listItem = MARKDOWN_LIST_ITEM.exec(line);
+        if (listItem) {
+            const ordered = /\d/.test(listItem[1]);
+            const items = [];
+            while (i < lines.length && lines[i].trim()) {
+                const item = MARKDOWN_LIST_ITEM.exec(lines[i]);
+                if (item && /\d/.test(item[1]) !== ordered) break;
+                if (item) {
+                    items.push([item[2]]);
+                } else if (/^\s+/.test(lines[i])) {
+                    items[items.length - 1].push(lines[i].trim()); // indented continuation
+                } else {
+                    break;
+                }
+                i++;
+            }
+            const tag = ordered ? 'ol' : 'ul';
+            blocks.push(`<${tag}>${items.map(item => `<li>${item.map(part => renderInlineMarkdown(part, node)).join('<br>')}</li>`).join('')}</${tag}>`);
+            continue;
+        }
+
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !MARKDOWN_BLOCK_START.test(lines[i])) &&
+            !(paragraph.length > 0 && MARKDOWN_LIST_ITEM.test(lines[i]))) {
+            paragraph.push(lines[i++]);
+        }
+        blocks.push(`<p>${paragraph.map(part => renderInlineMarkdown(part, node)).join('<br>')}</p>`);
+    }
+    return blocks.join('');
+}
+
+// --- Links and attachments ---
+
+// Labelled links, then links written in the description, then attachments (no duplicates)
+function getNodeLinkTargets(node) {
+    const targets = [];
+    const seenUrls = new Set();
+    const addUrl = (label, url) => {
+        if (!isSafeLinkUrl(url) || seenUrls.has(url)) return;
+        seenUrls.add(url);
+        targets.push({ label: label || url, url });
+    };
+
+    (node.links || []).forEach(link => addUrl(link.label, link.url));
+    const description = node.description || '';
+    description.replace(INLINE_MARKDOWN_PATTERN, (match, code, imageAlt, imageUrl, linkText, linkUrl, bareUrl) => {
+        if (linkUrl) addUrl(linkText, linkUrl);
+        if (bareUrl) addUrl(bareUrl, bareUrl);
+        return match;
+    });
+    (node.attachments || []).forEach(attachment => {
+        targets.push({ label: attachment.name, attachmentId: attachment.id, size: attachment.size });
+    });
+    return targets;
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const type = (/^data:([^;,]+)/.exec(header) || [])[1] || 'application/octet-stream';
+    const bytes = atob(data);
+    const buffer = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+    return new Blob([buffer], { type });
+}
+
+// Images open in a new tab, other files are downloaded
+function openAttachment(nodeId, attachmentId) {
+    const attachment = findAttachment(nodeMap[nodeId], attachmentId);
+    if (!attachment) return;
+    const blob = dataUrlToBlob(attachment.dataUrl);
+    if (IMAGE_DATA_URL_PATTERN.test(attachment.dataUrl)) {
+        const url = URL.createObjectURL(blob);
+        window.open(url, '_blank', 'noopener');
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } else {
+        downloadBlob(blob, attachment.name);
+    }
+}
+
+function closeNodeLinkMenu() {
+    const menu = document.getElementById('node-link-menu');
+    if (menu) menu.remove();
+}
+
+function openNodeLinkMenu(nodeId, anchor) {
+    closeNodeLinkMenu();
+    const node = nodeMap[nodeId];
+    const targets = node ? getNodeLinkTargets(node) : [];
+    if (targets.length === 0) return;
+
+    const menu = document.createElement('div');
+    menu.id = 'node-link-menu';
+    menu.setAttribute('role', 'menu');
+    menu.setAttribute('aria-label', `Links of ${node.name}`);
+    menu.className = 'fixed z-50 bg-white border border-gray-200 rounded-lg shadow-xl py-1 text-sm max-w-xs';
+
+    targets.forEach(target => {
+        const item = document.createElement(target.url ? 'a' : 'button');
+        item.setAttribute('role', 'menuitem');
+        item.className = 'flex items-center gap-2 w-full px-3 py-1.5 text-left text-gray-800 hover:bg-indigo-50 focus:bg-indigo-50 focus:outline-none';
+        const label = document.createElement('span');
+        label.className = 'truncate';
+        label.textContent = target.label;
+        const hint = document.createElement('span');
+        hint.className = 'ml-auto text-[10px] text-gray-400 whitespace-nowrap';
+
+        if (target.url) {
+            item.href = target.url;
+            item.target = '_blank';
+            item.rel = 'noopener noreferrer';
+            item.title = target.url;
+            hint.textContent = target.url.startsWith('mailto:') ? 'email' : new URL(target.url).hostname;
+        } else {
+            item.type = 'button';
+            item.title = `Open ${target.label}`;
+            hint.textContent = `file · ${formatFileSize(target.size || 0)}`;
+            item.addEventListener('click', () => openAttachment(nodeId, target.attachmentId));
+        }
+        item.addEventListener('click', closeNodeLinkMenu);
+        item.append(label, hint);
+        menu.appendChild(item);
+    });
+
+    document.body.appendChild(menu);
+    const rect = anchor.getBoundingClientRect();
+    const width = menu.offsetWidth;
+    const height = menu.offsetHeight;
+    menu.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - width - 8))}px`;
+    menu.style.top = `${rect.bottom + height + 8 > window.innerHeight ? Math.max(8, rect.top - height - 4) : rect.bottom + 4}px`;
+    menu.querySelector('[role="menuitem"]').focus();
+}
+
+function handleLinkMenuKeydown(e) {
+    const menu = document.getElementById('node-link-menu');
+    if (!menu || !menu.contains(e.target)) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const items = Array.from(menu.querySelectorAll('[role="menuitem"]'));
+        const index = items.indexOf(document.activeElement) + (e.key === 'ArrowDown' ? 1 : -1);
+        items[(index + items.length) % items.length].focus();
+    }
+}
+
+// --- Edit modal: preview, links, attachments ---
+
+function updateDescriptionPreview() {
+    const contentId = document.getElementById('edit-content-id').value;
+    const node = { ...(nodeMap[contentId] || {}), attachments: editAttachments };
+    const text = document.getElementById('edit-description').value;
+    const preview = document.getElementById('edit-description-preview');
+    preview.innerHTML = text.trim() ? renderMarkdown(text, node) : '<p class="text-gray-400 italic">Nothing to preview.</p>';
+}
+
+function addEditLinkRow(link = { label: '', url: '' }) {
+    const row = document.createElement('div');
+    row.className = 'edit-link-row flex gap-2';
+    const label = document.createElement('input');
+    label.type = 'text';
+    label.name = 'link-label';
+    label.placeholder = 'Label';
+    label.value = link.label;
+    label.className = 'w-1/3 p-2 text-sm border border-gray-300 rounded-lg';
+    const url = document.createElement('input');
+    url.type = 'url';
+    url.name = 'link-url';
+    url.placeholder = 'https://...';
+    url.value = link.url;
+    url.className = 'flex-1 p-2 text-sm border border-gray-300 rounded-lg';
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'px-2 text-gray-400 hover:text-red-600';
+    remove.title = 'Remove link';
+    remove.setAttribute('aria-label', 'Remove link');
+    remove.textContent = '✕';
+    remove.addEventListener('click', () => row.remove());
+    row.append(label, url, remove);
+    document.getElementById('edit-links-list').appendChild(row);
+    return row;
+}
+
+// [{ label, url }] from the edit modal, or null (with a message) if a URL is not allowed
+function readEditLinks() {
+    const links = [];
+    for (const row of document.querySelectorAll('#edit-links-list .edit-link-row')) {
+        const label = row.querySelector('input[name="link-label"]').value.trim();
+        const url = row.querySelector('input[name="link-url"]').value.trim();
+        if (!url) continue;
+        if (!isSafeLinkUrl(url)) {
+            showMessage(`Links must be full http://, https:// or mailto: addresses ("${url}").`, 'error');
+            return null;
+        }
+        links.push({ label: label || url, url });
+    }
+    return links;
+}
+
+function renderEditAttachments() {
+    const list = document.getElementById('edit-attachments-list');
+    list.innerHTML = '';
+    editAttachments.forEach(attachment => {
+        const item = document.createElement('li');
+        item.className = 'flex items-center gap-2 p-1 border border-gray-200 rounded-lg text-sm';
+
+        if (IMAGE_DATA_URL_PATTERN.test(attachment.dataUrl)) {
+            const thumbnail = document.createElement('img');
+            thumbnail.src = attachment.dataUrl;
+            thumbnail.alt = '';
+            thumbnail.className = 'w-8 h-8 object-cover rounded';
+            item.appendChild(thumbnail);
+        }
+        const name = document.createElement('span');
+        name.className = 'flex-1 truncate';
+        name.textContent = `${attachment.name} (${formatFileSize(attachment.size)})`;
+
+        const insert = document.createElement('button');
+        insert.type = 'button';
+        insert.className = 'text-xs text-indigo-600 hover:underline';
+        insert.textContent = 'Insert';
+        insert.title = 'Insert into the description';
+        insert.addEventListener('click', () => insertAttachmentReference(attachment));
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'px-1 text-gray-400 hover:text-red-600';
+        remove.title = 'Remove attachment';
+        remove.setAttribute('aria-label', `Remove ${attachment.name}`);
+        remove.textContent = '✕';
+        remove.addEventListener('click', () => {
+            editAttachments = editAttachments.filter(other => other.id !== attachment.id);
+            renderEditAttachments();
+            updateDescriptionPreview();
+        });
+
+        item.append(name, insert, remove);
+        list.appendChild(item);
+    });
+}
+
+function insertAttachmentReference(attachment) {
+    const textarea = document.getElementById('edit-description');
+    const isImage = IMAGE_DATA_URL_PATTERN.test(attachment.dataUrl);
+    const reference = `${isImage ? '!' : ''}[${attachment.name.replace(/[[\]]/g, '')}](attachment:${attachment.id})`;
+    const start = textarea.selectionStart;
+    textarea.value = textarea.value.slice(0, start) + reference + textarea.value.slice(textarea.selectionEnd);
+    textarea.focus();
+    textarea.selectionStart = textarea.selectionEnd = start + reference.length;
+    updateDescriptionPreview();
+}
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+async function handleAttachmentFiles(input) {
+    const files = Array.from(input.files || []);
+    input.value = '';
+    for (const file of files) {
+        if (editAttachments.length >= ATTACHMENTS_PER_NODE) {
+            showMessage(`A node can have at most ${ATTACHMENTS_PER_NODE} attachments.`, 'error');
+            break;
+        }
+        if (file.size > ATTACHMENT_MAX_BYTES) {
+            showMessage(`'${file.name}' is ${formatFileSize(file.size)}; attachments are limited to ${formatFileSize(ATTACHMENT_MAX_BYTES)}.`, 'error');
+            continue;
+        }
+        try {
+            editAttachments.push({
+                id: `att-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+                name: file.name,
+                type: file.type || 'application/octet-stream',
+                size: file.size,
+                dataUrl: await readFileAsDataUrl(file)
+            });
+        } catch (e) {
+            showMessage(`Could not read '${file.name}': ${e.message}`, 'error');
+        }
+    }
+    renderEditAttachments();
+    updateDescriptionPreview();
+}
+
+// Called by openEditModal()
+function fillRichContentEditor(node) {
+    document.getElementById('edit-links-list').innerHTML = '';
+    (node.links || []).forEach(link => addEditLinkRow(link));
+    editAttachments = (node.attachments || []).slice();
+    renderEditAttachments();
+    updateDescriptionPreview();
+}
+
+// --- Info modal ---
+
+function renderInfoRichContent(node) {
+    document.getElementById('info-node-description').innerHTML = node.description
+        ? renderMarkdown(node.description, node)
+        : '<p class="text-gray-500 italic">No description provided.</p>';
+
+    const links = document.getElementById('info-links');
+    links.innerHTML = '';
+    // Whatever the backend stored, only http(s)/mailto links become anchors
+    (node.links || []).filter(link => link && isSafeLinkUrl(link.url)).forEach(link => {
+        const item = document.createElement('li');
+        const anchor = document.createElement('a');
+        anchor.href = link.url;
+        anchor.target = '_blank';
+        anchor.rel = 'noopener noreferrer';
+        anchor.className = 'text-blue-600 underline';
+        anchor.textContent = link.label || link.url;
+        anchor.title = link.url;
+        item.appendChild(anchor);
+        links.appendChild(item);
+    });
+    document.getElementById('info-links-section').classList.toggle('hidden', links.children.length === 0);
+
+    const attachments = document.getElementById('info-attachments');
+    attachments.innerHTML = '';
+    (node.attachments || []).forEach(attachment => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'flex flex-col items-center gap-1 p-2 w-28 border border-gray-200 rounded-lg hover:bg-gray-50 text-xs text-gray-700';
+        button.title = `Open ${attachment.name}`;
+        if (IMAGE_DATA_URL_PATTERN.test(attachment.dataUrl)) {
+            const image = document.createElement('img');
+            image.src = attachment.dataUrl;
+            image.alt = attachment.name;
+            image.className = 'w-24 h-16 object-cover rounded';
+            button.appendChild(image);
+        }
+        const name = document.createElement('span');
+        name.className = 'w-full truncate';
+        name.textContent = attachment.name;
+        const size = document.createElement('span');
+        size.className = 'text-[10px] text-gray-400';
+        size.textContent = formatFileSize(attachment.size);
+        button.append(name, size);
+        button.addEventListener('click', () => openAttachment(node.contentId, attachment.id));
+        attachments.appendChild(button);
+    });
+    document.getElementById('info-attachments-section').classList.toggle('hidden', attachments.children.length === 0);
+}
+
+function initRichContent() {
+    document.getElementById('edit-description').addEventListener('input', updateDescriptionPreview);
+    document.addEventListener('keydown', handleLinkMenuKeydown);
+    registerDataActions({
+        'link-menu': (data, button) => openNodeLinkMenu(data.nodeId, button),
+        // attachment: links in rendered Markdown
+        'open-attachment': (data, link, e) => {
+            e.preventDefault();
+            openAttachment(data.nodeId, data.attachmentId);
+        }
+    });
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('#node-link-menu, .link-btn')) closeNodeLinkMenu();
+    });
+    vizWrapper.addEventListener('scroll', closeNodeLinkMenu, { passive: true });
+}
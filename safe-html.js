@@ -0,0 +1,36 @@
+// --- Safe HTML ---
+// Node names, descriptions, statuses and IDs are typed by teammates (or come from an
+// import), so every template that builds markup passes them through escapeHtml(), in
+// text and attribute values alike. Generated markup never carries inline handlers;
+// a clickable element names an action and its arguments instead
+//
+//   <button data-action="open-edit" data-node-id="...">
+//
+// and one delegated listener calls DATA_ACTIONS['open-edit'](element.dataset, element).
+// Node names are looked up from nodeMap by the action, never passed through the markup.
+
+const DATA_ACTIONS = {};
+
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function registerDataActions(actions) {
+    Object.assign(DATA_ACTIONS, actions);
+}
+
+function handleDataActionClick(e) {
+    const element = e.target.closest('[data-action]');
+    if (!element || element.disabled) return;
+    const action = DATA_ACTIONS[element.dataset.action];
+    if (action) action(element.dataset, element, e);
+}
+
+function initDataActions() {
+    document.addEventListener('click', handleDataActionClick);
+}
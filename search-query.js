@@ -0,0 +1,387 @@
+// --- Search Query Language ---
+// Shared by the filter panel (applyFilters) and the Search & Link modal (handleSearch).
+// Pure functions, no DOM access. Supported syntax:
+//
+//   seo design            both words (fuzzy, typo tolerant) in name or description
+//   "web design"          exact phrase
+//   name:seo  desc:pricing  status:new  id:05  id:srv-012
+//   in>5  out=0  depth<3  (also >=, <=, !=)
+//   a OR b   a AND b   NOT a   ( ... )   – operators are upper case, AND is implicit
+//
+// Custom fields (custom-fields.js) by key or label:
+//
+//   owner:anna  priority:high  tags:seo  owner:*   (* = has any value)
+//   due<today  due>=2026-11-01  budget>500         (number and date fields)
+//
+// scoreSearchQuery() returns null for "no match" and a number otherwise; higher is better.
+
+const SEARCH_FIELDS = { name: 'name', desc: 'description', description: 'description', status: 'status', id: 'id' };
+const SEARCH_NAME_WEIGHT = 2; // A hit in the name outranks the same hit in the description
+
+// Splits on whitespace and parentheses, keeping "quoted phrases" (also after field:) together
+function tokenizeSearchQuery(text) {
+    const tokens = [];
+    let current = '';
+    let inQuotes = false;
+    const flush = () => {
+        if (current) tokens.push(current);
+        current = '';
+    };
+
+    for (const ch of text) {
+        if (ch === '"') {
+            inQuotes = !inQuotes;
+            current += ch;
+        } else if (!inQuotes && /\s/.test(ch)) {
+            flush();
+        } else if (!inQuotes && (ch === '(' || ch === ')')) {
+            flush();
+            tokens.push(ch);
+        } else {
+            current += ch;
+        }
+    }
+    flush();
+    return tokens;
+}
+
+function parseSearchTerm(token) {
+    if (!token) return null;
+
+    const metric = token.match(/^(in|out|depth)(>=|<=|!=|>|<|=)(\d+)$/i);
+    if (metric) {
+        return { type: 'compare', metric: metric[1].toLowerCase(), op: metric[2], value: Number(metric[3]) };
+    }
+
+    const fieldCompare = parseCustomFieldCompare(token);
+    if (fieldCompare) return fieldCompare;
+
+    let field = null;
+    let value = token;
+    const scoped = token.match(/^([a-z]+):(.*)$/i);
+    const customField = scoped && !SEARCH_FIELDS[scoped[1].toLowerCase()] ? findCustomField(scoped[1]) : null;
+    if (scoped && SEARCH_FIELDS[scoped[1].toLowerCase()]) {
+        field = SEARCH_FIELDS[scoped[1].toLowerCase()];
+        value = scoped[2];
+    } else if (customField) {
+        if (scoped[2] === '*') return { type: 'fieldSet', key: customField.key };
+        field = 'custom';
+        value = scoped[2];
+    }
+
+    const phrase = value.startsWith('"');
+    value = value.replace(/"/g, '').trim().toLowerCase();
+    if (!value) return null;
+    if (customField) return { type: 'text', field, key: customField.key, fieldType: customField.type, value, phrase };
+    return { type: 'text', field, value, phrase };
+}
+
+// "due<today", "budget>=500" for number/date fields, else null
+function parseCustomFieldCompare(token) {
+    const match = token.match(/^([a-z][a-z0-9-]*)(>=|<=|!=|>|<|=)(.+)$/i);
+    const field = match ? findCustomField(match[1]) : null;
+    if (!field) return null;
+
+    let value = match[3].replace(/"/g, '').toLowerCase();
+    if (field.type === 'number') {
+        if (!Number.isFinite(Number(value))) return null;
+        value = Number(value);
+    } else if (field.type === 'date') {
+        if (value === 'today') {
+            const now = new Date();
+            value = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+        }
+        if (!/^\d{4}(-\d{2}){0,2}$/.test(value)) return null;
+    } else {
+        return null;
+    }
+    return { type: 'fieldCompare', key: field.key, fieldType: field.type, op: match[2], value };
+}
+
+/**
+ * Parses a query into a tree of {type: 'and'|'or', children}, {type: 'not', child},
+ * {type: 'compare', metric, op, value}, {type: 'text', field, value, phrase} nodes and,
+ * for custom fields, {type: 'fieldCompare', key, fieldType, op, value} / {type: 'fieldSet', key}.
+ * Never throws: unbalanced quotes/parentheses are closed implicitly. Returns null for an empty query.
+ */
+function parseSearchQuery(text) {
+    const tokens = tokenizeSearchQuery(text || '');
+    let pos = 0;
+
+    const combine = (type, children) => (children.length <= 1 ? (children[0] || null) : { type, children });
+
+    function parseOr() {
+        const children = [];
+        const first = parseAnd();
+        if (first) children.push(first);
+        while (tokens[pos] === 'OR') {
+            pos++;
+            const next = parseAnd();
+            if (next) children.push(next);
+        }
+        return combine('or', children);
+    }
+
+    function parseAnd() {
+        const children = [];
+        while (pos < tokens.length && tokens[pos] !== 'OR' && tokens[pos] !== ')') {
+            if (tokens[pos] === 'AND') {
+                pos++;
+                continue;
+            }
+            const node = parseNot();
+            if (node) children.push(node);
+        }
+        return combine('and', children);
+    }
+
+    function parseNot() {
+        if (tokens[pos] === 'NOT') {
+            pos++;
+            const operand = parseNot();
+            return operand ? { type: 'not', child: operand } : null;
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = tokens[pos];
+        if (token === ')' || token === 'OR') return null; // e.g. "NOT )" – leave it to the caller
+        pos++;
+        if (token === '(') {
+            const inner = parseOr();
+            if (tokens[pos] === ')') pos++;
+            return inner;
+        }
+        return parseSearchTerm(token);
+    }
+
+    // Stray closing parentheses end parseOr early; skip them and AND the pieces together
+    const parts = [];
+    while (pos < tokens.length) {
+        const part = parseOr();
+        if (part) parts.push(part);
+        if (tokens[pos] === ')') pos++;
+    }
+    return combine('and', parts);
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+function searchEditDistance(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows[i] = [i];
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i][j] = j;
+                continue;
+            }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// 1 = whole word, 0.9 = word prefix, 0.8 = substring, 0.6/0.45 = one/two typos, 0 = no match
+function scoreSearchText(text, term) {
+    const haystack = (text || '').toLowerCase();
+    if (!haystack) return 0;
+    if (term.phrase) return haystack.includes(term.value) ? 1 : 0;
+
+    const words = haystack.split(/[^a-z0-9]+/).filter(Boolean);
+    if (words.includes(term.value)) return 1;
+    if (words.some(word => word.startsWith(term.value))) return 0.9;
+    if (haystack.includes(term.value)) return 0.8;
+
+    const allowedTypos = term.value.length <= 3 ? 0 : (term.value.length <= 6 ? 1 : 2);
+    if (allowedTypos === 0) return 0;
+
+    let best = Infinity;
+    words.forEach(word => {
+        if (Math.abs(word.length - term.value.length) > allowedTypos) return;
+        best = Math.min(best, searchEditDistance(word, term.value));
+    });
+    if (best > allowedTypos) return 0;
+    return best === 1 ? 0.6 : 0.45;
+}
+
+// Field values as one text, for plain words
+function customFieldSearchText(node) {
+    return Object.values(node.customFields || {})
+        .map(value => (Array.isArray(value) ? value.join(' ') : String(value)))
+        .join(' ');
+}
+
+// 1 = exact value (or tag), 0.8 = prefix (choices, tags, dates), text fields as scoreSearchText
+function scoreCustomFieldTerm(term, node) {
+    const value = (node.customFields || {})[term.key];
+    if (value === undefined || value === null || value === '') return 0;
+    switch (term.fieldType) {
+        case 'tags':
+        case 'enum':
+        case 'date':
+        case 'number': {
+            const values = (Array.isArray(value) ? value : [value]).map(item => String(item).toLowerCase());
+            if (values.includes(term.value)) return 1;
+            return term.fieldType !== 'number' && values.some(item => item.startsWith(term.value)) ? 0.8 : 0;
+        }
+        default:
+            return scoreSearchText(String(value), term);
+    }
+}
+
+function scoreTextTerm(term, node) {
+    switch (term.field) {
+        case 'name':
+            return scoreSearchText(node.name, term) * SEARCH_NAME_WEIGHT;
+        case 'description':
+            return scoreSearchText(node.description, term);
+        case 'status': {
+            const status = (node.status || '').toLowerCase();
+            if (status === term.value) return 1;
+            return status.startsWith(term.value) ? 0.8 : 0;
+        }
+        case 'id': {
+            // Friendly ID ("srv-012"; "12" or "srv-12" also find SRV-012; "07" finds a provisional
+            // "~07") or the start of the system ID
+            const friendlyId = node.friendlyId || node.provisionalFriendlyId || '';
+            if (friendlyId.toLowerCase() === term.value) return 1;
+            const wanted = parseFriendlyId(term.value);
+            const actual = parseFriendlyId(friendlyId);
+            if (wanted && actual && wanted.number === actual.number && (!wanted.prefix || wanted.prefix === actual.prefix)) {
+                return 0.9;
+            }
+            return (node.contentId || '').toLowerCase().startsWith(term.value) ? 0.8 : 0;
+        }
+        case 'custom':
+            return scoreCustomFieldTerm(term, node);
+        default:
+            return Math.max(
+                scoreSearchText(node.name, term) * SEARCH_NAME_WEIGHT,
+                scoreSearchText(node.description, term),
+                scoreSearchText(customFieldSearchText(node), term)
+            );
+    }
+}
+
+function compareSearchMetric(actual, op, expected) {
+    switch (op) {
+        case '>': return actual > expected;
+        case '<': return actual < expected;
+        case '>=': return actual >= expected;
+        case '<=': return actual <= expected;
+        case '!=': return actual !== expected;
+        default: return actual === expected;
+    }
+}
+
+/**
+ * @param {object} ast      parseSearchQuery() result
+ * @param {object} node     nodeMap entry
+ * @param {object} context
+ *   getStats(id) -> {inboundCount, outboundCount} (missing counts as 0)
+ *   getDepth(id) -> number, or undefined if unknown (depth terms then never match)
+ * @returns {?number} null when the node does not match
+ */
+function scoreSearchQuery(ast, node, context) {
+    switch (ast.type) {
+        case 'and': {
+            let total = 0;
+            for (const child of ast.children) {
+                const score = scoreSearchQuery(child, node, context);
+                if (score === null) return null;
+                total += score;
+            }
+            return total;
+        }
+        case 'or': {
+            let best = null;
+            ast.children.forEach(child => {
+                const score = scoreSearchQuery(child, node, context);
+                if (score !== null && (best === null || score > best)) best = score;
+            });
+            return best;
+        }
+        case 'not':
+            return scoreSearchQuery(ast.child, node, context) === null ? 0 : null;
+        case 'compare': {
+            let actual;
+            if (ast.metric === 'depth') {
+                actual = context.getDepth(node.contentId);
+                if (actual === undefined) return null;
+            } else {
+                const stats = context.getStats(node.contentId) || {};
+                actual = (ast.metric === 'in' ? stats.inboundCount : stats.outboundCount) || 0;
+            }
+            return compareSearchMetric(actual, ast.op, ast.value) ? 1 : null;
+        }
+        case 'fieldCompare': {
+            const value = (node.customFields || {})[ast.key];
+            if (value === undefined || value === null || value === '') return null;
+            // ISO dates compare as text; "2026-11" stands for the start of the month
+            const actual = ast.fieldType === 'number' ? Number(value) : String(value).slice(0, ast.value.length);
+            return compareSearchMetric(actual, ast.op, ast.value) ? 1 : null;
+        }
+        case 'fieldSet': {
+            const value = (node.customFields || {})[ast.key];
+            const empty = value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+            return empty ? null : 1;
+        }
+        default: {
+            const score = scoreTextTerm(ast, node);
+            return score > 0 ? score : null;
+        }
+    }
+}
+
+/**
+ * Matches a query against a list of nodes.
+ * @returns {Array<{node: object, score: number}>} best first; ties keep the input order
+ */
+function searchNodes(query, nodes, context) {
+    const ast = typeof query === 'string' ? parseSearchQuery(query) : query;
+    if (!ast) return [];
+
+    return nodes
+        .map((node, index) => ({ node, index, score: scoreSearchQuery(ast, node, context) }))
+        .filter(result => result.score !== null)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(({ node, score }) => ({ node, score }));
+}
+
+// True if the query has an in/out term (callers load nodeStats first)
+function searchQueryUsesStats(ast) {
+    if (!ast) return false;
+    if (ast.type === 'compare') return ast.metric !== 'depth';
+    if (ast.type === 'not') return searchQueryUsesStats(ast.child);
+    return (ast.children || []).some(searchQueryUsesStats);
+}
+
+// Words for the backend /node/search fallback, a substring match on name or description:
+// every node the query matches contains at least one of them. An AND needs the words of one
+// child (the fewest, then the longest), an OR those of every branch. [] when some branch has
+// no name/description word outside NOT.
+function searchQueryBackendTerms(ast) {
+    if (!ast) return [];
+    switch (ast.type) {
+        case 'text':
+            return ast.field === null || ast.field === 'name' || ast.field === 'description' ? [ast.value] : [];
+        case 'and': {
+            const shortestWord = terms => Math.min(...terms.map(term => term.length));
+            const options = ast.children.map(searchQueryBackendTerms).filter(terms => terms.length > 0);
+            options.sort((a, b) => a.length - b.length || shortestWord(b) - shortestWord(a));
+            return options[0] || [];
+        }
+        case 'or': {
+            const branches = ast.children.map(searchQueryBackendTerms);
+            if (branches.some(terms => terms.length === 0)) return [];
+            return [...new Set([].concat(...branches))];
+        }
+        default:
+            return [];
+    }
+}
@@ -0,0 +1,304 @@
+// --- Status Registry ---
+// The workflow statuses (name, colour, order and optional allowed next statuses) are
+// project settings: loaded from /settings/statuses and saved through the outbox like any
+// other edit. A copy is cached per backend in localStorage, which is also where they live
+// when the backend has no settings endpoint. Card colours come from a generated
+// stylesheet, so getStatusClasses() still hands out class names to the card templates.
+
+const DEFAULT_STATUS_REGISTRY = [
+    { name: 'New', color: '#6b7280', order: 0, transitions: null },
+    { name: 'Processing', color: '#f97316', order: 1, transitions: null },
+    { name: 'Completed', color: '#22c55e', order: 2, transitions: null },
+];
+const STATUS_REGISTRY_CACHE_KEY = `statusRegistry:${API_BASE_URL}`;
+const FALLBACK_STATUS_COLOR = '#6b7280';
+
+// [{ name, color, order, transitions }] sorted by order; transitions null = any status
+let statusRegistry = normalizeStatusRegistry(DEFAULT_STATUS_REGISTRY);
+
+function normalizeStatusRegistry(statuses) {
+    const seen = new Set();
+    const list = (Array.isArray(statuses) ? statuses : [])
+        .map((status, index) => ({
+            name: typeof status.name === 'string' ? status.name.trim() : '',
+            color: /^#[0-9a-f]{6}$/i.test(status.color) ? status.color.toLowerCase() : FALLBACK_STATUS_COLOR,
+            order: Number.isFinite(status.order) ? status.order : index,
+            transitions: Array.isArray(status.transitions) ? status.transitions : null
+        }))
+        .filter(status => {
+            const key = status.name.toLowerCase();
+            if (!status.name || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) => a.order - b.order);
+
+    const names = list.map(status => status.name);
+    list.forEach((status, index) => {
+        status.order = index;
+        if (status.transitions) {
+            status.transitions = status.transitions.filter(name => names.includes(name) && name !== status.name);
+        }
+    });
+    return list.length > 0 ? list : normalizeStatusRegistry(DEFAULT_STATUS_REGISTRY);
+}
+
+function loadCachedStatusRegistry() {
+    try {
+        return JSON.parse(localStorage.getItem(STATUS_REGISTRY_CACHE_KEY));
+    } catch (e) {
+        return null;
+    }
+}
+
+// Replaces the registry and refreshes everything derived from it (styles, dropdowns, cache)
+function setStatusRegistry(statuses) {
+    statusRegistry = normalizeStatusRegistry(statuses);
+    try {
+        localStorage.setItem(STATUS_REGISTRY_CACHE_KEY, JSON.stringify(statusRegistry));
+    } catch (e) { /* ignore */ }
+    renderStatusStyles();
+    fillStatusSelect(document.getElementById('status-filter-select'), { includeAll: true });
+}
+
+async function loadStatusRegistry() {
+    let statuses = loadCachedStatusRegistry() || DEFAULT_STATUS_REGISTRY;
+    try {
+        // One attempt only: the /tree request right after handles retries and offline mode
+        const response = await apiFetch('/settings/statuses');
+        if (response.ok) {
+            const data = await response.json();
+            if (Array.isArray(data.statuses) && data.statuses.length > 0) {
+                statuses = data.statuses;
+            }
+        }
+        // 404: this backend has no settings endpoint, keep the copy saved in this browser
+    } catch (e) { /* Offline: cached copy */ }
+    setStatusRegistry(statuses);
+}
+
+function getStatusDefinition(name) {
+    return statusRegistry.find(status => status.name === name) || null;
+}
+
+function defaultStatusName() {
+    return statusRegistry[0].name;
+}
+
+// Unknown statuses (e.g. set before the registry existed) may move anywhere
+function canTransitionStatus(fromStatus, toStatus) {
+    if (fromStatus === toStatus) return true;
+    const from = getStatusDefinition(fromStatus);
+    if (!from || !from.transitions) return true;
+    return from.transitions.includes(toStatus);
+}
+
+/**
+ * Rebuilds a status <select> from the registry.
+ * opts.selected    value to select (defaults to the current value)
+ * opts.fromStatus  disables statuses that cannot be reached from this one
+ * opts.includeAll  adds the "Show All" entry used by the filter panel
+ */
+function fillStatusSelect(select, { selected = select ? select.value : '', fromStatus = null, includeAll = false } = {}) {
+    if (!select) return;
+    select.innerHTML = '';
+
+    const addOption = (value, label, disabled = false) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.disabled = disabled;
+        select.appendChild(option);
+    };
+
+    if (includeAll) addOption('all', 'Show All');
+    statusRegistry.forEach(status => {
+        const blocked = fromStatus !== null && !canTransitionStatus(fromStatus, status.name);
+        addOption(status.name, blocked ? `${status.name} (not allowed from ${fromStatus})` : status.name, blocked);
+    });
+    // Keep a status that is no longer in the registry selectable for the node that has it
+    if (selected && selected !== 'all' && !getStatusDefinition(selected)) {
+        addOption(selected, `${selected} (not in workflow)`);
+    }
+
+    const values = Array.from(select.options).map(option => option.value);
+    select.value = values.includes(selected) ? selected : values[0];
+}
+
+// --- Generated colours ---
+
+function mixHexColor(hex, targetHex, amount) {
+    const channel = (value, i) => parseInt(value.slice(1 + i * 2, 3 + i * 2), 16);
+    const mixed = [0, 1, 2].map(i =>
+        Math.round(channel(hex, i) + (channel(targetHex, i) - channel(hex, i)) * amount)
+            .toString(16)
+            .padStart(2, '0'));
+    return `#${mixed.join('')}`;
+}
+
+// Classes are indexed by position, so only validated hex colours ever reach the CSS
+function renderStatusStyles() {
+    let styleEl = document.getElementById('status-registry-styles');
+    if (!styleEl) {
+        styleEl = document.createElement('style');
+        styleEl.id = 'status-registry-styles';
+        document.head.appendChild(styleEl);
+    }
+    styleEl.textContent = statusRegistry.map((status, index) => `
+        .status-bg-${index} { background-color: ${mixHexColor(status.color, '#ffffff', 0.75)}; }
+        .status-border-${index} { border-color: ${status.color}; }
+        .status-text-${index} { color: ${mixHexColor(status.color, '#000000', 0.55)}; }
+        .status-badge-${index} { background-color: ${status.color}; color: #ffffff; }
+    `).join('');
+}
+
+// Tailwind-style class set for a status; unknown statuses use the first one's colours
+function getStatusClasses(status) {
+    const index = Math.max(0, statusRegistry.findIndex(entry => entry.name === status));
+    return {
+        bg: `status-bg-${index}`,
+        border: `status-border-${index}`,
+        text: `status-text-${index}`,
+        badge: `status-badge-${index}`
+    };
+}
+
+// --- Workflow editor modal ---
+
+function openStatusRegistryModal() {
+    const container = document.getElementById('status-registry-rows');
+    container.innerHTML = '';
+    statusRegistry.forEach(status => addStatusRegistryRow(status));
+    document.getElementById('status-registry-modal').style.display = 'flex';
+}
+
+function closeStatusRegistryModal() {
+    document.getElementById('status-registry-modal').style.display = 'none';
+}
+
+function addStatusRegistryRow(status = { name: '', color: FALLBACK_STATUS_COLOR, transitions: null }) {
+    const container = document.getElementById('status-registry-rows');
+    const row = document.createElement('div');
+    row.className = 'border p-3 rounded-lg bg-gray-50 space-y-2';
+    // Remembers the saved name so a rename can carry existing nodes along
+    row.dataset.originalName = status.name;
+
+    row.innerHTML = `
+        <div class="flex space-x-2 items-center">
+            <input type="color" name="status-color"
+                   class="h-9 w-10 p-0.5 border border-gray-300 rounded-lg bg-white">
+            <input type="text" name="status-name" placeholder="Status name (Required)"
+                   class="flex-1 p-2 border border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500">
+            <button type="button" data-move="-1" title="Move up" class="px-1 text-gray-500 hover:text-gray-800">
+                <svg data-lucide="chevron-up" width="16" height="16"></svg>
+            </button>
+            <button type="button" data-move="1" title="Move down" class="px-1 text-gray-500 hover:text-gray-800">
+                <svg data-lucide="chevron-down" width="16" height="16"></svg>
+            </button>
+            <button type="button" data-remove title="Remove this status" class="px-1 text-red-500 hover:text-red-700">
+                <svg data-lucide="x" width="16" height="16"></svg>
+            </button>
+        </div>
+        <input type="text" name="status-transitions" placeholder="Allowed next statuses, comma separated (empty = any)"
+               class="w-full p-2 border border-gray-300 rounded-lg text-xs focus:ring-blue-500 focus:border-blue-500">
+    `;
+    row.querySelector('input[name="status-color"]').value = status.color;
+    row.querySelector('input[name="status-name"]').value = status.name;
+    row.querySelector('input[name="status-transitions"]').value = (status.transitions || []).join(', ');
+
+    row.querySelectorAll('button[data-move]').forEach(button => {
+        button.addEventListener('click', () => {
+            const sibling = button.dataset.move === '-1' ? row.previousElementSibling : row.nextElementSibling;
+            if (!sibling) return;
+            if (button.dataset.move === '-1') {
+                container.insertBefore(row, sibling);
+            } else {
+                container.insertBefore(sibling, row);
+            }
+        });
+    });
+    row.querySelector('button[data-remove]').addEventListener('click', () => {
+        // Always keep one status
+        if (container.children.length > 1) row.remove();
+    });
+
+    container.appendChild(row);
+    window.lucide.createIcons();
+    return row;
+}
+
+function handleStatusRegistrySubmit(e) {
+    e.preventDefault();
+    const rows = Array.from(document.querySelectorAll('#status-registry-rows > div'));
+    const statuses = rows.map((row, index) => ({
+        originalName: row.dataset.originalName,
+        name: row.querySelector('input[name="status-name"]').value.trim(),
+        color: row.querySelector('input[name="status-color"]').value,
+        order: index,
+        transitions: row.querySelector('input[name="status-transitions"]').value
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean)
+    }));
+
+    // --- Validation (the modal stays open on errors) ---
+    const names = statuses.map(status => status.name);
+    if (names.some(name => !name)) {
+        showMessage('Every status needs a name.', 'error');
+        return;
+    }
+    const duplicate = names.find((name, i) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) !== i);
+    if (duplicate) {
+        showMessage(`The status '${duplicate}' is listed twice.`, 'error');
+        return;
+    }
+    for (const status of statuses) {
+        const unknown = status.transitions.find(name => !names.includes(name));
+        if (unknown) {
+            showMessage(`'${status.name}' allows a move to '${unknown}', which is not in the list.`, 'error');
+            return;
+        }
+    }
+
+    // Renamed statuses carry their nodes along; removing a status that is still used is refused
+    const renames = {};
+    statuses.forEach(status => {
+        if (status.originalName && status.originalName !== status.name) {
+            renames[status.originalName] = status.name;
+        }
+    });
+    const keptNames = new Set(statuses.map(status => status.originalName).filter(Boolean));
+    const removedInUse = statusRegistry
+        .map(status => status.name)
+        .filter(name => !keptNames.has(name))
+        .map(name => ({ name, count: Object.values(nodeMap).filter(node => node.status === name).length }))
+        .find(entry => entry.count > 0);
+    if (removedInUse) {
+        showMessage(`${removedInUse.count} node(s) still use '${removedInUse.name}'. Rename it instead, or change those nodes first.`, 'error');
+        return;
+    }
+
+    closeStatusRegistryModal();
+
+    const cleaned = statuses.map(({ name, color, order, transitions }) => ({
+        name,
+        color,
+        order,
+        transitions: transitions.length > 0 ? transitions : null
+    }));
+    queueMutation('updateStatusRegistry', { statuses: cleaned }, { label: 'Update status workflow' });
+
+    let movedCount = 0;
+    Object.values(nodeMap).forEach(node => {
+        const newStatus = renames[node.status];
+        if (!newStatus) return;
+        queueMutation('updateNode', { nodeId: node.contentId, fields: { status: newStatus } }, {
+            label: `Rename status of '${node.name}' to ${newStatus}`,
+            baseline: pickNodeFields(node)
+        });
+        movedCount++;
+    });
+
+    showMessage(`Status workflow saved${movedCount > 0 ? ` (${movedCount} node(s) moved to renamed statuses)` : ''}.`, 'success');
+    loadAndRenderVisuals(stableRootId);
+}
@@ -0,0 +1,150 @@
+// --- SVG Renderer (large trees) ---
+// Alternative to the nested-HTML renderNode() path. computeTreeLayout() (tree-layout.js)
+// positions every node in JS, all edges are drawn into a single SVG layer, and only the
+// node cards that intersect the viewport are mounted. Scrolling and zooming re-run the
+// mount pass, so a tree with thousands of nodes keeps a few dozen cards in the DOM.
+
+let rendererMode = localStorage.getItem('rendererMode') === 'svg' ? 'svg' : 'html';
+let svgLayout = null;              // Last computeTreeLayout() result
+let mountedSvgCards = new Map();   // nodeId -> absolutely positioned slot element
+let svgVirtualFrame = null;
+const SVG_VIEWPORT_MARGIN = 300;   // Layout px mounted beyond each visible edge
+
+function setRendererMode(mode) {
+    rendererMode = mode === 'svg' ? 'svg' : 'html';
+    localStorage.setItem('rendererMode', rendererMode);
+    applyFilters(); // re-render with whatever search/filters are active
+}
+
+function renderSvgTree(rootNodeId) {
+    const wrapper = document.getElementById('tree-content-wrapper');
+
+    svgLayout = computeTreeLayout(rootNodeId, {
+        getChildren: getOrderedChildIds,
+        isVisible: id => Boolean(nodeMap[id]) && isNodeVisible(id),
+        // Folded nodes keep their card but hide their subtree, like renderNode
+        expandChildren: id => !isNodeCollapsed(id),
+        includeCrossEdges: showCrossLinks
+    });
+    mountedSvgCards = new Map();
+
+    const { width, height } = svgLayout;
+    wrapper.innerHTML = `
+        <div id="svg-tree-canvas" style="width: ${width}px; height: ${height}px;">
+            <svg id="svg-tree-edges" width="${width}" height="${height}">
+                <defs>
+                    <marker id="svg-cross-link-arrow" viewBox="0 0 10 10" refX="9" refY="5"
+                            markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+                        <path d="M 0 0 L 10 5 L 0 10 z" class="cross-link-arrow-head"></path>
+                    </marker>
+                </defs>
+                ${svgEdgesMarkup(svgLayout)}
+            </svg>
+            <div id="svg-tree-cards"></div>
+        </div>
+    `;
+
+    updateVirtualCards();
+}
+
+function svgEdgesMarkup(layout) {
+    const cardHeight = LAYOUT_NODE_HEIGHT;
+
+    // Parent bottom -> elbow -> child top, coloured by the parent's level like the HTML connectors
+    const treePaths = layout.treeEdges.map(edge => {
+        const from = layout.nodes[edge.from];
+        const to = layout.nodes[edge.to];
+        const midY = from.y + cardHeight + (to.y - from.y - cardHeight) / 2;
+        return `<path class="svg-tree-edge" stroke="${getLevelColor(edge.level)}"
+                      d="M ${from.x} ${from.y + cardHeight} V ${midY} H ${to.x} V ${to.y}"></path>`;
+    });
+
+    // Extra parents: dashed curve straight into the node's single card
+    const crossPaths = layout.crossEdges.map(edge => {
+        const from = layout.nodes[edge.from];
+        const to = layout.nodes[edge.to];
+        const x1 = from.x;
+        const y1 = from.y + cardHeight;
+        const x2 = to.x;
+        const y2 = to.y;
+        const bend = Math.max(60, Math.abs(y2 - y1) / 2);
+        return `<path class="cross-link-path" marker-end="url(#svg-cross-link-arrow)"
+                      d="M ${x1} ${y1} C ${x1} ${y1 + bend}, ${x2} ${y2 - bend}, ${x2} ${y2}"></path>`;
+    });
+
+    return treePaths.join('') + crossPaths.join('');
+}
+
+// --- Virtualized card mounting ---
+
+function scheduleVirtualCardsUpdate() {
+    if (rendererMode !== 'svg' || svgVirtualFrame) return;
+    svgVirtualFrame = requestAnimationFrame(updateVirtualCards);
+}
+
+function updateVirtualCards() {
+    svgVirtualFrame = null;
+    const canvas = document.getElementById('svg-tree-canvas');
+    if (!canvas || !svgLayout) return;
+
+    // Visible area of the scroll container, converted to (unscaled) layout coordinates
+    const viewRect = vizWrapper.getBoundingClientRect();
+    const canvasRect = canvas.getBoundingClientRect();
+    const left = (viewRect.left - canvasRect.left) / currentScale - SVG_VIEWPORT_MARGIN;
+    const top = (viewRect.top - canvasRect.top) / currentScale - SVG_VIEWPORT_MARGIN;
+    const right = (viewRect.right - canvasRect.left) / currentScale + SVG_VIEWPORT_MARGIN;
+    const bottom = (viewRect.bottom - canvasRect.top) / currentScale + SVG_VIEWPORT_MARGIN;
+    const halfWidth = LAYOUT_NODE_WIDTH / 2;
+
+    const visibleIds = new Set();
+    Object.entries(svgLayout.nodes).forEach(([id, pos]) => {
+        if (pos.x + halfWidth >= left && pos.x - halfWidth <= right &&
+            pos.y + LAYOUT_NODE_HEIGHT >= top && pos.y <= bottom) {
+            visibleIds.add(id);
+        }
+    });
+
+    mountedSvgCards.forEach((slot, id) => {
+        if (!visibleIds.has(id)) {
+            slot.remove();
+            mountedSvgCards.delete(id);
+        }
+    });
+
+    let mountedAny = false;
+    visibleIds.forEach(id => {
+        if (!mountedSvgCards.has(id)) {
+            mountSvgCard(id);
+            mountedAny = true;
+        }
+    });
+    if (mountedAny) {
+        window.lucide.createIcons();
+    }
+}
+
+function mountSvgCard(nodeId) {
+    const layer = document.getElementById('svg-tree-cards');
+    const pos = svgLayout && svgLayout.nodes[nodeId];
+    if (!layer || !pos || !nodeMap[nodeId]) return null;
+
+    const slot = document.createElement('div');
+    slot.className = 'svg-node-slot';
+    slot.style.left = `${pos.x - LAYOUT_NODE_WIDTH / 2}px`;
+    slot.style.top = `${pos.y}px`;
+    slot.style.width = `${LAYOUT_NODE_WIDTH}px`;
+    slot.style.height = `${LAYOUT_NODE_HEIGHT}px`;
+    slot.innerHTML = renderNodeCard(nodeId);
+
+    layer.appendChild(slot);
+    mountedSvgCards.set(nodeId, slot);
+    return slot;
+}
+
+// Makes sure a card exists in the DOM (e.g. for focusNode) even if it is off-screen
+function ensureSvgCardMounted(nodeId) {
+    if (rendererMode !== 'svg' || mountedSvgCards.has(nodeId)) return;
+    if (mountSvgCard(nodeId)) {
+        window.lucide.createIcons();
+    }
+}
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, sleep } = require('./helpers/load-page');
+
+/** Root with one child that already has custom field values, rendered in the page. */
+async function openTreeWithFields(options) {
+    const page = await loadPage('flowchart.html', options);
+    const root = await page.request('/node/create', 'POST', { name: 'Root' });
+    const node = await page.request('/node/create', 'POST', {
+        name: 'SEO audit',
+        customFields: { owner: 'anna', priority: 'High', tags: ['seo', 'q4'] }
+    });
+    await page.request('/relation/create', 'POST', { parentId: root.contentId, childId: node.contentId });
+    await page.window.loadAndRenderTree();
+    await sleep(200);
+    return { page, nodeId: node.contentId };
+}
+
+async function editOwner(page, nodeId, owner) {
+    const { window, document } = page;
+    window.openEditModal(nodeId);
+    document.getElementById('edit-custom-field-owner').value = owner;
+    document.getElementById('edit-node-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await sleep(50);
+}
+
+async function syncOutbox(page) {
+    page.setOnline(true);
+    await page.window.flushOutbox();
+    await sleep(100);
+}
+
+describe('custom fields', () => {
+    it('saves a field edit without a conflict prompt when the server copy is unchanged', async () => {
+        const { page, nodeId } = await openTreeWithFields();
+        page.setOnline(false);
+        await editOwner(page, nodeId, 'ben');
+        await syncOutbox(page);
+
+        assert.deepEqual(page.confirms, []);
+        const stored = page.window.mockLoadDb().nodes[nodeId].customFields;
+        assert.equal(JSON.stringify(stored), JSON.stringify({ owner: 'ben', priority: 'High', tags: ['seo', 'q4'] }));
+    });
+
+    it('still asks when the field changed on the server while the edit was queued', async () => {
+        const { page, nodeId } = await openTreeWithFields({ confirm: () => false });
+        page.setOnline(false);
+        await editOwner(page, nodeId, 'ben');
+        await page.request(`/node/update/${nodeId}`, 'PUT', {
+            customFields: { owner: 'carla', priority: 'High', tags: ['seo', 'q4'] }
+        });
+        await syncOutbox(page);
+
+        assert.equal(page.confirms.length, 1);
+        assert.match(page.confirms[0], /customFields/);
+        assert.equal(page.window.mockLoadDb().nodes[nodeId].customFields.owner, 'carla');
+    });
+
+    it('searches the backend with custom field terms in the query', async () => {
+        const { page } = await openTreeWithFields();
+        const { window } = page;
+        const results = await window.searchNodesOnBackend(window.parseSearchQuery('seo owner:*'));
+        assert.equal(JSON.stringify(results.map(node => node.name)), JSON.stringify(['SEO audit']));
+
+        // Without name/description words there is nothing to send to /node/search
+        await assert.rejects(
+            window.searchNodesOnBackend(window.parseSearchQuery('due<today')),
+            /needs the tree to be loaded/
+        );
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, sleep } = require('./helpers/load-page');
+
+const LINKS = [{ label: 'Brief', url: 'https://example.com/brief' }];
+const ATTACHMENTS = [{ id: 'a1', name: 'notes.txt', type: 'text/plain', size: 5, dataUrl: 'data:text/plain;base64,aGVsbG8=' }];
+const CUSTOM_FIELDS = { owner: 'anna', priority: 'High', tags: ['seo', 'q4'] };
+
+/** Root with one child that has every optional node field set, rendered in the page. */
+async function openTreeWithRichNode() {
+    const page = await loadPage('flowchart.html');
+    const root = await page.request('/node/create', 'POST', { name: 'Root' });
+    const node = await page.request('/node/create', 'POST', {
+        name: 'Services',
+        description: 'What we sell',
+        idPrefix: 'SRV',
+        links: LINKS,
+        attachments: ATTACHMENTS,
+        customFields: CUSTOM_FIELDS
+    });
+    await page.request('/relation/create', 'POST', { parentId: root.contentId, childId: node.contentId });
+    await page.window.loadAndRenderTree();
+    await sleep(200);
+    return { page, rootId: root.contentId, nodeId: node.contentId, friendlyId: node.friendlyId };
+}
+
+/** Imports export JSON under parentId without reusing names, then syncs the outbox. */
+async function importJson(page, text, parentId) {
+    const { window } = page;
+    const parsed = window.parseImportJson(text);
+    const plan = window.buildImportPlan(parsed, parentId, false);
+    window.runImportPlan(plan);
+    await window.flushOutbox();
+    await sleep(200);
+    return { parsed, plan };
+}
+
+// The stored copy of the node called name that is not originalId
+function findImportedNode(page, name, originalId) {
+    return Object.values(page.window.mockLoadDb().nodes).find(node => node.name === name && node.contentId !== originalId);
+}
+
+describe('JSON export', () => {
+    it('writes every stored node field', async () => {
+        const { page, rootId, nodeId, friendlyId } = await openTreeWithRichNode();
+        const { window } = page;
+        const exported = JSON.parse(window.exportToJson(window.buildExportModel(rootId)));
+        const node = exported.nodes.find(entry => entry.contentId === nodeId);
+
+        assert.equal(node.name, 'Services');
+        assert.equal(node.description, 'What we sell');
+        assert.equal(node.idPrefix, 'SRV');
+        assert.equal(node.friendlyId, friendlyId);
+        assert.deepEqual(node.links, LINKS);
+        assert.deepEqual(node.attachments, ATTACHMENTS);
+        assert.deepEqual(node.customFields, CUSTOM_FIELDS);
+        assert.equal(node.provisionalFriendlyId, undefined);
+    });
+});
+
+describe('JSON import of an export', () => {
+    it('brings back links and attachments', async () => {
+        const { page, rootId, nodeId } = await openTreeWithRichNode();
+        const archive = await page.request('/node/create', 'POST', { name: 'Archive' });
+        await page.request('/relation/create', 'POST', { parentId: rootId, childId: archive.contentId });
+        await page.window.loadAndRenderTree();
+        await sleep(200);
+
+        const exported = JSON.parse(page.window.exportToJson(page.window.buildExportModel(nodeId)));
+        exported.nodes[0].links.push({ label: 'Bad', url: 'javascript:alert(1)' });
+        const { plan } = await importJson(page, JSON.stringify(exported), archive.contentId);
+
+        assert.ok(plan.warnings.some(warning => /'Services': part of its links/.test(warning)));
+        const imported = findImportedNode(page, 'Services', nodeId);
+        assert.equal(JSON.stringify(imported.links), JSON.stringify(LINKS));
+        assert.equal(JSON.stringify(imported.attachments), JSON.stringify(ATTACHMENTS));
+    });
+
+    it('restores every exported field in an empty tree', async () => {
+        const { page, nodeId, friendlyId } = await openTreeWithRichNode();
+        const text = page.window.exportToJson(page.window.buildExportModel(nodeId));
+
+        const target = await loadPage('flowchart.html');
+        const root = await target.request('/node/create', 'POST', { name: 'Root' });
+        await target.window.loadAndRenderTree();
+        await sleep(200);
+        const { plan } = await importJson(target, text, root.contentId);
+
+        assert.equal(plan.warnings.length, 0);
+        const imported = findImportedNode(target, 'Services', nodeId);
+        assert.equal(imported.friendlyId, friendlyId);
+        assert.equal(imported.idPrefix, 'SRV');
+        assert.equal(imported.description, 'What we sell');
+        assert.equal(JSON.stringify(imported.customFields), JSON.stringify(CUSTOM_FIELDS));
+        assert.equal(JSON.stringify(imported.links), JSON.stringify(LINKS));
+    });
+});
+
+describe('CSV import', () => {
+    it('fills custom fields from columns named after them', async () => {
+        const { page, rootId } = await openTreeWithRichNode();
+        const { window } = page;
+        const csv = 'name,Owner,priority,Due date,tags\r\n'
+            + 'Audit,anna,High,2026-10-30,seo;q4\r\n'
+            + 'Outreach,ben,,next week,\r\n';
+        const plan = window.buildImportPlan(window.parseImportCsv(csv), rootId, false);
+        window.runImportPlan(plan);
+        await window.flushOutbox();
+        await sleep(200);
+
+        assert.equal(plan.warnings.length, 1);
+        assert.match(plan.warnings[0], /Row 3: Due date must be a date .*"next week"/);
+        const audit = findImportedNode(page, 'Audit');
+        assert.equal(JSON.stringify(audit.customFields), JSON.stringify({ owner: 'anna', priority: 'High', due: '2026-10-30', tags: ['seo', 'q4'] }));
+        assert.equal(JSON.stringify(findImportedNode(page, 'Outreach').customFields), JSON.stringify({ owner: 'ben' }));
+    });
+});
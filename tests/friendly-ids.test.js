@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, sleep } = require('./helpers/load-page');
+
+const NUMBERING_PATH = '/node/friendly-id/';
+
+/** Root with two numbered children; the highest-numbered one ("03") is then deleted. */
+async function openTreeWithDeletedNode() {
+    const page = await loadPage('flowchart.html');
+    const { window, request } = page;
+    const root = await request('/node/create', 'POST', { name: 'Root' });
+    for (const name of ['Services', 'Old page']) {
+        const node = await request('/node/create', 'POST', { name });
+        await request('/relation/create', 'POST', { parentId: root.contentId, childId: node.contentId });
+    }
+    const oldPage = Object.values(window.mockLoadDb().nodes).find(node => node.name === 'Old page');
+    assert.equal(oldPage.friendlyId, '03');
+    await request(`/node/delete/${oldPage.contentId}`, 'DELETE');
+
+    // Counts the page's numbering requests
+    page.numberingRequests = 0;
+    const mockFetch = window.mockFetch;
+    window.mockFetch = (endpoint, init) => {
+        if (endpoint.startsWith(NUMBERING_PATH)) page.numberingRequests++;
+        return mockFetch(endpoint, init);
+    };
+    return { page, rootId: root.contentId };
+}
+
+// A node stored before friendly IDs existed
+function addLegacyNode(window, parentId, contentId) {
+    const db = window.mockLoadDb();
+    db.nodes[contentId] = { contentId, name: `Legacy ${contentId}`, description: '', status: 'New' };
+    db.order.push(contentId);
+    db.relations.push({ parentId, childId: contentId });
+    window.mockSaveDb(db);
+}
+
+async function reloadTree(page) {
+    await page.window.loadAndRenderTree();
+    await sleep(100);
+    await page.window.flushOutbox();
+    await sleep(100);
+}
+
+describe('friendly IDs', () => {
+    it('numbers older nodes from the server counter, never reusing a deleted node\'s number', async () => {
+        const { page, rootId } = await openTreeWithDeletedNode();
+        ['legacy-a', 'legacy-b', 'legacy-c'].forEach(id => addLegacyNode(page.window, rootId, id));
+        await reloadTree(page);
+
+        const nodes = page.window.mockLoadDb().nodes;
+        assert.deepEqual(['legacy-a', 'legacy-b', 'legacy-c'].map(id => nodes[id].friendlyId), ['04', '05', '06']);
+        assert.match(page.document.getElementById('node-legacy-a').textContent, /\b04\b/);
+        assert.equal(page.numberingRequests, 3);
+    });
+
+    it('rejects a stored ID at or below the counter', async () => {
+        const { page, rootId } = await openTreeWithDeletedNode();
+        addLegacyNode(page.window, rootId, 'legacy-a');
+        const response = await page.window.mockFetch('/node/update/legacy-a', {
+            method: 'PUT',
+            body: JSON.stringify({ friendlyId: '03' })
+        });
+        assert.equal(response.status, 409);
+    });
+
+    it('probes a backend that cannot number nodes once and shows provisional IDs', async () => {
+        const { page, rootId } = await openTreeWithDeletedNode();
+        const { window, document } = page;
+        window.eval(`MOCK_ROUTES.splice(MOCK_ROUTES.findIndex(route => route[1] === '${NUMBERING_PATH}:id'), 1)`);
+        const legacyIds = ['legacy-a', 'legacy-b', 'legacy-c', 'legacy-d', 'legacy-e'];
+        legacyIds.forEach(id => addLegacyNode(window, rootId, id));
+        await window.loadAndRenderTree();
+        // Only the probe is queued, not one request per older node
+        assert.equal(window.eval('outboxEntries.length'), 1);
+        await sleep(100);
+        await window.flushOutbox();
+        await sleep(100);
+        assert.equal(page.numberingRequests, 1);
+
+        await reloadTree(page);
+        await reloadTree(page);
+        assert.equal(page.numberingRequests, 1);
+
+        // Position in /tree (root, Services, then the older nodes), marked as provisional
+        const card = document.getElementById('node-legacy-a');
+        assert.match(card.textContent, /~03/);
+        assert.match(card.innerHTML, /Provisional ID/);
+        assert.equal(window.findNodeByFriendlyId('~04').contentId, 'legacy-b');
+        document.getElementById('search-id-input').value = '05';
+        await window.applyFilters();
+        assert.equal(window.eval('searchMatches[0]'), 'legacy-c');
+        assert.deepEqual(page.errors, []);
+    });
+});
@@ -0,0 +1,80 @@
+// Loads one of the pages in jsdom against the in-browser mock backend (?api=mock).
+// The page's own <script src> files are inlined in order; CDN scripts (Tailwind,
+// Lucide) are dropped and Lucide is replaced by a no-op.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function inlineScripts(html) {
+    return html
+        .replace(/<script src="https?:[^"]*"><\/script>/g, '')
+        .replace(/<script src="([^"]+)"><\/script>/g, (tag, src) => {
+            const code = fs.readFileSync(path.join(ROOT, src), 'utf8');
+            return `<script>${code.replace(/<\/script>/gi, '<\\/script>')}</script>`;
+        })
+        .replace('<head>', '<head><script>window.lucide = { createIcons() {} };</script>');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {string} page - file name relative to the repo root, e.g. 'flowchart.html'
+ * @param {Object} [options]
+ * @param {Function} [options.confirm] - answers window.confirm(); defaults to OK
+ * @returns {Promise<{window: Window, document: Document, errors: Error[], confirms: string[], request: Function, setOnline: Function}>}
+ */
+async function loadPage(page, options = {}) {
+    const html = inlineScripts(fs.readFileSync(path.join(ROOT, page), 'utf8'));
+    const errors = [];
+    const confirms = [];
+    let online = true;
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM(html, {
+        url: `http://localhost/${page}?api=mock`,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.indexedDB = new IDBFactory();
+            window.IDBKeyRange = IDBKeyRange;
+            window.Response = Response;
+            // Anything fetched outside apiFetch() goes to the mock backend too
+            window.fetch = async (url, init) => window.mockFetch(String(url).replace(/^https?:\/\/[^/]+/, ''), init);
+            window.crypto.randomUUID = () => crypto.randomUUID();
+            window.scrollTo = () => {};
+            window.Element.prototype.scrollTo = () => {};
+            window.Element.prototype.scrollIntoView = () => {};
+            window.alert = () => {};
+            window.confirm = message => {
+                confirms.push(message);
+                return options.confirm ? options.confirm(message) : true;
+            };
+        }
+    });
+    await sleep(50);
+
+    const { window } = dom;
+    const mockFetch = window.mockFetch;
+    // Offline, the page's requests fail like a dropped connection and the outbox waits
+    window.mockFetch = async (endpoint, init) => {
+        if (!online) throw new TypeError('Failed to fetch');
+        return mockFetch(endpoint, init);
+    };
+    // Talks to the mock backend directly, bypassing the outbox (and the offline switch)
+    const request = async (endpoint, method = 'GET', body) => {
+        const response = await mockFetch(endpoint, { method, body: body && JSON.stringify(body) });
+        return response.json();
+    };
+    const setOnline = value => {
+        online = value;
+    };
+    return { window, document: window.document, errors, confirms, request, setOnline };
+}
+
+module.exports = { loadPage, sleep };
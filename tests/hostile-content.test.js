@@ -0,0 +1,227 @@
+// Hostile node names, descriptions, link labels and custom-field values must reach the
+// page as text: no template may turn them into elements, event handler attributes or
+// javascript: URLs. Each test renders one set of templates and sweeps the whole DOM.
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, sleep } = require('./helpers/load-page');
+
+const HOSTILE_NAME = `"'><img src=x onerror=alert(1)>`;
+const HOSTILE_SVG_NAME = '<svg onload=alert(2)>';
+const HOSTILE_DESCRIPTION = [
+    '<img src=x onerror=alert(3)> **bold** `</code><script>alert(4)</script>`',
+    '[click](javascript:alert(5)) [jump](JaVaScRiPt:alert(6)) ![pic](javascript:alert(7))',
+    `[ok](https://example.com/?q="><svg onload=alert(8)>) [${HOSTILE_NAME}](https://example.com/)`
+].join('\n');
+const HOSTILE_LINKS = [
+    { label: HOSTILE_NAME, url: 'javascript:alert(9)' },
+    { label: '<b onmouseover=alert(10)>docs</b>', url: 'https://example.com/"onmouseover="alert(11)' }
+];
+const HOSTILE_CUSTOM_FIELDS = {
+    owner: HOSTILE_NAME,
+    due: '"><img src=x onerror=alert(12)>',
+    pageUrl: 'javascript:alert(13)',
+    priority: '<svg onload=alert(14)>',
+    tags: [HOSTILE_NAME, 'javascript:alert(15)']
+};
+
+// Attributes a browser follows or loads as a URL
+const URL_ATTRIBUTES = ['href', 'xlink:href', 'src', 'action', 'formaction', 'poster', 'data'];
+const JAVASCRIPT_URL = /^[\s\u0000-\u001f]*j\s*a\s*v\s*a\s*s\s*c\s*r\s*i\s*p\s*t\s*:/i;
+
+/**
+ * Creates root -> hostile -> svgNode (plus svgNode under root as a second parent) and a
+ * recorded click, then stores links and field values the mock would refuse, as a
+ * backend that validates nothing could.
+ */
+async function seedHostileTree(page) {
+    const { window, request } = page;
+    const root = await request('/node/create', 'POST', { name: 'Root' });
+    const hostile = await request('/node/create', 'POST', { name: HOSTILE_NAME, description: HOSTILE_DESCRIPTION, status: 'In Progress' });
+    const svgNode = await request('/node/create', 'POST', { name: HOSTILE_SVG_NAME, description: HOSTILE_NAME });
+    await request('/relation/create', 'POST', { parentId: root.contentId, childId: hostile.contentId });
+    await request('/relation/create', 'POST', { parentId: hostile.contentId, childId: svgNode.contentId });
+    await request('/relation/create', 'POST', { parentId: root.contentId, childId: svgNode.contentId });
+    await request('/link/click', 'POST', { sourceId: hostile.contentId, targetId: svgNode.contentId });
+
+    const db = window.mockLoadDb();
+    Object.assign(db.nodes[hostile.contentId], { links: HOSTILE_LINKS, customFields: HOSTILE_CUSTOM_FIELDS });
+    window.mockSaveDb(db);
+
+    await window.loadAndRenderTree();
+    await sleep(300);
+    return { rootId: root.contentId, hostileId: hostile.contentId, svgNodeId: svgNode.contentId };
+}
+
+/** Remembers what the static page already has, so only rendered markup is checked. */
+function snapshotStaticMarkup(document) {
+    return {
+        handlerElements: new Set(Array.from(document.querySelectorAll('*'))
+            .filter(element => Array.from(element.attributes).some(attribute => /^on/i.test(attribute.name)))),
+        scriptCount: document.querySelectorAll('script').length
+    };
+}
+
+function assertNoInjectedMarkup(page, staticMarkup, where) {
+    const { document } = page;
+    const problems = [];
+    document.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attribute => {
+            if (/^on/i.test(attribute.name) && !staticMarkup.handlerElements.has(element)) {
+                problems.push(`${attribute.name} on <${element.tagName.toLowerCase()}>`);
+            }
+            if (URL_ATTRIBUTES.includes(attribute.name.toLowerCase()) && JAVASCRIPT_URL.test(attribute.value)) {
+                problems.push(`${attribute.name}="${attribute.value}" on <${element.tagName.toLowerCase()}>`);
+            }
+        });
+    });
+    const scriptCount = document.querySelectorAll('script').length;
+    if (scriptCount !== staticMarkup.scriptCount) {
+        problems.push(`${scriptCount - staticMarkup.scriptCount} extra <script> element(s)`);
+    }
+    assert.deepEqual(problems, [], `injected markup after ${where}`);
+    assert.deepEqual(page.errors.map(error => error.message), [], `script errors after ${where}`);
+}
+
+async function openHostilePage() {
+    const page = await loadPage('flowchart.html');
+    const staticMarkup = snapshotStaticMarkup(page.document);
+    const ids = await seedHostileTree(page);
+    return { page, staticMarkup, ids };
+}
+
+function cardOf(document, nodeId) {
+    return document.getElementById(`node-${nodeId}`);
+}
+
+describe('hostile content', () => {
+    it('renders node cards, custom fields and cross-link refs as text', async () => {
+        const { page, staticMarkup, ids } = await openHostilePage();
+        const card = cardOf(page.document, ids.hostileId);
+        assert.ok(card, 'the hostile node has a card');
+        assert.equal(card.querySelector('h3').textContent.trim(), HOSTILE_NAME);
+        assert.match(card.querySelector('.custom-fields-line').textContent, /#"'><img src=x onerror=alert\(1\)>/);
+        assert.ok(page.document.querySelector('.cross-link-ref'), 'the second parent shows a cross-link ref');
+        assertNoInjectedMarkup(page, staticMarkup, 'rendering cards');
+    });
+
+    it('renders the SVG layout as text', async () => {
+        const { page, staticMarkup, ids } = await openHostilePage();
+        page.window.setRendererMode('svg');
+        await sleep(300);
+        assert.ok(page.document.querySelector('#tree-visualization svg'), 'the SVG renderer drew the tree');
+        assert.equal(cardOf(page.document, ids.hostileId).querySelector('h3').textContent.trim(), HOSTILE_NAME);
+        assertNoInjectedMarkup(page, staticMarkup, 'the SVG renderer');
+    });
+
+    it('renders the info modal, Markdown description and link menu safely', async () => {
+        const { page, staticMarkup, ids } = await openHostilePage();
+        const { document } = page;
+        cardOf(document, ids.hostileId).querySelector('[data-action="open-info"]').click();
+        await sleep(20);
+        assert.equal(document.getElementById('info-node-name').textContent, HOSTILE_NAME);
+        assert.ok(document.querySelector('#info-node-description strong'), 'Markdown emphasis still renders');
+        assertNoInjectedMarkup(page, staticMarkup, 'the info modal');
+        page.window.closeInfoModal();
+
+        cardOf(document, ids.hostileId).querySelector('[data-action="link-menu"]').click();
+        await sleep(20);
+        const menuLabels = Array.from(document.querySelectorAll('#node-link-menu [role="menuitem"]')).map(item => item.textContent);
+        assert.ok(menuLabels.some(label => label.startsWith('<b onmouseover=alert(10)>docs</b>')), 'the link menu lists the labelled link');
+        assertNoInjectedMarkup(page, staticMarkup, 'the link menu');
+    });
+
+    it('renders the inbound and outbound popups as text', async () => {
+        const { page, staticMarkup, ids } = await openHostilePage();
+        const { document } = page;
+        cardOf(document, ids.svgNodeId).querySelector('[data-action="open-inbound"]').click();
+        await sleep(100);
+        assert.ok(document.getElementById('inbound-popup-overlay'), 'the inbound popup opened');
+        assert.ok(document.getElementById('inbound-popup-overlay').textContent.includes(HOSTILE_NAME));
+        assertNoInjectedMarkup(page, staticMarkup, 'the inbound popup');
+
+        cardOf(document, ids.hostileId).querySelector('[data-action="open-outbound"]').click();
+        await sleep(100);
+        assert.ok(document.getElementById('outbound-popup-overlay'), 'the outbound popup opened');
+        assertNoInjectedMarkup(page, staticMarkup, 'the outbound popup');
+    });
+
+    it('renders search results, filter matches and the edit modal as text', async () => {
+        const { page, staticMarkup, ids } = await openHostilePage();
+        const { window, document } = page;
+        cardOf(document, ids.rootId).querySelector('[data-action="open-link-search"]').click();
+        document.getElementById('search-input').value = 'onerror';
+        await window.handleSearch();
+        await sleep(20);
+        assert.ok(document.querySelectorAll('#search-results-list li').length > 0, 'the link search found the nodes');
+        assertNoInjectedMarkup(page, staticMarkup, 'the link search results');
+        window.closeSearchLinkModal();
+
+        document.getElementById('search-filter-input').value = 'img';
+        await window.applyFilters();
+        await sleep(50);
+        assert.ok(document.querySelectorAll('#search-match-list li').length > 0, 'the filter search listed matches');
+        assertNoInjectedMarkup(page, staticMarkup, 'the filter search matches');
+
+        cardOf(document, ids.hostileId).querySelector('[data-action="open-edit"]').click();
+        await sleep(20);
+        assert.equal(document.getElementById('edit-name').value, HOSTILE_NAME);
+        window.updateDescriptionPreview();
+        assertNoInjectedMarkup(page, staticMarkup, 'the edit modal');
+    });
+
+    it('renders the command palette and history list as text', async () => {
+        const { page, staticMarkup, ids } = await openHostilePage();
+        const { window, document } = page;
+        window.moveKeyboardFocus(ids.hostileId);
+        window.openCommandPalette();
+        document.getElementById('command-palette-input').value = 'img';
+        window.updateCommandPalette();
+        const labels = Array.from(document.querySelectorAll('#command-palette-results li')).map(item => item.textContent);
+        assert.ok(labels.some(label => label.includes(HOSTILE_NAME)), 'the palette lists the hostile node');
+        assertNoInjectedMarkup(page, staticMarkup, 'the command palette');
+        window.closeCommandPalette();
+
+        window.cycleNodeStatus(ids.hostileId);
+        await sleep(50);
+        window.renderHistoryList();
+        assertNoInjectedMarkup(page, staticMarkup, 'the history list');
+    });
+
+    it('renders the analytics tables as text', async () => {
+        const { page, staticMarkup } = await openHostilePage();
+        const { window, document } = page;
+        await window.openAnalyticsModal();
+        for (const tab of document.querySelectorAll('#analytics-tabs button')) {
+            tab.click();
+            assertNoInjectedMarkup(page, staticMarkup, `the analytics tab "${tab.textContent}"`);
+        }
+        assert.ok(document.getElementById('analytics-table').textContent.includes(HOSTILE_NAME));
+    });
+
+    it('keeps hostile text inside the export preview', async () => {
+        const { page, staticMarkup } = await openHostilePage();
+        const { window, document } = page;
+        window.openExportModal();
+        const formatSelect = document.getElementById('export-format-select');
+        for (const option of Array.from(formatSelect.options)) {
+            formatSelect.value = option.value;
+            await window.refreshExportPreview();
+            assert.ok(document.getElementById('export-preview').value.length > 0, `${option.value} export has content`);
+            assertNoInjectedMarkup(page, staticMarkup, `the ${option.value} export preview`);
+        }
+    });
+
+    it('renders the import preview as text', async () => {
+        const { page, staticMarkup } = await openHostilePage();
+        const { window, document } = page;
+        window.openImportModal();
+        document.getElementById('import-text').value = [
+            `- ${HOSTILE_NAME}`,
+            `  - ${HOSTILE_SVG_NAME}`,
+            '  - [jump](javascript:alert(16))'
+        ].join('\n');
+        window.previewImport();
+        assert.ok(document.getElementById('import-preview-tree').textContent.includes(HOSTILE_NAME));
+        assertNoInjectedMarkup(page, staticMarkup, 'the import preview');
+    });
+});
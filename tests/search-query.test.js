@@ -0,0 +1,109 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, sleep } = require('./helpers/load-page');
+
+// Copies a value out of the page's realm so deepEqual compares structure only
+const plain = value => JSON.parse(JSON.stringify(value));
+
+describe('search query language', () => {
+    let window;
+    const parse = text => plain(window.parseSearchQuery(text));
+    const word = (value, field = null) => ({ type: 'text', field, value, phrase: false });
+
+    before(async () => {
+        ({ window } = await loadPage('flowchart.html'));
+    });
+
+    it('keeps quoted phrases together, also after a field name', () => {
+        assert.deepEqual(plain(window.tokenizeSearchQuery('name:"web design" (seo OR"a b")')),
+            ['name:"web design"', '(', 'seo', 'OR"a b"', ')']);
+        assert.deepEqual(parse('"Web Design"'), { type: 'text', field: null, value: 'web design', phrase: true });
+        assert.deepEqual(parse('desc:"price list"'), { type: 'text', field: 'description', value: 'price list', phrase: true });
+    });
+
+    it('binds NOT tighter than AND, and AND tighter than OR', () => {
+        assert.deepEqual(parse('seo audit OR pricing'), {
+            type: 'or',
+            children: [{ type: 'and', children: [word('seo'), word('audit')] }, word('pricing')]
+        });
+        assert.deepEqual(parse('NOT seo OR pricing'), {
+            type: 'or',
+            children: [{ type: 'not', child: word('seo') }, word('pricing')]
+        });
+        assert.deepEqual(parse('seo AND (audit OR pricing)'), {
+            type: 'and',
+            children: [word('seo'), { type: 'or', children: [word('audit'), word('pricing')] }]
+        });
+        // Lower-case "or" is a word; unbalanced parentheses are closed implicitly
+        assert.deepEqual(parse('seo or'), { type: 'and', children: [word('seo'), word('or')] });
+        assert.deepEqual(parse('(seo OR audit'), { type: 'or', children: [word('seo'), word('audit')] });
+        assert.equal(window.parseSearchQuery('  '), null);
+    });
+
+    it('parses comparisons and field terms', () => {
+        assert.deepEqual(parse('in>=5'), { type: 'compare', metric: 'in', op: '>=', value: 5 });
+        assert.deepEqual(parse('DEPTH!=2'), { type: 'compare', metric: 'depth', op: '!=', value: 2 });
+        assert.deepEqual(parse('due<2026-11'), { type: 'fieldCompare', key: 'due', fieldType: 'date', op: '<', value: '2026-11' });
+        assert.deepEqual(parse('owner:*'), { type: 'fieldSet', key: 'owner' });
+        assert.deepEqual(parse('Priority:HIGH'), { type: 'text', field: 'custom', key: 'priority', fieldType: 'enum', value: 'high', phrase: false });
+        assert.deepEqual(parse('status:new'), word('new', 'status'));
+        // Not a date, and no such field: plain words
+        assert.deepEqual(parse('due<soon'), word('due<soon'));
+        assert.deepEqual(parse('colour:red'), word('colour:red'));
+    });
+
+    it('scores whole words over prefixes, substrings and typos', () => {
+        const score = (text, value) => window.scoreSearchText(text, { value, phrase: false });
+        assert.equal(score('SEO audit', 'audit'), 1);
+        assert.equal(score('SEO auditing', 'audit'), 0.9);
+        assert.equal(score('Site-audits', 'udit'), 0.8);
+        assert.equal(score('Pricing page', 'prcing'), 0.6);
+        assert.equal(score('Pricing page', 'prcng'), 0);
+        assert.equal(score('Keyword research', 'kyeword'), 0.6);
+        assert.equal(score('Keyword research', 'kewyrod'), 0.45);
+        // Three letters or fewer must match exactly
+        assert.equal(score('SEO audit', 'sep'), 0);
+        assert.equal(window.scoreSearchText('Web design', { value: 'web design', phrase: true }), 1);
+    });
+
+    it('ranks name hits over description hits and drops non-matches', () => {
+        const nodes = [
+            { contentId: 'a', name: 'Overview', description: 'pricing notes', status: 'New' },
+            { contentId: 'b', name: 'Pricing', description: '', status: 'New' },
+            { contentId: 'c', name: 'Blog', description: '', status: 'Done' }
+        ];
+        const context = window.nodeSearchContext();
+        const ids = query => plain(window.searchNodes(query, nodes, context).map(result => result.node.contentId));
+        assert.deepEqual(ids('pricing'), ['b', 'a']);
+        assert.deepEqual(ids('pricing NOT status:new'), []);
+        assert.deepEqual(ids('blog OR name:overview'), ['a', 'c']);
+        assert.deepEqual(ids('depth<2'), []); // depth unknown without the tree
+    });
+
+    it('picks backend search words that cover every OR branch', () => {
+        const terms = text => plain(window.searchQueryBackendTerms(window.parseSearchQuery(text)));
+        assert.deepEqual(terms('seo OR pricing'), ['seo', 'pricing']);
+        assert.deepEqual(terms('seo pricing'), ['pricing']);
+        assert.deepEqual(terms('(seo OR web) pricing'), ['pricing']);
+        assert.deepEqual(terms('(seo OR web) status:new'), ['seo', 'web']);
+        assert.deepEqual(terms('seo OR owner:anna'), []);
+        assert.deepEqual(terms('NOT seo'), []);
+    });
+});
+
+describe('backend search fallback', () => {
+    it('merges the results for each OR branch without adding them to the tree', async () => {
+        const page = await loadPage('flowchart.html');
+        for (const name of ['SEO audit', 'Pricing page', 'Blog']) {
+            await page.request('/node/create', 'POST', { name });
+        }
+        const { window } = page;
+        await sleep(300);
+        // The fallback is for a page that has not loaded the tree
+        window.eval('nodeMap = {}; stableRootId = null;');
+        const results = await window.searchNodesOnBackend(window.parseSearchQuery('seo OR pricing'));
+
+        assert.deepEqual(plain(results.map(node => node.name).sort()), ['Pricing page', 'SEO audit']);
+        assert.equal(window.eval('Object.keys(nodeMap).length'), 0);
+    });
+});
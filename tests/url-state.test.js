@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, sleep } = require('./helpers/load-page');
+
+async function openTree() {
+    const page = await loadPage('flowchart.html');
+    const root = await page.request('/node/create', 'POST', { name: 'Root' });
+    const child = await page.request('/node/create', 'POST', { name: 'Pricing page' });
+    await page.request('/relation/create', 'POST', { parentId: root.contentId, childId: child.contentId });
+    await page.window.loadAndRenderTree();
+    await sleep(300);
+    return { page, childId: child.contentId };
+}
+
+// Filters the way typing does, then waits for the match to be focused and the URL updated
+async function typeSearch(window, text) {
+    window.document.getElementById('search-filter-input').value = text;
+    await window.applyFilters();
+    await sleep(1000);
+}
+
+describe('URL state', () => {
+    it('updates the current history entry while search text is typed', async () => {
+        const { page } = await openTree();
+        const { window } = page;
+        // The first match is focused, which is a node change of its own
+        await typeSearch(window, 'pr');
+        const startLength = window.history.length;
+
+        for (const text of ['pri', 'pric', 'pricing']) {
+            await typeSearch(window, text);
+        }
+        assert.match(window.location.hash, /(^#|&)q=pricing(&|$)/);
+        assert.equal(window.history.length, startLength);
+    });
+
+    it('adds a history entry for a filter select or a node change', async () => {
+        const { page, childId } = await openTree();
+        const { window, document } = page;
+        const startLength = window.history.length;
+
+        document.getElementById('status-filter-select').value = 'New';
+        await window.applyFilters();
+        await sleep(1000);
+        assert.equal(window.history.length, startLength + 1);
+
+        window.focusNode(childId);
+        await sleep(1000);
+        assert.equal(window.history.length, startLength + 2);
+    });
+});
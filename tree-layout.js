@@ -0,0 +1,126 @@
+// --- Tidy Tree Layout ---
+// Pure layout for the SVG renderer (no DOM access). Nodes are placed on the spanning
+// tree that renderNode() would draw (first parent reached wins); any additional
+// parents are returned separately as cross edges. Sibling subtrees are packed with a
+// contour-based Reingold–Tilford pass and parents are centred over their children.
+
+const LAYOUT_NODE_WIDTH = 180;
+const LAYOUT_NODE_HEIGHT = 118;
+const LAYOUT_H_GAP = 40;
+const LAYOUT_V_GAP = 80;
+const LAYOUT_PADDING = 40;
+
+/**
+ * @param {string} rootId
+ * @param {object} opts
+ *   getChildren(id)           -> ordered child ids
+ *   isVisible(id)             -> false prunes the node and its subtree
+ *   expandChildren(id, level) -> false keeps the node but skips its children
+ *   includeCrossEdges         -> also report edges to nodes already placed elsewhere
+ * @returns {{nodes: Object<string, {x: number, y: number, level: number, parentId: ?string}>,
+ *            treeEdges: Array<{from: string, to: string, level: number}>,
+ *            crossEdges: Array<{from: string, to: string}>,
+ *            width: number, height: number}}
+ *   x is the node's horizontal centre, y its top edge.
+ */
+function computeTreeLayout(rootId, opts) {
+    const nodes = {};
+    const treeEdges = [];
+    const crossEdges = [];
+    const kidsOf = {};
+
+    // 1. Spanning tree, depth first in render order
+    function visit(id, level, parentId) {
+        if (nodes[id]) {
+            if (parentId && opts.includeCrossEdges) crossEdges.push({ from: parentId, to: id });
+            return;
+        }
+        nodes[id] = { x: 0, y: 0, level, parentId };
+        kidsOf[id] = [];
+        if (!opts.expandChildren(id, level)) return;
+
+        opts.getChildren(id).forEach(childId => {
+            if (!opts.isVisible(childId)) return;
+            const isFirstVisit = !nodes[childId];
+            visit(childId, level + 1, id);
+            if (isFirstVisit) {
+                kidsOf[id].push(childId);
+                treeEdges.push({ from: id, to: childId, level });
+            }
+        });
+    }
+
+    if (!opts.isVisible(rootId)) {
+        return { nodes, treeEdges, crossEdges, width: 0, height: 0 };
+    }
+    visit(rootId, 0, null);
+
+    // 2. Bottom-up: child offsets relative to the parent, using per-depth contours
+    const halfWidth = LAYOUT_NODE_WIDTH / 2;
+    const offsetOf = {};
+
+    function place(id) {
+        const kids = kidsOf[id];
+        if (kids.length === 0) return [{ left: -halfWidth, right: halfWidth }];
+
+        let merged = null;
+        const kidX = [];
+        kids.forEach(kidId => {
+            const contour = place(kidId);
+            let x = 0;
+            if (merged) {
+                // Shift right until this subtree clears every level of its left siblings
+                x = -Infinity;
+                const shared = Math.min(merged.length, contour.length);
+                for (let d = 0; d < shared; d++) {
+                    x = Math.max(x, merged[d].right - contour[d].left + LAYOUT_H_GAP);
+                }
+                for (let d = 0; d < contour.length; d++) {
+                    merged[d] = d < merged.length
+                        ? { left: merged[d].left, right: contour[d].right + x }
+                        : { left: contour[d].left + x, right: contour[d].right + x };
+                }
+            } else {
+                merged = contour.map(level => ({ ...level }));
+            }
+            kidX.push(x);
+        });
+
+        const center = (kidX[0] + kidX[kidX.length - 1]) / 2;
+        kids.forEach((kidId, i) => { offsetOf[kidId] = kidX[i] - center; });
+
+        return [{ left: -halfWidth, right: halfWidth }]
+            .concat(merged.map(level => ({ left: level.left - center, right: level.right - center })));
+    }
+    place(rootId);
+
+    // 3. Top-down: absolute positions
+    let minX = Infinity;
+    let maxX = -Infinity;
+    let maxLevel = 0;
+
+    function assign(id, x) {
+        const node = nodes[id];
+        node.x = x;
+        node.y = node.level * (LAYOUT_NODE_HEIGHT + LAYOUT_V_GAP);
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        maxLevel = Math.max(maxLevel, node.level);
+        kidsOf[id].forEach(kidId => assign(kidId, x + offsetOf[kidId]));
+    }
+    assign(rootId, 0);
+
+    const shiftX = LAYOUT_PADDING + halfWidth - minX;
+    Object.values(nodes).forEach(node => {
+        node.x += shiftX;
+        node.y += LAYOUT_PADDING;
+    });
+
+    return {
+        nodes,
+        treeEdges,
+        crossEdges,
+        width: maxX - minX + LAYOUT_NODE_WIDTH + LAYOUT_PADDING * 2,
+        height: (maxLevel + 1) * (LAYOUT_NODE_HEIGHT + LAYOUT_V_GAP) - LAYOUT_V_GAP + LAYOUT_PADDING * 2
+    };
+}
@@ -0,0 +1,206 @@
+// --- Shareable URL State ---
+// The hash mirrors what is on screen, so a pasted link opens the same view:
+//
+//   flowchart.html#node=SRV-012&modal=info&q=pricing&status=New&conn=inbound&ctx=1&field=owner&fv=anna&zoom=0.85&x=420&y=130
+//
+// node is the friendly ID (friendly-ids.js) or, for nodes without one, the contentId.
+// Changing the node, modal or a filter choice adds a browser history entry, so back and
+// forward step through them; typed search text, zooming and scrolling only update the
+// current entry (otherwise back would replay a search keystroke by keystroke).
+// The ?api= query parameter (api.js) is left alone.
+
+const URL_STATE_SYNC_DELAY_MS = 300;
+// Keys whose change is a navigation step (a new history entry); the rest is typed text
+// (q, id, fv) and the viewport
+const URL_NAVIGATION_KEYS = ['node', 'modal', 'status', 'conn', 'ctx', 'field'];
+
+let isApplyingUrlState = false;
+let isUrlStateReady = false;     // false until the tree has loaded and the first URL was applied
+let urlStateSyncTimer = null;
+
+function getNodeUrlKey(nodeId) {
+    const node = nodeMap[nodeId];
+    return node ? (node.friendlyId || node.contentId) : '';
+}
+
+function resolveNodeUrlKey(key) {
+    if (!key) return null;
+    if (nodeMap[key]) return key;
+    const node = findNodeByFriendlyId(key);
+    return node ? node.contentId : null;
+}
+
+// { modal: 'info' | 'inbound' | 'outbound', nodeId } for the node dialog that is open, or null
+function getOpenNodeModal() {
+    if (document.getElementById('info-modal').style.display === 'flex') {
+        return { modal: 'info', nodeId: document.getElementById('info-node-id').textContent };
+    }
+    const popup = document.querySelector('#inbound-popup-overlay, #outbound-popup-overlay');
+    if (popup) return { modal: popup.id.startsWith('inbound') ? 'inbound' : 'outbound', nodeId: popup.dataset.nodeId };
+    return null;
+}
+
+// The view as URL parameters; empty values are left out of the URL
+function buildUrlState() {
+    const statusFilter = document.getElementById('status-filter-select');
+    const connectionFilter = document.getElementById('connection-filter-select');
+    const openModal = getOpenNodeModal();
+    return {
+        node: getNodeUrlKey(openModal ? openModal.nodeId : lastFocusedNodeId),
+        modal: openModal ? openModal.modal : '',
+        q: document.getElementById('search-filter-input').value.trim(),
+        id: document.getElementById('search-id-input').value.trim(),
+        status: statusFilter && statusFilter.value !== 'all' ? statusFilter.value : '',
+        conn: connectionFilter.value !== 'none' ? connectionFilter.value : '',
+        ctx: document.getElementById('search-context-toggle').checked ? '1' : '',
+        field: document.getElementById('custom-field-filter-select').value,
+        fv: document.getElementById('custom-field-filter-select').value ? document.getElementById('custom-field-filter-value').value.trim() : '',
+        zoom: currentScale.toFixed(2),
+        x: String(Math.round(vizWrapper.scrollLeft)),
+        y: String(Math.round(vizWrapper.scrollTop))
+    };
+}
+
+function serialiseUrlState(state) {
+    const params = new URLSearchParams();
+    Object.entries(state).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    const text = params.toString();
+    return text ? `#${text}` : '';
+}
+
+function parseUrlState(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const state = {};
+    params.forEach((value, key) => {
+        state[key] = value;
+    });
+    return state;
+}
+
+function getCurrentPageUrl(hash) {
+    return `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+}
+
+// Writes the current view to the URL: a new history entry when the user went somewhere
+// (node, modal, filter selects), otherwise the current entry is updated in place
+function syncUrlState() {
+    clearTimeout(urlStateSyncTimer);
+    if (!isUrlStateReady || isApplyingUrlState || !stableRootId) return;
+
+    const state = buildUrlState();
+    const hash = serialiseUrlState(state);
+    if (hash === window.location.hash) return;
+
+    const current = parseUrlState(window.location.hash);
+    const navigated = URL_NAVIGATION_KEYS.some(key => (current[key] || '') !== (state[key] || ''));
+    if (navigated) {
+        history.pushState(null, '', getCurrentPageUrl(hash));
+    } else {
+        history.replaceState(null, '', getCurrentPageUrl(hash));
+    }
+}
+
+// Called after anything that changes the view; typing and scrolling settle first
+function scheduleUrlStateSync() {
+    clearTimeout(urlStateSyncTimer);
+    urlStateSyncTimer = setTimeout(syncUrlState, URL_STATE_SYNC_DELAY_MS);
+}
+
+function setSelectValueIfPresent(select, value) {
+    if (select && Array.from(select.options).some(option => option.value === value)) {
+        select.value = value;
+    }
+}
+
+// Shows the view described by a parsed URL (page load, back/forward, pasted link)
+async function applyUrlState(state) {
+    isApplyingUrlState = true;
+    try {
+        document.getElementById('search-filter-input').value = state.q || '';
+        document.getElementById('search-id-input').value = state.id || '';
+        setSelectValueIfPresent(document.getElementById('status-filter-select'), state.status || 'all');
+        setSelectValueIfPresent(document.getElementById('connection-filter-select'), state.conn || 'none');
+        document.getElementById('search-context-toggle').checked = state.ctx === '1';
+        setSelectValueIfPresent(document.getElementById('custom-field-filter-select'), state.field || '');
+        updateCustomFieldFilterValues();
+        document.getElementById('custom-field-filter-value').value = state.fv || '';
+
+        const scale = parseFloat(state.zoom);
+        if (Number.isFinite(scale)) currentScale = Math.min(Math.max(scale, MIN_SCALE), MAX_SCALE);
+        const hasScroll = state.x !== undefined && state.y !== undefined;
+        if (hasScroll) {
+            // loadAndRenderVisuals() restores this viewport when it has no node to focus
+            localStorage.setItem('lastViewport', JSON.stringify({ left: Number(state.x) || 0, top: Number(state.y) || 0, scale: currentScale }));
+        }
+
+        closeInfoModal();
+        closeConnectionPopups();
+
+        const nodeId = resolveNodeUrlKey(state.node);
+        if (state.node && !nodeId) {
+            showMessage(`Node ${state.node} from the link was not found; it may have been deleted.`, 'error');
+        }
+        if (nodeId) {
+            lastFocusedNodeId = nodeId;
+            // A shared node link (no scroll position) centres the node
+            if (!hasScroll) expandAncestors(nodeId);
+        }
+
+        await applyFilters();
+        if (nodeId && !hasScroll) {
+            if (isNodeDrawn(nodeId)) {
+                focusNode(nodeId);
+            } else {
+                nodeToFocusId = nodeId;
+                loadAndRenderVisuals(stableRootId);
+            }
+        } else if (nodeId) {
+            markFocusedCard(nodeId);
+        }
+
+        if (nodeId && state.modal === 'info') {
+            openInfoModal(nodeId);
+        } else if (nodeId && state.modal === 'inbound') {
+            await openInboundDetails(nodeId);
+        } else if (nodeId && state.modal === 'outbound') {
+            await openOutboundDetails(nodeId);
+        }
+    } finally {
+        // Let the focus scroll (focusNode waits 150 ms) finish before recording again
+        setTimeout(() => {
+            isApplyingUrlState = false;
+        }, URL_STATE_SYNC_DELAY_MS);
+    }
+}
+
+// Applies the URL the page was opened with, then follows back/forward
+async function initUrlState() {
+    const state = parseUrlState(window.location.hash);
+    if (stableRootId && Object.keys(state).length > 0) {
+        await applyUrlState(state);
+    }
+    isUrlStateReady = true;
+    window.addEventListener('popstate', () => {
+        applyUrlState(parseUrlState(window.location.hash));
+    });
+}
+
+async function copyNodeLink(nodeId) {
+    const node = nodeMap[nodeId];
+    if (!node) return;
+    if (!node.friendlyId && isTempId(nodeId)) {
+        showMessage('This node is not saved yet; copy its link once it has synced.', 'info');
+        return;
+    }
+
+    const url = getCurrentPageUrl(serialiseUrlState({ node: getNodeUrlKey(nodeId) }));
+    try {
+        await navigator.clipboard.writeText(url);
+        showMessage(`Link to '${node.name}' copied to the clipboard.`, 'success');
+    } catch (e) {
+        // Clipboard API blocked (e.g. plain http): let the user copy it by hand
+        window.prompt('Copy this link:', url);
+    }
+}
@@ -0,0 +1,286 @@
+// --- Zoom, Pan & Minimap ---
+// #tree-content-wrapper is scaled from its top-left corner (applyZoom), so a point of the tree
+// sits at wrapperRect.left + x * currentScale on screen. Every zoom here measures the tree
+// point under an anchor (the cursor, the pinch midpoint or the viewport centre), rescales, and
+// scrolls #tree-visualization by however far that point drifted. Scrolling still drives the
+// lastViewport snapshot, so wheel zoom and panning are restored like any other scroll.
+
+const WHEEL_ZOOM_SENSITIVITY = 0.0015;
+const ZOOM_TO_SELECTION_MARGIN = 60;     // Layout px kept around the selection
+const ZOOM_TO_SELECTION_MAX_SCALE = 1.5;
+const PAN_IGNORE_SELECTOR = '.node-card, .cross-link-ref, .svg-node-slot, button, a, input, select, textarea, label';
+
+let lastFocusedNodeId = null;            // Set by focusNode(); the keyboard cursor and fallback "selection"
+let panState = null;                     // { pointerId, x, y, left, top } while dragging the background
+let pinchState = null;                   // { distance, scale } while two fingers are down
+let isMinimapVisible = localStorage.getItem('minimapVisible') !== 'false';
+let minimapFrame = null;
+
+/**
+ * Zooms to `scale` keeping the tree point under (clientX, clientY) where it is.
+ * Without an anchor the centre of the visualization is used.
+ */
+function zoomAt(scale, clientX = null, clientY = null) {
+    const viewRect = vizWrapper.getBoundingClientRect();
+    const anchorX = clientX === null ? viewRect.left + viewRect.width / 2 : clientX;
+    const anchorY = clientY === null ? viewRect.top + viewRect.height / 2 : clientY;
+
+    const before = contentWrapper.getBoundingClientRect();
+    const treeX = (anchorX - before.left) / currentScale;
+    const treeY = (anchorY - before.top) / currentScale;
+
+    applyZoom(scale);
+
+    const after = contentWrapper.getBoundingClientRect();
+    vizWrapper.scrollLeft += after.left + treeX * currentScale - anchorX;
+    vizWrapper.scrollTop += after.top + treeY * currentScale - anchorY;
+}
+
+// Mouse wheel zooms around the cursor; trackpad pinch arrives as ctrl+wheel. Shift+wheel scrolls.
+function handleTreeWheel(e) {
+    if (e.shiftKey) return;
+    e.preventDefault();
+    const pixels = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaMode === 2 ? e.deltaY * vizWrapper.clientHeight : e.deltaY;
+    zoomAt(currentScale * Math.exp(-pixels * WHEEL_ZOOM_SENSITIVITY), e.clientX, e.clientY);
+}
+
+// --- Drag to pan ---
+
+function handlePanPointerDown(e) {
+    // Touch already scrolls natively; cards keep their clicks and drag & drop
+    // Shift-drag is the selection lasso (bulk-select.js)
+    if (e.pointerType !== 'mouse' || e.button !== 0 || e.shiftKey || e.target.closest(PAN_IGNORE_SELECTOR)) return;
+    panState = {
+        pointerId: e.pointerId,
+        x: e.clientX,
+        y: e.clientY,
+        left: vizWrapper.scrollLeft,
+        top: vizWrapper.scrollTop
+    };
+    vizWrapper.setPointerCapture(e.pointerId);
+    vizWrapper.classList.add('is-panning');
+    e.preventDefault(); // no text selection while dragging
+}
+
+function handlePanPointerMove(e) {
+    if (!panState || e.pointerId !== panState.pointerId) return;
+    vizWrapper.scrollLeft = panState.left - (e.clientX - panState.x);
+    vizWrapper.scrollTop = panState.top - (e.clientY - panState.y);
+}
+
+function handlePanPointerUp(e) {
+    if (!panState || e.pointerId !== panState.pointerId) return;
+    panState = null;
+    vizWrapper.classList.remove('is-panning');
+    if (vizWrapper.hasPointerCapture(e.pointerId)) {
+        vizWrapper.releasePointerCapture(e.pointerId);
+    }
+}
+
+// --- Pinch (touch screens) ---
+
+function getTouchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+}
+
+function handlePinchStart(e) {
+    if (e.touches.length !== 2) return;
+    pinchState = { distance: getTouchDistance(e.touches), scale: currentScale };
+}
+
+function handlePinchMove(e) {
+    if (!pinchState || e.touches.length !== 2) return;
+    e.preventDefault();
+    const midX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
+    const midY = (e.touches[0].clientY + e.touches[1].clientY) / 2;
+    zoomAt(pinchState.scale * getTouchDistance(e.touches) / pinchState.distance, midX, midY);
+}
+
+function handlePinchEnd(e) {
+    if (e.touches.length < 2) pinchState = null;
+}
+
+// --- Zoom to selection ---
+
+/**
+ * Where a node's card is drawn, in unscaled #tree-content-wrapper coordinates.
+ * The SVG renderer knows every position from its layout, even for unmounted cards;
+ * the HTML renderer is measured. Null when the node is not drawn (filtered or folded).
+ */
+function getNodeContentRect(nodeId) {
+    const origin = contentWrapper.getBoundingClientRect();
+    if (rendererMode === 'svg') {
+        const pos = svgLayout && svgLayout.nodes[nodeId];
+        const canvas = document.getElementById('svg-tree-canvas');
+        if (!pos || !canvas) return null;
+        const canvasRect = canvas.getBoundingClientRect();
+        return {
+            x: (canvasRect.left - origin.left) / currentScale + pos.x - LAYOUT_NODE_WIDTH / 2,
+            y: (canvasRect.top - origin.top) / currentScale + pos.y,
+            w: LAYOUT_NODE_WIDTH,
+            h: LAYOUT_NODE_HEIGHT
+        };
+    }
+    const card = document.getElementById(`node-${nodeId}`);
+    if (!card || card.offsetParent === null) return null;
+    const rect = card.getBoundingClientRect();
+    return {
+        x: (rect.left - origin.left) / currentScale,
+        y: (rect.top - origin.top) / currentScale,
+        w: rect.width / currentScale,
+        h: rect.height / currentScale
+    };
+}
+
+// The multi-selection, else the current search matches, else the node focused last
+function getZoomSelectionIds() {
+    if (getSelectedNodeIds().length > 0) return getSelectedNodeIds();
+    if (searchMatches.length > 0) return searchMatches;
+    return lastFocusedNodeId && nodeMap[lastFocusedNodeId] ? [lastFocusedNodeId] : [];
+}
+
+/**
+ * Fits the cards of nodeIds into the visualization (never zooming in past
+ * ZOOM_TO_SELECTION_MAX_SCALE) and centres them.
+ * @returns {boolean} false when none of the nodes is drawn
+ */
+function zoomToNodes(nodeIds) {
+    const rects = nodeIds.map(getNodeContentRect).filter(Boolean);
+    if (rects.length === 0) return false;
+
+    const left = Math.min(...rects.map(r => r.x)) - ZOOM_TO_SELECTION_MARGIN;
+    const top = Math.min(...rects.map(r => r.y)) - ZOOM_TO_SELECTION_MARGIN;
+    const right = Math.max(...rects.map(r => r.x + r.w)) + ZOOM_TO_SELECTION_MARGIN;
+    const bottom = Math.max(...rects.map(r => r.y + r.h)) + ZOOM_TO_SELECTION_MARGIN;
+
+    const viewWidth = vizWrapper.clientWidth;
+    const viewHeight = vizWrapper.clientHeight;
+    if (viewWidth > 0 && viewHeight > 0) {
+        applyZoom(Math.min(ZOOM_TO_SELECTION_MAX_SCALE, viewWidth / (right - left), viewHeight / (bottom - top)));
+    }
+    centerContentPoint((left + right) / 2, (top + bottom) / 2);
+    return true;
+}
+
+// Scrolls so the given unscaled tree point is in the middle of the visualization
+function centerContentPoint(x, y) {
+    const origin = contentWrapper.getBoundingClientRect();
+    const viewRect = vizWrapper.getBoundingClientRect();
+    vizWrapper.scrollLeft += origin.left + x * currentScale - (viewRect.left + viewRect.width / 2);
+    vizWrapper.scrollTop += origin.top + y * currentScale - (viewRect.top + viewRect.height / 2);
+}
+
+function zoomToSelection() {
+    const nodeIds = getZoomSelectionIds();
+    if (nodeIds.length === 0) {
+        showMessage('Nothing is selected: select, search for or focus a node first.', 'info');
+        return;
+    }
+    if (!zoomToNodes(nodeIds)) {
+        showMessage('The selected nodes are hidden by the filters or inside folded branches.', 'info');
+    }
+}
+
+// --- Minimap ---
+// The whole tree as coloured blocks with the visible area outlined. Clicking or dragging on it
+// centres the view there. Drawn in unscaled tree coordinates and fitted with viewBox.
+
+function scheduleMinimapUpdate() {
+    if (!isMinimapVisible || minimapFrame) return;
+    minimapFrame = requestAnimationFrame(renderMinimap);
+}
+
+// Every drawn card; the HTML renderer has no layout, so its cards are measured
+function getDrawnNodeRects() {
+    const ids = rendererMode === 'svg'
+        ? Object.keys((svgLayout && svgLayout.nodes) || {})
+        : Array.from(contentWrapper.querySelectorAll('.node-card[id^="node-"]')).map(card => card.id.slice(5));
+    return ids.map(id => ({ id, rect: getNodeContentRect(id) })).filter(entry => entry.rect && nodeMap[entry.id]);
+}
+
+function renderMinimap() {
+    minimapFrame = null;
+    const container = document.getElementById('minimap-container');
+    const svg = document.getElementById('minimap-svg');
+    if (!container || !svg) return;
+    container.style.display = isMinimapVisible ? 'block' : 'none';
+    if (!isMinimapVisible) return;
+
+    const width = Math.max(1, contentWrapper.offsetWidth);
+    const height = Math.max(1, contentWrapper.offsetHeight);
+    const origin = contentWrapper.getBoundingClientRect();
+    const viewRect = vizWrapper.getBoundingClientRect();
+    const view = {
+        x: (viewRect.left - origin.left) / currentScale,
+        y: (viewRect.top - origin.top) / currentScale,
+        w: vizWrapper.clientWidth / currentScale,
+        h: vizWrapper.clientHeight / currentScale
+    };
+
+    const blocks = getDrawnNodeRects().map(({ id, rect }) => {
+        const status = getStatusDefinition(nodeMap[id].status);
+        const color = status ? status.color : FALLBACK_STATUS_COLOR;
+        return `<rect x="${rect.x}" y="${rect.y}" width="${rect.w}" height="${rect.h}" rx="8" fill="${color}"></rect>`;
+    });
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.innerHTML = `
+        <rect width="${width}" height="${height}" fill="#f7f9fb"></rect>
+        ${blocks.join('')}
+        <rect class="minimap-viewport" x="${view.x}" y="${view.y}" width="${view.w}" height="${view.h}"
+              vector-effect="non-scaling-stroke"></rect>`;
+}
+
+// Minimap pixel -> unscaled tree coordinates (viewBox keeps the aspect ratio, centred)
+function minimapPointToContent(e) {
+    const svg = document.getElementById('minimap-svg');
+    const rect = svg.getBoundingClientRect();
+    const width = Math.max(1, contentWrapper.offsetWidth);
+    const height = Math.max(1, contentWrapper.offsetHeight);
+    const ratio = Math.min(rect.width / width, rect.height / height) || 1;
+    const offsetX = (rect.width - width * ratio) / 2;
+    const offsetY = (rect.height - height * ratio) / 2;
+    return {
+        x: (e.clientX - rect.left - offsetX) / ratio,
+        y: (e.clientY - rect.top - offsetY) / ratio
+    };
+}
+
+function handleMinimapPointer(e) {
+    if (e.type === 'pointerdown') {
+        e.currentTarget.setPointerCapture(e.pointerId);
+    } else if (!e.currentTarget.hasPointerCapture(e.pointerId)) {
+        return;
+    }
+    e.preventDefault();
+    const point = minimapPointToContent(e);
+    centerContentPoint(point.x, point.y);
+}
+
+function toggleMinimap() {
+    isMinimapVisible = !isMinimapVisible;
+    localStorage.setItem('minimapVisible', String(isMinimapVisible));
+    document.getElementById('minimap-container').style.display = isMinimapVisible ? 'block' : 'none';
+    scheduleMinimapUpdate();
+}
+
+function initZoomPan() {
+    vizWrapper.addEventListener('wheel', handleTreeWheel, { passive: false });
+    vizWrapper.addEventListener('pointerdown', handlePanPointerDown);
+    vizWrapper.addEventListener('pointermove', handlePanPointerMove);
+    vizWrapper.addEventListener('pointerup', handlePanPointerUp);
+    vizWrapper.addEventListener('pointercancel', handlePanPointerUp);
+    vizWrapper.addEventListener('touchstart', handlePinchStart, { passive: true });
+    vizWrapper.addEventListener('touchmove', handlePinchMove, { passive: false });
+    vizWrapper.addEventListener('touchend', handlePinchEnd);
+    vizWrapper.addEventListener('touchcancel', handlePinchEnd);
+
+    const minimap = document.getElementById('minimap-svg');
+    if (minimap) {
+        ['pointerdown', 'pointermove'].forEach(type => minimap.addEventListener(type, handleMinimapPointer));
+        minimap.addEventListener('pointerup', e => {
+            if (minimap.hasPointerCapture(e.pointerId)) minimap.releasePointerCapture(e.pointerId);
+        });
+    }
+    window.addEventListener('resize', scheduleMinimapUpdate);
+    scheduleMinimapUpdate();
+}